@@ -2,9 +2,16 @@
 // and for local development (via server.js)
 const express = require('express')
 const cors = require('./middleware/cors')
+const { getIdentityProvider } = require('./services/identity')
 
 const app = express()
 
+// Behind API Gateway or a load balancer, trust its X-Forwarded-For so req.ip is the client
+// (login attempts are limited per IP). Set to a hop count, or "true" to trust every proxy.
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : parseInt(process.env.TRUST_PROXY, 10))
+}
+
 // Middleware
 app.use(cors)
 app.use(express.json())
@@ -21,6 +28,18 @@ app.use('/subscriptions', require('./routes/subscriptions'))
 app.use('/payments', require('./routes/payments'))
 app.use('/chats', require('./routes/chats'))
 app.use('/upload', require('./routes/upload'))
+app.use('/admin', require('./routes/admin'))
+
+// Public signing keys (the local identity provider's keypair, or Cognito's JWKS)
+app.get('/.well-known/jwks.json', async (req, res) => {
+  try {
+    const publicKeys = await getIdentityProvider().getPublicKeys()
+    res.status(200).json({ keys: Object.values(publicKeys) })
+  } catch (error) {
+    console.error('Error getting JWKS:', error)
+    res.status(500).json({ error: 'Failed to get signing keys' })
+  }
+})
 
 // Health check
 app.get('/health', (req, res) => {
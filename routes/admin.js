@@ -0,0 +1,544 @@
+const express = require('express')
+const { docClient } = require('../utils/dynamodb')
+const { GetCommand, ScanCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb')
+const { verifyToken } = require('../utils/jwt')
+const { hasRole } = require('../utils/roles')
+const { revokeAllForUser } = require('../utils/tokenRevocation')
+const { encodePageToken, decodePageToken } = require('../utils/dynamoPagination')
+const { stripPrivateFields, identityUsernameOf } = require('../utils/userRecords')
+const { getIdentityProvider } = require('../services/identity')
+const { applyListingChange } = require('../services/listingService')
+
+const router = express.Router()
+const USERS_TABLE = process.env.USERS_TABLE || 'UsersTable'
+const STOREFRONTS_TABLE = process.env.STOREFRONTS_TABLE || 'StorefrontsTable'
+const ITEMS_TABLE = process.env.ITEMS_TABLE || 'ItemsTable'
+const ORDERS_TABLE = process.env.ORDERS_TABLE || 'OrdersTable'
+const LOGIN_LOCKOUTS_TABLE = process.env.LOGIN_LOCKOUTS_TABLE || 'LoginLockoutsTable'
+const DEFAULT_PAGE_SIZE = 25
+const MAX_PAGE_SIZE = 100
+
+const identity = getIdentityProvider()
+
+// Admins are members of the `admins` Cognito group (or have "admin" in `roles` with the local provider)
+const requireAdmin = async (req, res) => {
+  const user = await verifyToken(req)
+  if (!user) {
+    res.status(401).json({ error: 'Unauthorized: Invalid or missing token' })
+    return null
+  }
+  if (!hasRole(user, 'admin')) {
+    res.status(403).json({ error: 'Forbidden: Admin access required' })
+    return null
+  }
+  return user
+}
+
+const parsePageSize = (limit) => {
+  const size = parseInt(limit, 10)
+  if (isNaN(size) || size < 1) return DEFAULT_PAGE_SIZE
+  return Math.min(size, MAX_PAGE_SIZE)
+}
+
+const getRecord = async (TableName, Key) => {
+  const result = await docClient.send(new GetCommand({ TableName, Key }))
+  return result.Item || null
+}
+
+// List users, optionally searching by email or name
+// Scans one page at a time; pass the returned nextToken to continue
+router.get('/users', async (req, res) => {
+  try {
+    const admin = await requireAdmin(req, res)
+    if (!admin) return
+
+    const { search, role, suspended, limit, nextToken } = req.query
+
+    const filters = []
+    const expressionAttributeNames = {}
+    const expressionAttributeValues = {}
+
+    if (search) {
+      filters.push('(contains(email, :search) OR contains(#name, :search) OR contains(#name, :searchRaw))')
+      expressionAttributeNames['#name'] = 'name'
+      expressionAttributeValues[':search'] = String(search).toLowerCase()
+      expressionAttributeValues[':searchRaw'] = String(search)
+    }
+    if (role) {
+      filters.push('(contains(#roles, :role) OR #role = :role)')
+      expressionAttributeNames['#roles'] = 'roles'
+      expressionAttributeNames['#role'] = 'role'
+      expressionAttributeValues[':role'] = role
+    }
+    if (suspended === 'true') {
+      filters.push('suspended = :suspended')
+      expressionAttributeValues[':suspended'] = true
+    }
+
+    const params = {
+      TableName: USERS_TABLE,
+      Limit: parsePageSize(limit),
+      ExclusiveStartKey: decodePageToken(nextToken),
+    }
+    if (filters.length > 0) {
+      params.FilterExpression = filters.join(' AND ')
+      params.ExpressionAttributeValues = expressionAttributeValues
+      if (Object.keys(expressionAttributeNames).length > 0) {
+        params.ExpressionAttributeNames = expressionAttributeNames
+      }
+    }
+
+    const result = await docClient.send(new ScanCommand(params))
+
+    // A filtered page can come back short (or empty) while more results remain; follow nextToken
+    res.status(200).json({
+      users: (result.Items || []).map(stripPrivateFields),
+      nextToken: encodePageToken(result.LastEvaluatedKey),
+    })
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: error.message })
+    }
+    console.error('Error listing users:', error)
+    res.status(500).json({ error: 'Failed to list users' })
+  }
+})
+
+// Get a single user
+router.get('/users/:userId', async (req, res) => {
+  try {
+    const admin = await requireAdmin(req, res)
+    if (!admin) return
+
+    const user = await getRecord(USERS_TABLE, { userId: req.params.userId })
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' })
+    }
+
+    res.status(200).json({ user: stripPrivateFields(user) })
+  } catch (error) {
+    console.error('Error getting user:', error)
+    res.status(500).json({ error: 'Failed to get user' })
+  }
+})
+
+// Suspend a user
+// Disables them in the identity provider (no new logins or refreshes) and revokes every token
+// already issued. verifyToken also checks the suspended flag, so authenticated routes reject
+// them on every server instance until they are reinstated.
+router.post('/users/:userId/suspend', async (req, res) => {
+  try {
+    const admin = await requireAdmin(req, res)
+    if (!admin) return
+
+    const { userId } = req.params
+    const { reason } = req.body
+
+    if (userId === admin.userId) {
+      return res.status(400).json({ error: 'Admins cannot suspend their own account' })
+    }
+
+    const user = await getRecord(USERS_TABLE, { userId })
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' })
+    }
+    if (user.suspended) {
+      return res.status(409).json({ error: 'User is already suspended' })
+    }
+
+    try {
+      await identity.disableUser({ username: identityUsernameOf(user) })
+    } catch (authError) {
+      console.error('Identity provider disable user error:', authError.message)
+      return res.status(500).json({ error: `Identity provider error: ${authError.message}` })
+    }
+
+    const now = new Date().toISOString()
+    let updatedUser
+    try {
+      const result = await docClient.send(
+        new UpdateCommand({
+          TableName: USERS_TABLE,
+          Key: { userId },
+          UpdateExpression:
+            'SET suspended = :suspended, suspendedAt = :now, suspendedBy = :adminId, suspensionReason = :reason, updatedAt = :now',
+          ExpressionAttributeValues: {
+            ':suspended': true,
+            ':now': now,
+            ':adminId': admin.userId,
+            ':reason': reason || null,
+          },
+          ReturnValues: 'ALL_NEW',
+        })
+      )
+      updatedUser = result.Attributes
+    } catch (dbError) {
+      // Undo the identity change so the two stores stay in sync
+      console.error('Error saving suspension, re-enabling user:', dbError)
+      await identity.enableUser({ username: identityUsernameOf(user) }).catch((rollbackError) => {
+        console.error('Failed to roll back user suspension:', rollbackError.message)
+      })
+      throw dbError
+    }
+
+    await revokeAllForUser(userId)
+
+    console.log(`Admin ${admin.userId} suspended user ${userId}`)
+
+    res.status(200).json({
+      message: 'User suspended',
+      user: stripPrivateFields(updatedUser),
+    })
+  } catch (error) {
+    console.error('Error suspending user:', error)
+    res.status(500).json({ error: 'Failed to suspend user' })
+  }
+})
+
+// Reinstate a suspended user; they can log in again (tokens from before the suspension stay revoked)
+router.post('/users/:userId/reinstate', async (req, res) => {
+  try {
+    const admin = await requireAdmin(req, res)
+    if (!admin) return
+
+    const { userId } = req.params
+
+    const user = await getRecord(USERS_TABLE, { userId })
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' })
+    }
+    if (!user.suspended) {
+      return res.status(409).json({ error: 'User is not suspended' })
+    }
+
+    try {
+      await identity.enableUser({ username: identityUsernameOf(user) })
+    } catch (authError) {
+      console.error('Identity provider enable user error:', authError.message)
+      return res.status(500).json({ error: `Identity provider error: ${authError.message}` })
+    }
+
+    const now = new Date().toISOString()
+    const result = await docClient.send(
+      new UpdateCommand({
+        TableName: USERS_TABLE,
+        Key: { userId },
+        UpdateExpression:
+          'SET reinstatedAt = :now, reinstatedBy = :adminId, updatedAt = :now REMOVE suspended, suspendedAt, suspendedBy, suspensionReason',
+        ExpressionAttributeValues: {
+          ':now': now,
+          ':adminId': admin.userId,
+        },
+        ReturnValues: 'ALL_NEW',
+      })
+    )
+
+    console.log(`Admin ${admin.userId} reinstated user ${userId}`)
+
+    res.status(200).json({
+      message: 'User reinstated',
+      user: stripPrivateFields(result.Attributes),
+    })
+  } catch (error) {
+    console.error('Error reinstating user:', error)
+    res.status(500).json({ error: 'Failed to reinstate user' })
+  }
+})
+
+// Suspend a storefront (hidden from GET /storefronts and its own pages until reinstated)
+router.post('/storefronts/:storeId/suspend', async (req, res) => {
+  try {
+    const admin = await requireAdmin(req, res)
+    if (!admin) return
+
+    const { storeId } = req.params
+    const { reason } = req.body
+
+    const storefront = await getRecord(STOREFRONTS_TABLE, { storeId })
+    if (!storefront) {
+      return res.status(404).json({ error: 'Storefront not found' })
+    }
+    if (storefront.status === 'suspended') {
+      return res.status(409).json({ error: 'Storefront is already suspended' })
+    }
+    if (storefront.status === 'archived') {
+      return res.status(409).json({ error: 'Storefront is archived' })
+    }
+
+    const now = new Date().toISOString()
+    const result = await docClient.send(
+      new UpdateCommand({
+        TableName: STOREFRONTS_TABLE,
+        Key: { storeId },
+        UpdateExpression:
+          'SET #status = :suspended, suspendedAt = :now, suspendedBy = :adminId, suspensionReason = :reason, updatedAt = :now',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+          ':suspended': 'suspended',
+          ':now': now,
+          ':adminId': admin.userId,
+          ':reason': reason || null,
+        },
+        ReturnValues: 'ALL_NEW',
+      })
+    )
+
+    console.log(`Admin ${admin.userId} suspended storefront ${storeId}`)
+
+    res.status(200).json({
+      message: 'Storefront suspended',
+      storefront: result.Attributes,
+    })
+  } catch (error) {
+    console.error('Error suspending storefront:', error)
+    res.status(500).json({ error: 'Failed to suspend storefront' })
+  }
+})
+
+// Reinstate a suspended storefront
+router.post('/storefronts/:storeId/reinstate', async (req, res) => {
+  try {
+    const admin = await requireAdmin(req, res)
+    if (!admin) return
+
+    const { storeId } = req.params
+
+    const storefront = await getRecord(STOREFRONTS_TABLE, { storeId })
+    if (!storefront) {
+      return res.status(404).json({ error: 'Storefront not found' })
+    }
+    if (storefront.status !== 'suspended') {
+      return res.status(409).json({ error: 'Storefront is not suspended' })
+    }
+
+    const now = new Date().toISOString()
+    const result = await docClient.send(
+      new UpdateCommand({
+        TableName: STOREFRONTS_TABLE,
+        Key: { storeId },
+        UpdateExpression:
+          'SET reinstatedAt = :now, reinstatedBy = :adminId, updatedAt = :now REMOVE #status, suspendedAt, suspendedBy, suspensionReason',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+          ':now': now,
+          ':adminId': admin.userId,
+        },
+        ReturnValues: 'ALL_NEW',
+      })
+    )
+
+    console.log(`Admin ${admin.userId} reinstated storefront ${storeId}`)
+
+    res.status(200).json({
+      message: 'Storefront reinstated',
+      storefront: result.Attributes,
+    })
+  } catch (error) {
+    console.error('Error reinstating storefront:', error)
+    res.status(500).json({ error: 'Failed to reinstate storefront' })
+  }
+})
+
+// Take down a listing (hidden from GET /listings and can't be added to carts)
+router.post('/listings/:id/takedown', async (req, res) => {
+  try {
+    const admin = await requireAdmin(req, res)
+    if (!admin) return
+
+    const { id } = req.params
+    const { reason } = req.body
+
+    const item = await getRecord(ITEMS_TABLE, { id })
+    if (!item) {
+      return res.status(404).json({ error: 'Item not found' })
+    }
+    if (item.status === 'taken_down') {
+      return res.status(409).json({ error: 'Item is already taken down' })
+    }
+
+    const now = new Date().toISOString()
+    const result = await docClient.send(
+      new UpdateCommand({
+        TableName: ITEMS_TABLE,
+        Key: { id },
+        UpdateExpression:
+          'SET #status = :takenDown, previousStatus = :previousStatus, takenDownAt = :now, takenDownBy = :adminId, takedownReason = :reason, updatedAt = :now',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+          ':takenDown': 'taken_down',
+          ':previousStatus': item.status || null,
+          ':now': now,
+          ':adminId': admin.userId,
+          ':reason': reason || null,
+        },
+        ReturnValues: 'ALL_NEW',
+      })
+    )
+
+    await applyListingChange(item, result.Attributes)
+    console.log(`Admin ${admin.userId} took down listing ${id}`)
+
+    res.status(200).json({
+      message: 'Listing taken down',
+      item: result.Attributes,
+    })
+  } catch (error) {
+    console.error('Error taking down listing:', error)
+    res.status(500).json({ error: 'Failed to take down listing' })
+  }
+})
+
+// Restore a taken-down listing to the status it had before
+router.post('/listings/:id/restore', async (req, res) => {
+  try {
+    const admin = await requireAdmin(req, res)
+    if (!admin) return
+
+    const { id } = req.params
+
+    const item = await getRecord(ITEMS_TABLE, { id })
+    if (!item) {
+      return res.status(404).json({ error: 'Item not found' })
+    }
+    if (item.status !== 'taken_down') {
+      return res.status(409).json({ error: 'Item is not taken down' })
+    }
+
+    const now = new Date().toISOString()
+    const removeFields = ['previousStatus', 'takenDownAt', 'takenDownBy', 'takedownReason']
+    const params = {
+      TableName: ITEMS_TABLE,
+      Key: { id },
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: { ':now': now, ':adminId': admin.userId },
+      ReturnValues: 'ALL_NEW',
+    }
+    if (item.previousStatus) {
+      params.UpdateExpression = `SET #status = :previousStatus, restoredAt = :now, restoredBy = :adminId, updatedAt = :now REMOVE ${removeFields.join(', ')}`
+      params.ExpressionAttributeValues[':previousStatus'] = item.previousStatus
+    } else {
+      params.UpdateExpression = `SET restoredAt = :now, restoredBy = :adminId, updatedAt = :now REMOVE #status, ${removeFields.join(', ')}`
+    }
+
+    const result = await docClient.send(new UpdateCommand(params))
+
+    await applyListingChange(item, result.Attributes)
+    console.log(`Admin ${admin.userId} restored listing ${id}`)
+
+    res.status(200).json({
+      message: 'Listing restored',
+      item: result.Attributes,
+    })
+  } catch (error) {
+    console.error('Error restoring listing:', error)
+    res.status(500).json({ error: 'Failed to restore listing' })
+  }
+})
+
+// List login lockout events, optionally for one email or IP
+router.get('/lockouts', async (req, res) => {
+  try {
+    const admin = await requireAdmin(req, res)
+    if (!admin) return
+
+    const { email, ip, limit, nextToken } = req.query
+
+    const filters = []
+    const expressionAttributeValues = {}
+    if (email) {
+      filters.push('email = :email')
+      expressionAttributeValues[':email'] = String(email).toLowerCase()
+    }
+    if (ip) {
+      filters.push('ip = :ip')
+      expressionAttributeValues[':ip'] = ip
+    }
+
+    const params = {
+      TableName: LOGIN_LOCKOUTS_TABLE,
+      Limit: parsePageSize(limit),
+      ExclusiveStartKey: decodePageToken(nextToken),
+    }
+    if (filters.length > 0) {
+      params.FilterExpression = filters.join(' AND ')
+      params.ExpressionAttributeValues = expressionAttributeValues
+    }
+
+    const result = await docClient.send(new ScanCommand(params))
+
+    res.status(200).json({
+      lockouts: (result.Items || []).sort((a, b) => new Date(b.lockedAt) - new Date(a.lockedAt)),
+      nextToken: encodePageToken(result.LastEvaluatedKey),
+    })
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: error.message })
+    }
+    console.error('Error listing login lockouts:', error)
+    res.status(500).json({ error: 'Failed to list login lockouts' })
+  }
+})
+
+// List orders, optionally for one buyer or storefront
+router.get('/orders', async (req, res) => {
+  try {
+    const admin = await requireAdmin(req, res)
+    if (!admin) return
+
+    const { userId, storeId, limit, nextToken } = req.query
+
+    const filters = []
+    const expressionAttributeValues = {}
+    if (userId) {
+      filters.push('userId = :userId')
+      expressionAttributeValues[':userId'] = userId
+    }
+    if (storeId) {
+      filters.push('storeId = :storeId')
+      expressionAttributeValues[':storeId'] = storeId
+    }
+
+    const params = {
+      TableName: ORDERS_TABLE,
+      Limit: parsePageSize(limit),
+      ExclusiveStartKey: decodePageToken(nextToken),
+    }
+    if (filters.length > 0) {
+      params.FilterExpression = filters.join(' AND ')
+      params.ExpressionAttributeValues = expressionAttributeValues
+    }
+
+    const result = await docClient.send(new ScanCommand(params))
+
+    res.status(200).json({
+      orders: result.Items || [],
+      nextToken: encodePageToken(result.LastEvaluatedKey),
+    })
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: error.message })
+    }
+    console.error('Error listing orders:', error)
+    res.status(500).json({ error: 'Failed to list orders' })
+  }
+})
+
+// Get any order
+router.get('/orders/:orderId', async (req, res) => {
+  try {
+    const admin = await requireAdmin(req, res)
+    if (!admin) return
+
+    const order = await getRecord(ORDERS_TABLE, { id: req.params.orderId })
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' })
+    }
+
+    res.status(200).json({ order })
+  } catch (error) {
+    console.error('Error getting order:', error)
+    res.status(500).json({ error: 'Failed to get order' })
+  }
+})
+
+module.exports = router
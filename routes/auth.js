@@ -2,52 +2,68 @@ const express = require('express')
 const crypto = require('crypto')
 const { docClient } = require('../utils/dynamodb')
 const { PutCommand, GetCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb')
-const {
-  CognitoIdentityProviderClient,
-  AdminCreateUserCommand,
-  AdminSetUserPasswordCommand,
-  AdminInitiateAuthCommand,
-  AdminGetUserCommand,
-} = require('@aws-sdk/client-cognito-identity-provider')
 const { verifyToken } = require('../utils/jwt')
-const { getSecret } = require('../utils/secrets')
+const { hitRateLimit } = require('../utils/rateLimit')
+const { revokeTokenId, revokeAllForUser } = require('../utils/tokenRevocation')
+const { getIdentityProvider } = require('../services/identity')
+const { deleteAccount } = require('../services/accountDeletionService')
+const { buildUserExport } = require('../services/dataExportService')
+const { createZip } = require('../utils/zip')
+const { ROLE_GROUPS, ROLES, hasRole } = require('../utils/roles')
+const { buildOtpauthUri } = require('../utils/totp')
+const { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } = require('../services/loginProtectionService')
+const { identityUsernameOf } = require('../utils/userRecords')
 
 const router = express.Router()
 const USERS_TABLE = process.env.USERS_TABLE || 'UsersTable'
+const PASSWORD_RESET_LIMIT = parseInt(process.env.PASSWORD_RESET_LIMIT || '5', 10)
+const PASSWORD_RESET_WINDOW_SECONDS = parseInt(process.env.PASSWORD_RESET_WINDOW_SECONDS || '3600', 10)
+const EMAIL_VERIFICATION_LIMIT = parseInt(process.env.EMAIL_VERIFICATION_LIMIT || '5', 10)
+const EMAIL_VERIFICATION_WINDOW_SECONDS = parseInt(process.env.EMAIL_VERIFICATION_WINDOW_SECONDS || '3600', 10)
+const MFA_ISSUER = process.env.MFA_ISSUER || 'FaaSify'
+const MFA_LOGIN_LIMIT = parseInt(process.env.MFA_LOGIN_LIMIT || '10', 10)
+const MFA_LOGIN_WINDOW_SECONDS = parseInt(process.env.MFA_LOGIN_WINDOW_SECONDS || '900', 10)
+// Wrong codes allowed per MFA session before it has to be started again with /login
+const MFA_SESSION_ATTEMPTS = 5
+// Longer than an MFA session lasts (three minutes)
+const MFA_SESSION_WINDOW_SECONDS = 600
 
-// Cognito client
-const cognito = new CognitoIdentityProviderClient({
-  region: process.env.AWS_REGION || 'us-west-2',
-})
-
-const COGNITO_USER_POOL_ID = process.env.COGNITO_USER_POOL_ID
-const COGNITO_CLIENT_ID = process.env.COGNITO_CLIENT_ID
-const COGNITO_CLIENT_SECRET = process.env.COGNITO_CLIENT_SECRET
+// Cognito or the local provider, selected by IDENTITY_PROVIDER (see services/identity)
+const identity = getIdentityProvider()
 
-// get cognito client secret from AWS secrets manager
-async function getCognitoClientSecret () {
-  if (COGNITO_CLIENT_SECRET) return COGNITO_CLIENT_SECRET
+// Look up the DynamoDB user record for the sub in an ID token and shape it for auth responses
+const getUserSummaryFromIdToken = async (idToken, email) => {
+  const decoded = require('jsonwebtoken').decode(idToken)
+  const userId = decoded.sub
+  const fallbackEmail = (email || decoded.email || '').toLowerCase()
 
-  // this looks up the key "COGNITO_CLIENT_SECRET" in your Secrets Manager JSON
-  COGNITO_CLIENT_SECRET = await getSecret('COGNITO_CLIENT_SECRET')
-  return COGNITO_CLIENT_SECRET
-}
+  // Get user from DynamoDB using the token sub as userId
+  const userResult = await docClient.send(
+    new GetCommand({
+      TableName: USERS_TABLE,
+      Key: {
+        userId,
+      },
+    })
+  )
 
-if (!COGNITO_USER_POOL_ID || !COGNITO_CLIENT_ID) {
-  console.warn('WARNING: COGNITO_USER_POOL_ID or COGNITO_CLIENT_ID not set in .env')
-}
+  const user = userResult.Item || { email: fallbackEmail }
 
-// Compute SECRET_HASH for Cognito (required when client has a secret)
-const computeSecretHash = (username, clientId, clientSecret) => {
-  if (!clientSecret) {
-    return undefined
+  return {
+    userId: user.userId || fallbackEmail,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    roles: user.roles || (user.role ? [user.role] : []),
+    hasStorefront: user.hasStorefront || false,
+    mfaEnabled: user.mfaEnabled || false,
   }
-  return crypto
-    .createHmac('SHA256', clientSecret)
-    .update(username + clientId)
-    .digest('base64')
 }
 
+// Cognito's token APIs need an access token; accept it from the body when the bearer is an ID token
+const getAccessToken = (req, user) =>
+  user.tokenUse === 'access' ? req.headers.authorization.substring(7) : req.body.accessToken
+
 // Register
 router.post('/register', async (req, res) => {
   try {
@@ -58,7 +74,7 @@ router.post('/register', async (req, res) => {
       return res.status(400).json({ error: 'Missing required fields: name, email, password, role' })
     }
 
-    if (!['buyer', 'seller'].includes(role)) {
+    if (!ROLES.includes(role)) {
       return res.status(400).json({ error: 'Role must be either "buyer" or "seller"' })
     }
 
@@ -66,83 +82,67 @@ router.post('/register', async (req, res) => {
       return res.status(400).json({ error: 'Password must be at least 6 characters' })
     }
 
-    if (!COGNITO_USER_POOL_ID || !COGNITO_CLIENT_ID) {
-      return res.status(500).json({ error: 'Cognito not configured' })
+    if (!identity.isConfigured()) {
+      return res.status(500).json({ error: 'Identity provider not configured' })
     }
 
-    // Create user in Cognito
-    let cognitoSub
+    // Create user in the identity provider
+    let userId
+    let credentialFields
     try {
-      await cognito.send(
-        new AdminCreateUserCommand({
-          UserPoolId: COGNITO_USER_POOL_ID,
-          Username: email.toLowerCase(),
-          UserAttributes: [
-            { Name: 'email', Value: email.toLowerCase() },
-            { Name: 'name', Value: name },
-            { Name: 'email_verified', Value: 'true' },
-            { Name: 'custom:role', Value: role }, // Store role as custom attribute
-          ],
-          TemporaryPassword: password,
-          MessageAction: 'SUPPRESS', // Don't send welcome email
-        })
-      )
-
-      // Set permanent password
-      await cognito.send(
-        new AdminSetUserPasswordCommand({
-          UserPoolId: COGNITO_USER_POOL_ID,
-          Username: email.toLowerCase(),
-          Password: password,
-          Permanent: true,
-        })
-      )
-
-      // Get the user to retrieve the Cognito sub
-      const getUserResponse = await cognito.send(
-        new AdminGetUserCommand({
-          UserPoolId: COGNITO_USER_POOL_ID,
-          Username: email.toLowerCase(),
-        })
-      )
-
-      // Extract sub from user attributes
-      const subAttr = getUserResponse.UserAttributes.find((attr) => attr.Name === 'sub')
-      cognitoSub = subAttr?.Value
-
-      if (!cognitoSub) {
-        throw new Error('Failed to retrieve Cognito sub')
-      }
-    } catch (cognitoError) {
-      console.error('Cognito registration error:', cognitoError.message)
-      if (cognitoError.name === 'UsernameExistsException') {
+      const created = await identity.createUser({
+        email: email.toLowerCase(),
+        name,
+        role,
+        password,
+      })
+      userId = created.userId
+      credentialFields = created.recordFields
+    } catch (authError) {
+      console.error('Identity provider registration error:', authError.message)
+      if (authError.name === 'UsernameExistsException') {
         return res.status(409).json({ error: 'User with this email already exists' })
       }
-      return res.status(500).json({ error: `Cognito error: ${cognitoError.message}` })
+      if (authError.name === 'InvalidPasswordException') {
+        return res.status(400).json({ error: authError.message })
+      }
+      return res.status(500).json({ error: `Registration error: ${authError.message}` })
     }
 
-    // Create user record in DynamoDB using Cognito sub as userId (partition key)
+    // Create user record in DynamoDB using the provider's user id (Cognito sub) as partition key
     const user = {
-      userId: cognitoSub, // Use Cognito sub as partition key
+      userId, // Cognito sub, or a generated UUID for the local provider
       email: email.toLowerCase(),
       name,
       role,
+      roles: [role], // Mirrors Cognito group membership (see POST /auth/roles)
       hasStorefront: false,
+      verified: false, // Set by POST /auth/verify-email
       createdAt: new Date().toISOString(),
     }
 
-    await docClient.send(
-      new PutCommand({
-        TableName: USERS_TABLE,
-        Item: user,
+    try {
+      await docClient.send(
+        new PutCommand({
+          TableName: USERS_TABLE,
+          Item: { ...user, ...credentialFields }, // e.g. passwordHash for the local provider
+        })
+      )
+    } catch (dbError) {
+      // Remove the identity user too, so registering again with this email isn't rejected as a duplicate
+      console.error('Error saving new user, deleting identity user:', dbError)
+      const username = identityUsernameOf({ email: user.email, ...credentialFields })
+      await identity.deleteUser({ username }).catch((rollbackError) => {
+        console.error('Failed to delete identity user after a failed registration:', rollbackError.message)
       })
-    )
+      throw dbError
+    }
 
-    // Return user data (token should come from frontend after user logs in)
+    // Return user data (tokens come from /login once the email is verified)
     res.status(201).json({
       message: 'User created successfully',
       user,
-      note: 'Please log in to receive tokens',
+      note: 'A verification code has been sent to your email. Verify it with /auth/verify-email before logging in',
     })
   } catch (error) {
     console.error('Error creating user:', error)
@@ -150,6 +150,118 @@ router.post('/register', async (req, res) => {
   }
 })
 
+// Verify email - confirms the account with the code sent at registration
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { email, code } = req.body
+
+    if (!email || !code) {
+      return res.status(400).json({ error: 'Email and code are required' })
+    }
+
+    if (!identity.isConfigured()) {
+      return res.status(500).json({ error: 'Identity provider not configured' })
+    }
+
+    const username = email.toLowerCase()
+
+    const limit = await hitRateLimit('verify-email', username, EMAIL_VERIFICATION_LIMIT, EMAIL_VERIFICATION_WINDOW_SECONDS)
+    if (!limit.allowed) {
+      res.set('Retry-After', String(limit.retryAfterSeconds))
+      return res.status(429).json({ error: 'Too many verification attempts. Please try again later.' })
+    }
+
+    let userId
+    try {
+      const confirmed = await identity.confirmSignUp({ email: username, code })
+      userId = confirmed.userId
+    } catch (authError) {
+      console.error('Identity provider verify email error:', authError.message)
+      // Already-confirmed and unknown accounts look the same as a wrong code
+      if (
+        authError.name === 'CodeMismatchException' ||
+        authError.name === 'ExpiredCodeException' ||
+        authError.name === 'UserNotFoundException' ||
+        authError.name === 'NotAuthorizedException'
+      ) {
+        return res.status(400).json({ error: 'Invalid or expired verification code' })
+      }
+      if (authError.name === 'LimitExceededException' || authError.name === 'TooManyFailedAttemptsException') {
+        return res.status(429).json({ error: 'Too many verification attempts. Please try again later.' })
+      }
+      return res.status(500).json({ error: 'Failed to verify email' })
+    }
+
+    await docClient.send(
+      new UpdateCommand({
+        TableName: USERS_TABLE,
+        Key: { userId },
+        UpdateExpression: 'SET verified = :verified, verifiedAt = :now, updatedAt = :now',
+        ConditionExpression: 'attribute_exists(userId)',
+        ExpressionAttributeValues: {
+          ':verified': true,
+          ':now': new Date().toISOString(),
+        },
+      })
+    )
+
+    res.status(200).json({ message: 'Email verified successfully. You can now log in' })
+  } catch (error) {
+    console.error('Error verifying email:', error)
+    res.status(500).json({ error: 'Failed to verify email' })
+  }
+})
+
+// Same body for every resend request so it can't be used to probe for accounts
+const RESEND_VERIFICATION_RESPONSE = {
+  message: 'If an unverified account exists for this email, a new verification code has been sent',
+}
+
+// Resend the registration verification code
+router.post('/resend-verification', async (req, res) => {
+  try {
+    const { email } = req.body
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' })
+    }
+
+    if (!identity.isConfigured()) {
+      return res.status(500).json({ error: 'Identity provider not configured' })
+    }
+
+    const username = email.toLowerCase()
+
+    const limit = await hitRateLimit('resend-verification', username, EMAIL_VERIFICATION_LIMIT, EMAIL_VERIFICATION_WINDOW_SECONDS)
+    if (!limit.allowed) {
+      res.set('Retry-After', String(limit.retryAfterSeconds))
+      return res.status(429).json({ error: 'Too many verification requests. Please try again later.' })
+    }
+
+    try {
+      await identity.resendConfirmationCode({ email: username })
+    } catch (authError) {
+      // Unknown and already-verified users get the same response as real ones
+      if (
+        authError.name !== 'UserNotFoundException' &&
+        authError.name !== 'InvalidParameterException' &&
+        authError.name !== 'NotAuthorizedException'
+      ) {
+        console.error('Identity provider resend verification error:', authError.message)
+        if (authError.name === 'LimitExceededException') {
+          return res.status(429).json({ error: 'Too many verification requests. Please try again later.' })
+        }
+        return res.status(500).json({ error: 'Failed to resend verification code' })
+      }
+    }
+
+    res.status(200).json(RESEND_VERIFICATION_RESPONSE)
+  } catch (error) {
+    console.error('Error resending verification code:', error)
+    res.status(500).json({ error: 'Failed to resend verification code' })
+  }
+})
+
 // Login
 router.post('/login', async (req, res) => {
   try {
@@ -159,83 +271,715 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ error: 'Email and password are required' })
     }
 
-    if (!COGNITO_USER_POOL_ID || !COGNITO_CLIENT_ID) {
-      return res.status(500).json({ error: 'Cognito not configured' })
+    if (!identity.isConfigured()) {
+      return res.status(500).json({ error: 'Identity provider not configured' })
+    }
+
+    // Failed attempts are tracked per email and per IP (see services/loginProtectionService.js)
+    const attempt = { email: email.toLowerCase(), ip: req.ip }
+    const gate = await checkLoginAllowed(attempt)
+    if (!gate.allowed) {
+      res.set('Retry-After', String(gate.retryAfterSeconds))
+      return res.status(429).json(
+        gate.reason === 'locked'
+          ? { error: 'Too many failed login attempts. Login is temporarily locked.', code: 'LOGIN_LOCKED', retryAfterSeconds: gate.retryAfterSeconds }
+          : { error: 'Too many failed login attempts. Please wait before trying again.', code: 'LOGIN_THROTTLED', retryAfterSeconds: gate.retryAfterSeconds }
+      )
     }
 
     try {
-      // Authenticate with Cognito using AdminInitiateAuth
-      // This is an admin operation and doesn't depend on client auth flows
-      const authParams = {
-        USERNAME: email.toLowerCase(),
-        PASSWORD: password,
+      const result = await identity.authenticate({
+        email: email.toLowerCase(),
+        password,
+      })
+
+      // The password was right, even if an MFA code is still needed
+      await recordLoginSuccess(attempt)
+
+      // Accounts with MFA get a session to finish with POST /auth/login/mfa instead of tokens
+      if (result.challengeName === 'SOFTWARE_TOKEN_MFA') {
+        return res.status(200).json({
+          message: 'MFA code required',
+          challenge: result.challengeName,
+          session: result.session,
+        })
+      }
+      if (result.challengeName) {
+        return res.status(403).json({
+          error: `Login requires an unsupported challenge: ${result.challengeName}`,
+          challenge: result.challengeName,
+        })
       }
 
-      // get client secret from AWS secrets manager (or .env if USE_LOCAL_ENV is true)
-      const clientSecret = await getCognitoClientSecret();
+      const user = await getUserSummaryFromIdToken(result.idToken, email)
 
-      // Add SECRET_HASH if client secret is configured
-      // const secretHash = computeSecretHash(email.toLowerCase(), COGNITO_CLIENT_ID, COGNITO_CLIENT_SECRET)
-      const secretHash = computeSecretHash(email.toLowerCase(), COGNITO_CLIENT_ID, clientSecret)
-      if (secretHash) {
-        authParams.SECRET_HASH = secretHash
+      // Return tokens and user info
+      res.status(200).json({
+        message: 'Login successful',
+        user,
+        tokens: result,
+      })
+    } catch (authError) {
+      console.error('Identity provider login error:', authError.message)
+      if (authError.name === 'NotAuthorizedException' && /disabled/i.test(authError.message || '')) {
+        return res.status(403).json({ error: 'This account has been suspended', code: 'ACCOUNT_SUSPENDED' })
+      }
+      if (
+        authError.name === 'NotAuthorizedException' ||
+        authError.name === 'UserNotFoundException'
+      ) {
+        const failure = await recordLoginFailure(attempt)
+        if (failure.retryAfterSeconds > 0) {
+          res.set('Retry-After', String(failure.retryAfterSeconds))
+        }
+        if (failure.locked) {
+          return res.status(429).json({
+            error: 'Too many failed login attempts. Login is temporarily locked.',
+            code: 'LOGIN_LOCKED',
+            retryAfterSeconds: failure.retryAfterSeconds,
+          })
+        }
+        return res.status(401).json({ error: 'Invalid email or password' })
+      }
+      if (authError.name === 'UserNotConfirmedException') {
+        return res.status(403).json({
+          error: 'Email not verified. Check your inbox for the verification code',
+          code: 'EMAIL_NOT_VERIFIED',
+        })
       }
+      return res.status(500).json({ error: `Login failed: ${authError.message}` })
+    }
+  } catch (error) {
+    console.error('Error during login:', error)
+    res.status(500).json({ error: 'Login failed' })
+  }
+})
+
+// Finish an MFA login with the session from /login and a code from the authenticator app
+router.post('/login/mfa', async (req, res) => {
+  try {
+    const { email, session, code } = req.body
+
+    if (!email || !session || !code) {
+      return res.status(400).json({ error: 'Missing required fields: email, session, code' })
+    }
+
+    if (!identity.isConfigured()) {
+      return res.status(500).json({ error: 'Identity provider not configured' })
+    }
 
-      const authResponse = await cognito.send(
-        new AdminInitiateAuthCommand({
-          UserPoolId: COGNITO_USER_POOL_ID,
-          ClientId: COGNITO_CLIENT_ID,
-          AuthFlow: 'ADMIN_NO_SRP_AUTH',
-          AuthParameters: authParams,
+    // Codes are only six digits, so attempts are limited per email (across sessions) and per
+    // session; sessions are long, so they are counted by hash
+    const emailLimit = await hitRateLimit('login-mfa', email.toLowerCase(), MFA_LOGIN_LIMIT, MFA_LOGIN_WINDOW_SECONDS)
+    if (!emailLimit.allowed) {
+      res.set('Retry-After', String(emailLimit.retryAfterSeconds))
+      return res.status(429).json({ error: 'Too many MFA attempts. Please try again later.', retryAfterSeconds: emailLimit.retryAfterSeconds })
+    }
+    const sessionHash = crypto.createHash('sha256').update(String(session)).digest('hex')
+    const sessionLimit = await hitRateLimit('login-mfa-session', sessionHash, MFA_SESSION_ATTEMPTS, MFA_SESSION_WINDOW_SECONDS)
+    if (!sessionLimit.allowed) {
+      return res.status(401).json({ error: 'Too many wrong codes for this MFA session. Please log in again', code: 'MFA_SESSION_EXPIRED' })
+    }
+
+    try {
+      const tokens = await identity.respondToMfaChallenge({
+        email: email.toLowerCase(),
+        session,
+        code: String(code),
+      })
+
+      const user = await getUserSummaryFromIdToken(tokens.idToken, email)
+
+      res.status(200).json({
+        message: 'Login successful',
+        user,
+        tokens,
+      })
+    } catch (authError) {
+      console.error('Identity provider MFA login error:', authError.message)
+      if (authError.name === 'CodeMismatchException') {
+        return res.status(401).json({ error: 'Invalid MFA code' })
+      }
+      if (authError.name === 'NotAuthorizedException' || authError.name === 'ExpiredCodeException') {
+        return res.status(401).json({ error: 'MFA session is invalid or has expired. Please log in again', code: 'MFA_SESSION_EXPIRED' })
+      }
+      return res.status(500).json({ error: `Login failed: ${authError.message}` })
+    }
+  } catch (error) {
+    console.error('Error during MFA login:', error)
+    res.status(500).json({ error: 'Login failed' })
+  }
+})
+
+// Refresh tokens
+// Exchanges the refresh token returned by /login for new ID and access tokens
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken, email } = req.body
+
+    if (!refreshToken || !email) {
+      return res.status(400).json({ error: 'Email and refreshToken are required' })
+    }
+
+    if (!identity.isConfigured()) {
+      return res.status(500).json({ error: 'Identity provider not configured' })
+    }
+
+    try {
+      const tokens = await identity.refreshTokens({
+        email: email.toLowerCase(),
+        refreshToken,
+      })
+
+      const user = await getUserSummaryFromIdToken(tokens.idToken, email)
+
+      res.status(200).json({
+        message: 'Token refresh successful',
+        user,
+        tokens,
+      })
+    } catch (authError) {
+      console.error('Identity provider refresh error:', authError.message)
+      if (authError.name === 'NotAuthorizedException') {
+        const message = authError.message || ''
+        if (/disabled/i.test(message)) {
+          return res.status(403).json({ error: 'This account has been suspended', code: 'ACCOUNT_SUSPENDED' })
+        }
+        if (/revoked/i.test(message)) {
+          return res.status(401).json({ error: 'Refresh token has been revoked', code: 'REFRESH_TOKEN_REVOKED' })
+        }
+        if (/expired/i.test(message)) {
+          return res.status(401).json({ error: 'Refresh token has expired', code: 'REFRESH_TOKEN_EXPIRED' })
+        }
+        return res.status(401).json({ error: 'Invalid refresh token', code: 'REFRESH_TOKEN_INVALID' })
+      }
+      if (authError.name === 'UserNotFoundException') {
+        return res.status(401).json({ error: 'Invalid refresh token', code: 'REFRESH_TOKEN_INVALID' })
+      }
+      return res.status(500).json({ error: `Token refresh failed: ${authError.message}` })
+    }
+  } catch (error) {
+    console.error('Error refreshing tokens:', error)
+    res.status(500).json({ error: 'Token refresh failed' })
+  }
+})
+
+// Logout
+// Signs the user out with the identity provider (invalidating refresh tokens) and revokes the presented token session
+// so its ID/access tokens stop working immediately instead of at expiry
+router.post('/logout', async (req, res) => {
+  try {
+    const user = await verifyToken(req)
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized: Invalid or missing token' })
+    }
+
+    const accessToken = getAccessToken(req, user)
+
+    try {
+      await identity.signOut({ accessToken, tokenId: user.tokenId })
+    } catch (authError) {
+      // An already signed-out access token still gets revoked locally below
+      console.warn('Identity provider sign-out error:', authError.message)
+      if (authError.name === 'InvalidParameterException') {
+        return res.status(400).json({
+          error: 'An access token is required (as the bearer token or accessToken in the body)',
         })
-      )
+      }
+      if (authError.name !== 'NotAuthorizedException') {
+        return res.status(500).json({ error: `Logout failed: ${authError.message}` })
+      }
+    }
 
-      // Extract sub from the ID token to use as userId
-      const idToken = authResponse.AuthenticationResult.IdToken
-      const decoded = require('jsonwebtoken').decode(idToken)
-      const cognitoSub = decoded.sub
+    await revokeTokenId(user.tokenId, user.tokenExpiresAt)
 
-      // Get user from DynamoDB using Cognito sub as userId
-      const userResult = await docClient.send(
-        new GetCommand({
+    res.status(200).json({ message: 'Logged out successfully' })
+  } catch (error) {
+    console.error('Error during logout:', error)
+    res.status(500).json({ error: 'Logout failed' })
+  }
+})
+
+// Logout everywhere
+// Signs out every session for the user and revokes all tokens issued before now
+router.post('/logout-all', async (req, res) => {
+  try {
+    const user = await verifyToken(req)
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized: Invalid or missing token' })
+    }
+
+    if (!identity.isConfigured()) {
+      return res.status(500).json({ error: 'Identity provider not configured' })
+    }
+
+    try {
+      await identity.signOutAll({ username: user.username || user.email || user.userId })
+    } catch (authError) {
+      console.error('Identity provider global sign-out error:', authError.message)
+      return res.status(500).json({ error: `Logout failed: ${authError.message}` })
+    }
+
+    await revokeAllForUser(user.userId)
+
+    res.status(200).json({ message: 'Logged out of all sessions successfully' })
+  } catch (error) {
+    console.error('Error during logout-all:', error)
+    res.status(500).json({ error: 'Logout failed' })
+  }
+})
+
+// Add a role to the caller's account (e.g. a buyer opening a shop becomes buyer + seller)
+// Cognito group membership is updated first and undone if the UsersTable write fails.
+// The new role shows up in cognito:groups after the client refreshes its tokens.
+router.post('/roles', async (req, res) => {
+  try {
+    const user = await verifyToken(req)
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized: Invalid or missing token' })
+    }
+
+    const { role } = req.body
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: 'Role must be either "buyer" or "seller"' })
+    }
+
+    if (!identity.isConfigured()) {
+      return res.status(500).json({ error: 'Identity provider not configured' })
+    }
+
+    const existingResult = await docClient.send(
+      new GetCommand({
+        TableName: USERS_TABLE,
+        Key: { userId: user.userId },
+      })
+    )
+
+    if (!existingResult.Item) {
+      return res.status(404).json({ error: 'User not found' })
+    }
+
+    const existing = existingResult.Item
+    const currentRoles = existing.roles || (existing.role ? [existing.role] : [])
+
+    if (currentRoles.includes(role)) {
+      return res.status(200).json({
+        message: `Account already has the ${role} role`,
+        roles: currentRoles,
+      })
+    }
+
+    const roles = [...currentRoles, role]
+
+    try {
+      await identity.addUserToGroup({ username: identityUsernameOf(existing), group: ROLE_GROUPS[role] })
+    } catch (authError) {
+      console.error('Identity provider add to group error:', authError.message)
+      return res.status(500).json({ error: `Failed to update role: ${authError.message}` })
+    }
+
+    try {
+      await docClient.send(
+        new UpdateCommand({
           TableName: USERS_TABLE,
-          Key: {
-            userId: cognitoSub,
+          Key: { userId: user.userId },
+          UpdateExpression: 'SET #roles = :roles, updatedAt = :updatedAt',
+          ExpressionAttributeNames: {
+            '#roles': 'roles',
+          },
+          ExpressionAttributeValues: {
+            ':roles': roles,
+            ':updatedAt': new Date().toISOString(),
           },
         })
       )
+    } catch (dynamoError) {
+      console.error('Failed to save roles, removing group membership:', dynamoError)
+      try {
+        await identity.removeUserFromGroup({ username: identityUsernameOf(existing), group: ROLE_GROUPS[role] })
+      } catch (rollbackError) {
+        console.error('Failed to roll back group membership:', rollbackError)
+      }
+      return res.status(500).json({ error: 'Failed to update role' })
+    }
 
-      const user = userResult.Item || { email: email.toLowerCase() }
+    res.status(200).json({
+      message: `Added the ${role} role. Refresh your tokens to use it.`,
+      roles,
+    })
+  } catch (error) {
+    console.error('Error updating roles:', error)
+    res.status(500).json({ error: 'Failed to update role' })
+  }
+})
 
-      // Return tokens and user info
-      res.status(200).json({
-        message: 'Login successful',
-        user: {
-          userId: user.userId || email.toLowerCase(),
-          email: user.email,
-          name: user.name,
-          role: user.role,
-          hasStorefront: user.hasStorefront || false,
-        },
-        tokens: {
-          idToken: authResponse.AuthenticationResult.IdToken,
-          accessToken: authResponse.AuthenticationResult.AccessToken,
-          refreshToken: authResponse.AuthenticationResult.RefreshToken,
-        },
+// Start MFA enrollment: returns a secret for the user's authenticator app
+router.post('/mfa/setup', async (req, res) => {
+  try {
+    const user = await verifyToken(req)
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized: Invalid or missing token' })
+    }
+
+    const accessToken = getAccessToken(req, user)
+    if (!accessToken) {
+      return res.status(400).json({ error: 'An access token is required (as the bearer token or accessToken in the body)' })
+    }
+
+    if (!identity.isConfigured()) {
+      return res.status(500).json({ error: 'Identity provider not configured' })
+    }
+
+    // Access tokens carry no email claim, so label the authenticator entry from the user record
+    const existingResult = await docClient.send(
+      new GetCommand({
+        TableName: USERS_TABLE,
+        Key: { userId: user.userId },
       })
-    } catch (cognitoError) {
-      console.error('Cognito login error:', cognitoError.message)
+    )
+
+    if (!existingResult.Item) {
+      return res.status(404).json({ error: 'User not found' })
+    }
+
+    let secretCode
+    try {
+      const association = await identity.associateSoftwareToken({ accessToken })
+      secretCode = association.secretCode
+    } catch (authError) {
+      console.error('Identity provider MFA setup error:', authError.message)
+      if (authError.name === 'NotAuthorizedException') {
+        return res.status(401).json({ error: 'Invalid or expired access token' })
+      }
+      return res.status(500).json({ error: `Identity provider error: ${authError.message}` })
+    }
+
+    res.status(200).json({
+      message: 'Add this secret to your authenticator app, then confirm a code with /auth/mfa/verify',
+      secretCode,
+      otpauthUri: buildOtpauthUri({ secret: secretCode, accountName: existingResult.Item.email, issuer: MFA_ISSUER }),
+    })
+  } catch (error) {
+    console.error('Error starting MFA setup:', error)
+    res.status(500).json({ error: 'Failed to start MFA setup' })
+  }
+})
+
+// Finish MFA enrollment with a code from the authenticator app; later logins will ask for a code
+router.post('/mfa/verify', async (req, res) => {
+  try {
+    const user = await verifyToken(req)
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized: Invalid or missing token' })
+    }
+
+    const { code, friendlyName } = req.body
+    const accessToken = getAccessToken(req, user)
+    if (!code || !accessToken) {
+      return res.status(400).json({ error: 'Missing required fields: code, accessToken' })
+    }
+
+    if (!identity.isConfigured()) {
+      return res.status(500).json({ error: 'Identity provider not configured' })
+    }
+
+    const existingResult = await docClient.send(
+      new GetCommand({
+        TableName: USERS_TABLE,
+        Key: { userId: user.userId },
+      })
+    )
+
+    if (!existingResult.Item) {
+      return res.status(404).json({ error: 'User not found' })
+    }
+
+    try {
+      await identity.verifySoftwareToken({ accessToken, code: String(code), friendlyName })
+      await identity.setMfaEnabled({ username: identityUsernameOf(existingResult.Item), enabled: true })
+    } catch (authError) {
+      console.error('Identity provider MFA verify error:', authError.message)
       if (
-        cognitoError.name === 'NotAuthorizedException' ||
-        cognitoError.name === 'UserNotFoundException'
+        authError.name === 'CodeMismatchException' ||
+        authError.name === 'EnableSoftwareTokenMFAException' ||
+        authError.name === 'InvalidParameterException'
       ) {
-        return res.status(401).json({ error: 'Invalid email or password' })
+        return res.status(400).json({ error: 'Invalid MFA code. Run /auth/mfa/setup again if the secret was lost' })
       }
-      return res.status(500).json({ error: `Login failed: ${cognitoError.message}` })
+      if (authError.name === 'NotAuthorizedException') {
+        return res.status(401).json({ error: 'Invalid or expired access token' })
+      }
+      return res.status(500).json({ error: `Identity provider error: ${authError.message}` })
     }
+
+    await updateUserRecord(user.userId, { mfaEnabled: true })
+
+    res.status(200).json({ message: 'MFA enabled. Future logins will ask for a code from your authenticator app' })
   } catch (error) {
-    console.error('Error during login:', error)
-    res.status(500).json({ error: 'Login failed' })
+    console.error('Error verifying MFA setup:', error)
+    res.status(500).json({ error: 'Failed to verify MFA setup' })
+  }
+})
+
+// Turn MFA off; refused while the account requires it
+router.delete('/mfa', async (req, res) => {
+  try {
+    const user = await verifyToken(req)
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized: Invalid or missing token' })
+    }
+
+    if (!identity.isConfigured()) {
+      return res.status(500).json({ error: 'Identity provider not configured' })
+    }
+
+    const existingResult = await docClient.send(
+      new GetCommand({
+        TableName: USERS_TABLE,
+        Key: { userId: user.userId },
+      })
+    )
+
+    if (!existingResult.Item) {
+      return res.status(404).json({ error: 'User not found' })
+    }
+
+    if (existingResult.Item.mfaRequired) {
+      return res.status(403).json({ error: 'MFA is required for this account. Turn off the requirement first', code: 'MFA_REQUIRED' })
+    }
+
+    try {
+      await identity.setMfaEnabled({ username: identityUsernameOf(existingResult.Item), enabled: false })
+    } catch (authError) {
+      console.error('Identity provider MFA disable error:', authError.message)
+      return res.status(500).json({ error: `Identity provider error: ${authError.message}` })
+    }
+
+    await updateUserRecord(user.userId, { mfaEnabled: false })
+
+    res.status(200).json({ message: 'MFA disabled' })
+  } catch (error) {
+    console.error('Error disabling MFA:', error)
+    res.status(500).json({ error: 'Failed to disable MFA' })
+  }
+})
+
+// Sellers can require MFA on their account so it can't be switched off by accident
+router.put('/mfa/required', async (req, res) => {
+  try {
+    const user = await verifyToken(req)
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized: Invalid or missing token' })
+    }
+
+    if (!hasRole(user, 'seller')) {
+      return res.status(403).json({ error: 'Forbidden: Only sellers can require MFA' })
+    }
+
+    const { required } = req.body
+    if (typeof required !== 'boolean') {
+      return res.status(400).json({ error: 'required must be a boolean' })
+    }
+
+    const existingResult = await docClient.send(
+      new GetCommand({
+        TableName: USERS_TABLE,
+        Key: { userId: user.userId },
+      })
+    )
+
+    if (!existingResult.Item) {
+      return res.status(404).json({ error: 'User not found' })
+    }
+
+    if (required && !existingResult.Item.mfaEnabled) {
+      return res.status(400).json({ error: 'Set up MFA with /auth/mfa/setup before requiring it' })
+    }
+
+    await updateUserRecord(user.userId, { mfaRequired: required })
+
+    res.status(200).json({
+      message: required ? 'MFA is now required for this account' : 'MFA is no longer required for this account',
+      mfaRequired: required,
+    })
+  } catch (error) {
+    console.error('Error updating MFA requirement:', error)
+    res.status(500).json({ error: 'Failed to update MFA requirement' })
+  }
+})
+
+// Delete Account
+// Removes the user from the identity provider and UsersTable after cascading through their
+// cart, subscriptions, chats, storefronts and orders. Calling it again after a failure resumes.
+router.delete('/account', async (req, res) => {
+  try {
+    const user = await verifyToken(req)
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized: Invalid or missing token' })
+    }
+
+    if (!req.body || req.body.confirm !== true) {
+      return res.status(400).json({ error: 'Send { "confirm": true } to delete your account' })
+    }
+
+    const job = await deleteAccount(user.userId)
+
+    res.status(200).json({
+      message: 'Account deleted successfully',
+      deletion: {
+        status: job.status,
+        completedSteps: job.completedSteps,
+        completedAt: job.completedAt,
+      },
+    })
+  } catch (error) {
+    console.error('Error deleting account:', error)
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to delete account' })
+  }
+})
+
+// Export Personal Data
+// Everything we hold about the caller as one download: ?format=json (default) or ?format=zip
+router.get('/export', async (req, res) => {
+  try {
+    const user = await verifyToken(req)
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized: Invalid or missing token' })
+    }
+
+    const format = (req.query.format || 'json').toLowerCase()
+    if (!['json', 'zip'].includes(format)) {
+      return res.status(400).json({ error: 'Format must be either "json" or "zip"' })
+    }
+
+    const data = await buildUserExport(user.userId)
+    const filename = `faasify-export-${data.exportedAt.slice(0, 10)}`
+
+    if (format === 'zip') {
+      // One JSON file per section
+      const files = Object.entries(data)
+        .filter(([section]) => section !== 'exportedAt')
+        .map(([section, content]) => ({ name: `${section}.json`, content: JSON.stringify(content, null, 2) }))
+      files.unshift({
+        name: 'manifest.json',
+        content: JSON.stringify({ exportedAt: data.exportedAt, userId: user.userId, files: files.map((f) => f.name) }, null, 2),
+      })
+
+      res.set('Content-Type', 'application/zip')
+      res.set('Content-Disposition', `attachment; filename="${filename}.zip"`)
+      return res.status(200).send(createZip(files))
+    }
+
+    res.set('Content-Disposition', `attachment; filename="${filename}.json"`)
+    res.status(200).json(data)
+  } catch (error) {
+    console.error('Error exporting user data:', error)
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to export data' })
+  }
+})
+
+// Same body for every forgot-password request so it can't be used to probe for accounts
+const FORGOT_PASSWORD_RESPONSE = {
+  message: 'If an account exists for this email, a password reset code has been sent',
+}
+
+// Forgot password - sends a reset code through the identity provider
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' })
+    }
+
+    if (!identity.isConfigured()) {
+      return res.status(500).json({ error: 'Identity provider not configured' })
+    }
+
+    const username = email.toLowerCase()
+
+    const limit = await hitRateLimit('forgot-password', username, PASSWORD_RESET_LIMIT, PASSWORD_RESET_WINDOW_SECONDS)
+    if (!limit.allowed) {
+      res.set('Retry-After', String(limit.retryAfterSeconds))
+      return res.status(429).json({ error: 'Too many password reset requests. Please try again later.' })
+    }
+
+    try {
+      await identity.forgotPassword({ email: username })
+    } catch (authError) {
+      // Unknown or unconfirmed users get the same response as real ones
+      if (
+        authError.name !== 'UserNotFoundException' &&
+        authError.name !== 'InvalidParameterException' &&
+        authError.name !== 'NotAuthorizedException'
+      ) {
+        console.error('Identity provider forgot password error:', authError.message)
+        if (authError.name === 'LimitExceededException') {
+          return res.status(429).json({ error: 'Too many password reset requests. Please try again later.' })
+        }
+        return res.status(500).json({ error: 'Failed to start password reset' })
+      }
+    }
+
+    res.status(200).json(FORGOT_PASSWORD_RESPONSE)
+  } catch (error) {
+    console.error('Error starting password reset:', error)
+    res.status(500).json({ error: 'Failed to start password reset' })
+  }
+})
+
+// Confirm forgot password - sets a new password using the emailed code
+router.post('/confirm-forgot-password', async (req, res) => {
+  try {
+    const { email, code, newPassword } = req.body
+
+    if (!email || !code || !newPassword) {
+      return res.status(400).json({ error: 'Missing required fields: email, code, newPassword' })
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters' })
+    }
+
+    if (!identity.isConfigured()) {
+      return res.status(500).json({ error: 'Identity provider not configured' })
+    }
+
+    const username = email.toLowerCase()
+
+    // Separate bucket from forgot-password so guessing codes is limited on its own
+    const limit = await hitRateLimit('confirm-forgot-password', username, PASSWORD_RESET_LIMIT, PASSWORD_RESET_WINDOW_SECONDS)
+    if (!limit.allowed) {
+      res.set('Retry-After', String(limit.retryAfterSeconds))
+      return res.status(429).json({ error: 'Too many password reset attempts. Please try again later.' })
+    }
+
+    try {
+      await identity.confirmForgotPassword({ email: username, code, newPassword })
+    } catch (authError) {
+      console.error('Identity provider confirm forgot password error:', authError.message)
+      // A missing account looks the same as a wrong code
+      if (
+        authError.name === 'CodeMismatchException' ||
+        authError.name === 'ExpiredCodeException' ||
+        authError.name === 'UserNotFoundException' ||
+        authError.name === 'NotAuthorizedException'
+      ) {
+        return res.status(400).json({ error: 'Invalid or expired reset code' })
+      }
+      if (authError.name === 'InvalidPasswordException') {
+        return res.status(400).json({ error: authError.message })
+      }
+      if (authError.name === 'LimitExceededException' || authError.name === 'TooManyFailedAttemptsException') {
+        return res.status(429).json({ error: 'Too many password reset attempts. Please try again later.' })
+      }
+      return res.status(500).json({ error: 'Failed to reset password' })
+    }
+
+    res.status(200).json({ message: 'Password reset successfully' })
+  } catch (error) {
+    console.error('Error confirming password reset:', error)
+    res.status(500).json({ error: 'Failed to reset password' })
   }
 })
 
@@ -274,7 +1018,13 @@ router.get('/profile', async (req, res) => {
       email: result.Item.email,
       name: result.Item.name,
       role: result.Item.role,
+      roles: result.Item.roles || (result.Item.role ? [result.Item.role] : []),
       hasStorefront: result.Item.hasStorefront || false,
+      phoneNumber: result.Item.phoneNumber,
+      picture: result.Item.picture,
+      pendingEmail: result.Item.pendingEmail,
+      mfaEnabled: result.Item.mfaEnabled || false,
+      mfaRequired: result.Item.mfaRequired || false,
       createdAt: result.Item.createdAt || new Date().toISOString(),
     }
 
@@ -290,5 +1040,248 @@ router.get('/profile', async (req, res) => {
   }
 })
 
+// Profile fields that can be edited, mapped to their Cognito attribute names
+const EDITABLE_PROFILE_FIELDS = {
+  name: 'name',
+  phoneNumber: 'phone_number',
+  picture: 'picture',
+}
+
+// Cognito requires E.164 phone numbers, e.g. "+16045551234"
+const PHONE_NUMBER_PATTERN = /^\+[1-9]\d{6,14}$/
+
+// Build Cognito attribute updates from a { field: value } map, skipping unset values
+const toCognitoAttributes = (fields) =>
+  Object.entries(fields)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([field, value]) => ({ Name: EDITABLE_PROFILE_FIELDS[field] || field, Value: String(value) }))
+
+// Write profile fields to the UsersTable record (empty values remove the attribute)
+const updateUserRecord = async (userId, fields) => {
+  const setExpressions = ['updatedAt = :updatedAt']
+  const removeExpressions = []
+  const expressionAttributeNames = {}
+  const expressionAttributeValues = { ':updatedAt': new Date().toISOString() }
+
+  Object.entries(fields).forEach(([field, value]) => {
+    expressionAttributeNames[`#${field}`] = field
+    if (value === undefined || value === null || value === '') {
+      removeExpressions.push(`#${field}`)
+    } else {
+      setExpressions.push(`#${field} = :${field}`)
+      expressionAttributeValues[`:${field}`] = value
+    }
+  })
+
+  let updateExpression = `SET ${setExpressions.join(', ')}`
+  if (removeExpressions.length > 0) {
+    updateExpression += ` REMOVE ${removeExpressions.join(', ')}`
+  }
+
+  const result = await docClient.send(
+    new UpdateCommand({
+      TableName: USERS_TABLE,
+      Key: { userId },
+      UpdateExpression: updateExpression,
+      ExpressionAttributeNames: expressionAttributeNames,
+      ExpressionAttributeValues: expressionAttributeValues,
+      ConditionExpression: 'attribute_exists(userId)',
+      ReturnValues: 'ALL_NEW',
+    })
+  )
+
+  return result.Attributes
+}
+
+// Update Profile
+// Keeps UsersTable and Cognito in sync: DynamoDB is written first and restored if Cognito rejects the change.
+// Changing the email only records it as pendingEmail until the new address is verified.
+router.patch('/profile', async (req, res) => {
+  try {
+    const user = await verifyToken(req)
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized: No token provided' })
+    }
+
+    if (!identity.isConfigured()) {
+      return res.status(500).json({ error: 'Identity provider not configured' })
+    }
+
+    const { name, phoneNumber, picture, email } = req.body
+
+    const updates = {}
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ error: 'Name cannot be empty' })
+      }
+      updates.name = name.trim()
+    }
+    if (phoneNumber !== undefined) {
+      if (phoneNumber && !PHONE_NUMBER_PATTERN.test(phoneNumber)) {
+        return res.status(400).json({ error: 'Phone number must be in E.164 format, e.g. +16045551234' })
+      }
+      updates.phoneNumber = phoneNumber || null
+    }
+    if (picture !== undefined) {
+      updates.picture = picture || null
+    }
+
+    const existingResult = await docClient.send(
+      new GetCommand({
+        TableName: USERS_TABLE,
+        Key: { userId: user.userId },
+      })
+    )
+
+    if (!existingResult.Item) {
+      return res.status(404).json({ error: 'User not found' })
+    }
+
+    const existing = existingResult.Item
+    const newEmail = email ? email.toLowerCase() : undefined
+    const emailChanged = newEmail && newEmail !== existing.email
+
+    if (Object.keys(updates).length === 0 && !emailChanged) {
+      return res.status(400).json({ error: 'No fields to update' })
+    }
+
+    // Snapshot the current values so a failed Cognito update can be undone
+    const previous = {}
+    Object.keys(updates).forEach((field) => {
+      previous[field] = existing[field]
+    })
+
+    const dynamoUpdates = { ...updates }
+    if (emailChanged) {
+      dynamoUpdates.pendingEmail = newEmail
+      previous.pendingEmail = existing.pendingEmail
+      // Admin calls can't find the user by email once it changes; keep the username from their token
+      if (!existing.identityUsername && user.username) {
+        dynamoUpdates.identityUsername = user.username
+      }
+    }
+
+    const updatedUser = await updateUserRecord(user.userId, dynamoUpdates)
+
+    const cognitoAttributes = toCognitoAttributes(updates)
+    if (emailChanged) {
+      // Cognito marks the new address unverified and emails a verification code
+      cognitoAttributes.push({ Name: 'email', Value: newEmail })
+    }
+
+    const clearedAttributes = Object.entries(updates)
+      .filter(([, value]) => value === null)
+      .map(([field]) => EDITABLE_PROFILE_FIELDS[field])
+
+    try {
+      await identity.updateUserAttributes({
+        username: identityUsernameOf(existing),
+        attributes: cognitoAttributes,
+        clearedAttributes,
+      })
+    } catch (authError) {
+      console.error('Identity provider profile update error, rolling back UsersTable:', authError.message)
+      try {
+        await updateUserRecord(user.userId, previous)
+      } catch (rollbackError) {
+        console.error('Failed to roll back UsersTable profile update:', rollbackError)
+      }
+
+      if (authError.name === 'AliasExistsException' || authError.name === 'UsernameExistsException') {
+        return res.status(409).json({ error: 'An account with this email already exists' })
+      }
+      if (authError.name === 'InvalidParameterException') {
+        return res.status(400).json({ error: authError.message })
+      }
+      return res.status(500).json({ error: `Identity provider error: ${authError.message}` })
+    }
+
+    res.status(200).json({
+      message: emailChanged
+        ? 'Profile updated. Check your new email for a verification code to finish changing it.'
+        : 'Profile updated successfully',
+      emailVerificationRequired: !!emailChanged,
+      user: {
+        userId: updatedUser.userId,
+        email: updatedUser.email,
+        name: updatedUser.name,
+        role: updatedUser.role,
+        roles: updatedUser.roles || (updatedUser.role ? [updatedUser.role] : []),
+        hasStorefront: updatedUser.hasStorefront || false,
+        phoneNumber: updatedUser.phoneNumber,
+        picture: updatedUser.picture,
+        pendingEmail: updatedUser.pendingEmail,
+        createdAt: updatedUser.createdAt,
+      },
+    })
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return res.status(404).json({ error: 'User not found' })
+    }
+    console.error('Error updating profile:', error)
+    res.status(500).json({ error: 'Failed to update profile' })
+  }
+})
+
+// Verify a pending email change
+// Cognito needs the caller's access token here, not the ID token
+router.post('/profile/verify-email', async (req, res) => {
+  try {
+    const user = await verifyToken(req)
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized: No token provided' })
+    }
+
+    const { code, accessToken } = req.body
+    if (!code || !accessToken) {
+      return res.status(400).json({ error: 'Missing required fields: code, accessToken' })
+    }
+
+    const existingResult = await docClient.send(
+      new GetCommand({
+        TableName: USERS_TABLE,
+        Key: { userId: user.userId },
+      })
+    )
+
+    if (!existingResult.Item) {
+      return res.status(404).json({ error: 'User not found' })
+    }
+
+    const { pendingEmail } = existingResult.Item
+    if (!pendingEmail) {
+      return res.status(400).json({ error: 'No email change is pending' })
+    }
+
+    try {
+      await identity.verifyEmailChange({ accessToken, code })
+    } catch (authError) {
+      console.error('Identity provider verify email error:', authError.message)
+      if (authError.name === 'CodeMismatchException' || authError.name === 'ExpiredCodeException') {
+        return res.status(400).json({ error: 'Invalid or expired verification code' })
+      }
+      if (authError.name === 'NotAuthorizedException') {
+        return res.status(401).json({ error: 'Invalid or expired access token' })
+      }
+      return res.status(500).json({ error: `Identity provider error: ${authError.message}` })
+    }
+
+    const updatedUser = await updateUserRecord(user.userId, { email: pendingEmail, pendingEmail: null })
+
+    res.status(200).json({
+      message: 'Email verified and updated successfully',
+      user: {
+        userId: updatedUser.userId,
+        email: updatedUser.email,
+        name: updatedUser.name,
+        role: updatedUser.role,
+      },
+    })
+  } catch (error) {
+    console.error('Error verifying email change:', error)
+    res.status(500).json({ error: 'Failed to verify email' })
+  }
+})
+
 module.exports = router
 
@@ -7,6 +7,7 @@ const {
   removeItemFromCart,
   clearCartForUser,
 } = require('../services/cartService')
+const { getShippingQuote } = require('../services/shippingService')
 
 const router = express.Router()
 
@@ -29,7 +30,16 @@ const requireAuth = async (req, res, next) => {
 const handleError = (res, error) => {
   console.error('Cart route error:', error)
   const status = error.statusCode || 500
-  res.status(status).json({ error: error.message || 'Cart request failed' })
+  const body = { error: error.message || 'Cart request failed' }
+  if (error.code === 'STOREFRONT_UNAVAILABLE') {
+    body.code = error.code
+    body.availability = error.availability
+  }
+  if (error.code === 'INSUFFICIENT_STOCK') {
+    body.code = error.code
+    body.items = error.items
+  }
+  res.status(status).json(body)
 }
 
 router.use(requireAuth)
@@ -45,33 +55,34 @@ router.get('/items', async (req, res) => {
 })
 
 // Add or update an item in the cart while enforcing single-storefront carts
+// Body: { itemId, variantId (required for listings with variants), quantity }
 router.post('/items', async (req, res) => {
   try {
-    const { itemId, quantity = 1 } = req.body || {}
-    const cart = await addItemToCart(req.userId, itemId, quantity)
+    const { itemId, variantId, quantity = 1 } = req.body || {}
+    const cart = await addItemToCart(req.userId, itemId, quantity, variantId)
     res.status(200).json(cart)
   } catch (error) {
     handleError(res, error)
   }
 })
 
-// Update quantity for an item (quantity of 0 deletes the row)
+// Update quantity for an item (quantity of 0 deletes the row); body: { quantity, variantId }
 router.patch('/items/:itemId', async (req, res) => {
   try {
     const { itemId } = req.params
-    const { quantity = 1 } = req.body || {}
-    const cart = await updateItemQuantity(req.userId, itemId, quantity)
+    const { quantity = 1, variantId } = req.body || {}
+    const cart = await updateItemQuantity(req.userId, itemId, quantity, variantId)
     res.status(200).json(cart)
   } catch (error) {
     handleError(res, error)
   }
 })
 
-// Remove a specific item from the cart
+// Remove a specific item from the cart (?variantId= for one variant of it)
 router.delete('/items/:itemId', async (req, res) => {
   try {
     const { itemId } = req.params
-    const cart = await removeItemFromCart(req.userId, itemId)
+    const cart = await removeItemFromCart(req.userId, itemId, req.query.variantId)
     res.status(200).json(cart)
   } catch (error) {
     handleError(res, error)
@@ -88,5 +99,28 @@ router.delete('/items', async (req, res) => {
   }
 })
 
+// Quote the storefront's shipping options for the current cart: { destination: { country, region } }
+router.post('/shipping-quote', async (req, res) => {
+  try {
+    const cart = await getCartForUser(req.userId)
+    if (!cart.items.length || !cart.storeId) {
+      return res.status(400).json({ error: 'Cart is empty' })
+    }
+
+    const { storefront, ...quote } = await getShippingQuote({
+      storeId: cart.storeId,
+      items: cart.items,
+      destination: (req.body || {}).destination,
+    })
+
+    res.status(200).json({
+      storeId: storefront.storeId,
+      ...quote,
+    })
+  } catch (error) {
+    handleError(res, error)
+  }
+})
+
 module.exports = router
 
@@ -3,6 +3,7 @@ const crypto = require('crypto')
 const { docClient } = require('../utils/dynamodb')
 const { PutCommand, GetCommand, QueryCommand, UpdateCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb')
 const { verifyToken } = require('../utils/jwt')
+const { hasStorefrontPermission } = require('../services/staffService')
 
 const router = express.Router()
 const CHATS_TABLE = process.env.CHATS_TABLE || 'ChatsTable'
@@ -28,6 +29,11 @@ const authenticate = async (req, res, next) => {
 // Apply authentication to all routes
 router.use(authenticate)
 
+// Participants can use a chat, and so can storefront staff allowed to answer the store's chats
+const canAccessChat = async (chat, userId) =>
+  chat.participants.includes(userId) ||
+  (!!chat.storeId && (await hasStorefrontPermission(chat.storeId, userId, 'chats:respond')))
+
 /**
  * GET /chats
  * Get all chats for the authenticated user
@@ -302,8 +308,8 @@ router.get('/:chatId', async (req, res) => {
       return res.status(404).json({ error: 'Chat not found' })
     }
 
-    // Check if user is a participant
-    if (!result.Item.participants.includes(userId)) {
+    // Check if user is a participant (or store staff)
+    if (!(await canAccessChat(result.Item, userId))) {
       return res.status(403).json({ error: 'Not authorized to access this chat' })
     }
 
@@ -336,7 +342,7 @@ router.get('/:chatId/messages', async (req, res) => {
       return res.status(404).json({ error: 'Chat not found' })
     }
 
-    if (!chatResult.Item.participants.includes(userId)) {
+    if (!(await canAccessChat(chatResult.Item, userId))) {
       return res.status(403).json({ error: 'Not authorized to access this chat' })
     }
 
@@ -400,7 +406,7 @@ router.post('/:chatId/messages', async (req, res) => {
       return res.status(404).json({ error: 'Chat not found' })
     }
 
-    if (!chatResult.Item.participants.includes(userId)) {
+    if (!(await canAccessChat(chatResult.Item, userId))) {
       return res.status(403).json({ error: 'Not authorized to send messages in this chat' })
     }
 
@@ -479,7 +485,7 @@ router.put('/:chatId/messages/:messageId/read', async (req, res) => {
       })
     )
 
-    if (!chatResult.Item || !chatResult.Item.participants.includes(userId)) {
+    if (!chatResult.Item || !(await canAccessChat(chatResult.Item, userId))) {
       return res.status(403).json({ error: 'Not authorized' })
     }
 
@@ -537,7 +543,7 @@ router.put('/:chatId/read-all', async (req, res) => {
       })
     )
 
-    if (!chatResult.Item || !chatResult.Item.participants.includes(userId)) {
+    if (!chatResult.Item || !(await canAccessChat(chatResult.Item, userId))) {
       return res.status(403).json({ error: 'Not authorized' })
     }
 
@@ -652,17 +658,24 @@ router.get('/store/:storeId', async (req, res) => {
     const { storeId } = req.params
     const userId = req.user.userId
 
+    // The owner and staff who answer chats see all of the store's chats; anyone else only their own
+    const seesAllChats = await hasStorefrontPermission(storeId, userId, 'chats:respond')
+
     // Query chats by storeId (requires GSI)
     const result = await docClient.send(
       new QueryCommand({
         TableName: CHATS_TABLE,
         IndexName: 'StoreIndex', // GSI: partition key = storeId, sort key = updatedAt
         KeyConditionExpression: 'storeId = :storeId',
-        FilterExpression: 'contains(participants, :userId)',
-        ExpressionAttributeValues: {
-          ':storeId': storeId,
-          ':userId': userId,
-        },
+        ...(seesAllChats
+          ? { ExpressionAttributeValues: { ':storeId': storeId } }
+          : {
+              FilterExpression: 'contains(participants, :userId)',
+              ExpressionAttributeValues: {
+                ':storeId': storeId,
+                ':userId': userId,
+              },
+            }),
         ScanIndexForward: false,
       })
     )
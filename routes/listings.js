@@ -1,67 +1,73 @@
 const express = require('express')
+const multer = require('multer')
 const { docClient } = require('../utils/dynamodb')
 const { PutCommand, QueryCommand, ScanCommand, GetCommand, DeleteCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb')
-const { v4: uuidv4 } = require('uuid')
 const { verifyToken } = require('../utils/jwt')
+const { isListingVisible, isStorefrontVisible } = require('../utils/visibility')
+const { validateVariants, normalizeVariants, hasVariants } = require('../utils/variants')
+const { hasStorefrontPermission, assertStorefrontPermission } = require('../services/staffService')
+const { searchListings } = require('../services/searchService')
+const { LISTING_STATUSES, validateListingStatus, buildListing, applyListingChange } = require('../services/listingService')
+const { importListings } = require('../services/listingImportService')
 
 const router = express.Router()
 const ITEMS_TABLE = process.env.ITEMS_TABLE || 'ItemsTable'
 
-const SUBSCRIPTIONS_TABLE = process.env.SUBSCRIPTIONS_TABLE || 'SubscriptionsTable'
+// Multer: keep uploaded CSV files in memory (as for image uploads)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5 MB
+  },
+})
+
+// Read the "file" upload after the caller is authorized, so anonymous requests aren't parsed
+const receiveCsv = (req, res) =>
+  new Promise((resolve, reject) => upload.single('file')(req, res, (error) => (error ? reject(error) : resolve())))
+
+// Whether the caller (if signed in) can see a storefront's unpublished listings
+const canManageListings = async (req, storeId) => {
+  const user = await verifyToken(req)
+  return !!user && hasStorefrontPermission(storeId, user.userId, 'listings:manage')
+}
 
-const { sendSms } = require('../utils/sns')
+// Listings are only added or changed by staff allowed to manage them, and not while the storefront
+// is archived (404) or suspended (403)
+const assertListingsEditable = async (storeId, userId) => {
+  const { storefront } = await assertStorefrontPermission(storeId, userId, 'listings:manage')
+  if (!isStorefrontVisible(storefront)) {
+    const err = new Error('This storefront is suspended, so its listings cannot be changed')
+    err.statusCode = 403
+    throw err
+  }
+}
 
 // Add item to storefront
 router.post('/', async (req, res) => {
   try {
-    const user = verifyToken(req)
+    const user = await verifyToken(req)
     if (!user) {
       return res.status(401).json({ error: 'Unauthorized' })
     }
 
-    const { name, description, price, category, image, storeId, quantity } = req.body
-
-    // Validation
-    if (!name || !description || price === undefined || !category || !storeId) {
+    const { storeId } = req.body
+    if (!storeId) {
       return res.status(400).json({
         error: 'Missing required fields: name, description, price, category, storeId',
       })
     }
 
-    // Validate price is a number
-    const priceNum = parseFloat(price)
-    if (isNaN(priceNum) || priceNum < 0) {
-      return res.status(400).json({
-        error: 'Price must be a valid positive number',
-      })
-    }
+    await assertListingsEditable(storeId, user.userId)
 
-    // Validate quantity if provided
-    const quantityNum = quantity !== undefined ? parseInt(quantity, 10) : 0
-    if (quantity !== undefined && (isNaN(quantityNum) || quantityNum < 0)) {
-      return res.status(400).json({
-        error: 'Quantity must be a valid non-negative integer',
-      })
-    }
-
-    // Create item
-    const itemId = uuidv4()
-    const defaultImage = 'https://images.unsplash.com/photo-1441986300917-64674bd600d8?auto=format&fit=crop&w=800&q=80'
-    const finalImage = image && image.trim() !== '' ? image : defaultImage
-    
-    const item = {
-      id: itemId,
-      storeId,
-      name,
-      description,
-      price: priceNum,
-      category,
-      image: finalImage,
-      quantity: quantityNum,
-      averageRating: 0,
-      reviews: [],
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
+    // Validates the fields (see buildListing) and creates the item
+    let item
+    try {
+      item = buildListing(req.body)
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message })
+      }
+      throw error
     }
 
     await docClient.send(
@@ -71,23 +77,84 @@ router.post('/', async (req, res) => {
       })
     )
 
-    // 🔔 Notify subscribers (email + SMS)
-    await notifySubscribersForNewItem(storeId, item)
+    // Counts it, indexes it and notifies subscribers (email + SMS) if it is published
+    await applyListingChange(null, item)
 
     res.status(201).json({
       message: 'Item added successfully',
       item,
     })
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message })
+    }
     console.error('Error adding item:', error)
     res.status(500).json({ error: 'Failed to add item' })
   }
 })
 
+// Import listings from a CSV file (multipart/form-data)
+// Fields: file (CSV with a header row), storeId, mapping (optional JSON of listing field -> column
+// name), dryRun ("true" to only check the rows)
+router.post('/import', async (req, res) => {
+  try {
+    const user = await verifyToken(req)
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      await receiveCsv(req, res)
+    } catch (error) {
+      if (error instanceof multer.MulterError) {
+        return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: error.message })
+      }
+      throw error
+    }
+
+    const { storeId } = req.body
+    if (!storeId || !req.file) {
+      return res.status(400).json({ error: 'Missing required fields: file, storeId' })
+    }
+
+    await assertListingsEditable(storeId, user.userId)
+
+    let mapping = {}
+    if (req.body.mapping) {
+      try {
+        mapping = JSON.parse(req.body.mapping)
+      } catch {
+        mapping = null
+      }
+      if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        return res.status(400).json({ error: 'mapping must be a JSON object of listing field -> column name' })
+      }
+    }
+    const dryRun = ['true', '1'].includes(String(req.body.dryRun ?? req.query.dryRun).toLowerCase())
+
+    const result = await importListings({ storeId, csv: req.file.buffer, mapping, dryRun })
+
+    res.status(dryRun ? 200 : 201).json({
+      message: dryRun
+        ? `${result.items.length} of ${result.total} rows can be imported`
+        : `Imported ${result.imported} of ${result.total} rows`,
+      ...result,
+    })
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message })
+    }
+    console.error('Error importing items:', error)
+    res.status(500).json({ error: 'Failed to import items' })
+  }
+})
+
 // Get all items for a storefront
+// Buyers see published listings; its owner and staff who manage listings see every status
+// and can filter with ?status=
 router.get('/', async (req, res) => {
   try {
-    const { storeId } = req.query
+    const { storeId, status } = req.query
 
     console.log('Getting items for storeId:', storeId)
 
@@ -126,7 +193,16 @@ router.get('/', async (req, res) => {
       console.log('Scan successful, found', result.Items?.length || 0, 'items')
     }
 
-    const items = result.Items || []
+    let items
+    if (await canManageListings(req, storeId)) {
+      if (status !== undefined && ![...LISTING_STATUSES, 'taken_down'].includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${LISTING_STATUSES.join(', ')}, taken_down` })
+      }
+      // Listings from before statuses existed are published
+      items = (result.Items || []).filter((item) => !status || (item.status || 'published') === status)
+    } else {
+      items = (result.Items || []).filter(isListingVisible)
+    }
     console.log('Returning', items.length, 'items for storeId:', storeId)
     res.status(200).json({
       items,
@@ -137,6 +213,22 @@ router.get('/', async (req, res) => {
   }
 })
 
+// Search listings across all storefronts (must come before /:id route)
+// Query: q, limit, nextToken
+router.get('/search', async (req, res) => {
+  try {
+    const { q, limit, nextToken } = req.query
+    const results = await searchListings(q, { limit, nextToken })
+    res.status(200).json(results)
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message })
+    }
+    console.error('Error searching items:', error)
+    res.status(500).json({ error: 'Failed to search items' })
+  }
+})
+
 // Get single item by ID (must come after / route)
 router.get('/:id', async (req, res) => {
   try {
@@ -157,7 +249,8 @@ router.get('/:id', async (req, res) => {
       })
     )
 
-    if (!result.Item) {
+    // Unpublished listings are only shown to people who can manage them
+    if (!result.Item || (!isListingVisible(result.Item) && !(await canManageListings(req, result.Item.storeId)))) {
       console.log('Item not found in database:', id)
       return res.status(404).json({ error: 'Item not found' })
     }
@@ -181,7 +274,7 @@ router.put('/:id', async (req, res) => {
     }
 
     const { id } = req.params
-    const { name, description, price, category, image, quantity } = req.body
+    const { name, description, price, category, image, quantity, weight, options, variants, status, publishAt } = req.body
 
     if (!id) {
       return res.status(400).json({ error: 'Missing item ID' })
@@ -199,23 +292,89 @@ router.put('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Item not found' })
     }
 
-    // Verify the user owns the storefront that this item belongs to
-    const storefrontResult = await docClient.send(
-      new GetCommand({
-        TableName: process.env.STOREFRONTS_TABLE || 'StorefrontsTable',
-        Key: { storeId: getResult.Item.storeId },
-      })
-    )
-
-    if (!storefrontResult.Item || storefrontResult.Item.owner !== user.userId) {
-      return res.status(403).json({ error: 'Forbidden: You do not own this item' })
-    }
+    // The storefront owner, or staff allowed to manage its listings
+    await assertListingsEditable(getResult.Item.storeId, user.userId)
 
     // Build update expression
     const updateExpressions = []
+    const removeExpressions = []
     const expressionAttributeNames = {}
     const expressionAttributeValues = {}
 
+    // Options and variants are replaced together; the listing's price and quantity follow them
+    let keepsVariants = hasVariants(getResult.Item)
+    if (options !== undefined || variants !== undefined) {
+      const variantInput = {
+        options: options ?? getResult.Item.options ?? [],
+        variants: variants ?? getResult.Item.variants ?? [],
+      }
+      const variantError = validateVariants(variantInput)
+      if (variantError) {
+        return res.status(400).json({ error: variantError })
+      }
+      const variantFields = normalizeVariants(variantInput)
+      expressionAttributeNames['#options'] = 'options'
+      expressionAttributeNames['#variants'] = 'variants'
+      if (variantFields) {
+        updateExpressions.push('#options = :options', '#variants = :variants', 'price = :price', 'quantity = :quantity')
+        expressionAttributeValues[':options'] = variantFields.options
+        expressionAttributeValues[':variants'] = variantFields.variants
+        expressionAttributeValues[':price'] = variantFields.price
+        expressionAttributeValues[':quantity'] = variantFields.quantity
+      } else {
+        removeExpressions.push('#options', '#variants')
+      }
+      keepsVariants = !!variantFields
+    }
+    if (keepsVariants && (price !== undefined || quantity !== undefined)) {
+      return res.status(400).json({ error: 'This listing has variants: set price and quantity on each variant instead' })
+    }
+
+    // Publishing, scheduling (or rescheduling with just publishAt), unpublishing and archiving
+    let conditionExpression
+    if (status !== undefined || publishAt !== undefined) {
+      if (getResult.Item.status === 'taken_down') {
+        return res.status(409).json({ error: 'This listing has been taken down by an admin, so its status cannot be changed' })
+      }
+      // publishAt on its own schedules a draft or moves a scheduled date; it never unpublishes
+      const currentStatus = getResult.Item.status || 'published'
+      if (status === undefined && !['draft', 'scheduled'].includes(currentStatus)) {
+        return res.status(400).json({
+          error: `publishAt on its own only schedules draft or scheduled listings. To take this ${currentStatus} listing down until then, send "status": "scheduled" with it`,
+        })
+      }
+      const nextStatus = status ?? 'scheduled'
+      const statusError = validateListingStatus(nextStatus, publishAt)
+      if (statusError) {
+        return res.status(400).json({ error: statusError })
+      }
+
+      const now = new Date().toISOString()
+      updateExpressions.push('#status = :status')
+      expressionAttributeNames['#status'] = 'status'
+      expressionAttributeValues[':status'] = nextStatus
+      if (nextStatus === 'scheduled') {
+        updateExpressions.push('publishAt = :publishAt')
+        expressionAttributeValues[':publishAt'] = new Date(publishAt).toISOString()
+      } else {
+        removeExpressions.push('publishAt')
+      }
+      // publishedAt records that subscribers have heard about the listing (including listings
+      // published before publishedAt existed), so publishing it again doesn't notify them twice
+      if (nextStatus === 'published' || isListingVisible(getResult.Item)) {
+        updateExpressions.push('publishedAt = if_not_exists(publishedAt, :publishedAt)')
+        expressionAttributeValues[':publishedAt'] = nextStatus === 'published' ? now : getResult.Item.createdAt || now
+      }
+
+      // Fail if the status changed since we read it (e.g. the scheduler published it)
+      if (getResult.Item.status) {
+        conditionExpression = '#status = :currentStatus'
+        expressionAttributeValues[':currentStatus'] = getResult.Item.status
+      } else {
+        conditionExpression = 'attribute_not_exists(#status)'
+      }
+    }
+
     if (name !== undefined) {
       updateExpressions.push('#name = :name')
       expressionAttributeNames['#name'] = 'name'
@@ -251,30 +410,53 @@ router.put('/:id', async (req, res) => {
       updateExpressions.push('quantity = :quantity')
       expressionAttributeValues[':quantity'] = quantityNum
     }
+    if (weight !== undefined) {
+      const weightNum = parseFloat(weight)
+      if (isNaN(weightNum) || weightNum < 0) {
+        return res.status(400).json({ error: 'Weight must be a valid non-negative number (kg)' })
+      }
+      updateExpressions.push('weight = :weight')
+      expressionAttributeValues[':weight'] = weightNum
+    }
 
-    if (updateExpressions.length === 0) {
+    if (updateExpressions.length === 0 && removeExpressions.length === 0) {
       return res.status(400).json({ error: 'No fields to update' })
     }
 
     updateExpressions.push('updatedAt = :updatedAt')
     expressionAttributeValues[':updatedAt'] = new Date().toISOString()
 
-    const result = await docClient.send(
-      new UpdateCommand({
-        TableName: ITEMS_TABLE,
-        Key: { id },
-        UpdateExpression: `SET ${updateExpressions.join(', ')}`,
-        ExpressionAttributeNames: Object.keys(expressionAttributeNames).length > 0 ? expressionAttributeNames : undefined,
-        ExpressionAttributeValues: expressionAttributeValues,
-        ReturnValues: 'ALL_NEW',
-      })
-    )
+    let result
+    try {
+      result = await docClient.send(
+        new UpdateCommand({
+          TableName: ITEMS_TABLE,
+          Key: { id },
+          UpdateExpression: `SET ${updateExpressions.join(', ')}${removeExpressions.length ? ` REMOVE ${removeExpressions.join(', ')}` : ''}`,
+          ...(conditionExpression && { ConditionExpression: conditionExpression }),
+          ExpressionAttributeNames: Object.keys(expressionAttributeNames).length > 0 ? expressionAttributeNames : undefined,
+          ExpressionAttributeValues: expressionAttributeValues,
+          ReturnValues: 'ALL_NEW',
+        })
+      )
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        return res.status(409).json({ error: "The listing's status changed while you were editing it. Reload it and try again" })
+      }
+      throw error
+    }
+
+    // Counts, indexes and (the first time it is published) announces it
+    await applyListingChange(getResult.Item, result.Attributes)
 
     res.status(200).json({
       message: 'Item updated successfully',
       item: result.Attributes,
     })
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message })
+    }
     console.error('Error updating item:', error)
     res.status(500).json({ error: `Failed to update item: ${error.message}` })
   }
@@ -306,89 +488,33 @@ router.delete('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Item not found' })
     }
 
-    // Verify the user owns the storefront that this item belongs to
-    const storefrontResult = await docClient.send(
-      new GetCommand({
-        TableName: process.env.STOREFRONTS_TABLE || 'StorefrontsTable',
-        Key: { storeId: getResult.Item.storeId },
-      })
-    )
-
-    if (!storefrontResult.Item || storefrontResult.Item.owner !== user.userId) {
-      return res.status(403).json({ error: 'Forbidden: You do not own this item' })
-    }
+    // The storefront owner, or staff allowed to manage its listings
+    await assertListingsEditable(getResult.Item.storeId, user.userId)
 
-    await docClient.send(
+    const deleteResult = await docClient.send(
       new DeleteCommand({
         TableName: ITEMS_TABLE,
         Key: { id },
+        ReturnValues: 'ALL_OLD',
       })
     )
 
+    // Only count the delete that actually removed the item (not a concurrent duplicate)
+    if (deleteResult.Attributes) {
+      await applyListingChange(deleteResult.Attributes, null)
+    }
+
     res.status(200).json({
       message: 'Item deleted successfully',
     })
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message })
+    }
     console.error('Error deleting item:', error)
     res.status(500).json({ error: `Failed to delete item: ${error.message}` })
   }
 })
 
-/**
- * Notify all subscribers when a new item is added
- * - Respects notifyEmail / notifySms flags on the subscription
- * - Uses SNS to send SMS messages
- */
-async function notifySubscribersForNewItem(storeId, item) {
-  try {
-    console.log('Notifying subscribers for storeId:', storeId)
-
-    const result = await docClient.send(
-      new QueryCommand({
-        TableName: SUBSCRIPTIONS_TABLE,
-        KeyConditionExpression: 'storeId = :storeId',
-        ExpressionAttributeValues: {
-          ':storeId': storeId,
-        },
-      })
-    )
-
-    const subscriptions = result.Items || []
-    console.log('Found subscriptions:', subscriptions.length)
-
-    for (const sub of subscriptions) {
-      console.log(sub)
-      const notifyEmail = sub.notifyEmail !== false // default: true if missing
-      const notifySms = !!sub.notifySms
-      const buyerEmail = sub.buyerEmail
-      const phoneNumber = sub.phoneNumber
-
-      // --- Email notifications (existing / future) ---
-      if (notifyEmail) {
-        // If you already have email notification logic somewhere else,
-        // call it here, for example:
-        //
-        // await sendEmailNotification(buyerEmail, item)
-        //
-        // For now, we just log:
-        console.log('Would send email notification to', buyerEmail)
-      }
-
-      // --- SMS notifications via SNS ---
-      if (notifySms && phoneNumber) {
-        const message = `New listing added in a store you follow: ${item.name} for $${item.price}`
-
-        try {
-          await sendSms(phoneNumber, message)
-        } catch (smsError) {
-          console.error('Failed to send SMS to', phoneNumber, smsError)
-        }
-      }
-    }
-  } catch (error) {
-    console.error('Error notifying subscribers for new item:', error)
-  }
-}
-
 module.exports = router
 
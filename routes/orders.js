@@ -1,8 +1,16 @@
 const express = require('express')
 const { docClient } = require('../utils/dynamodb')
-const { PutCommand, GetCommand, QueryCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb')
+const { GetCommand, QueryCommand, ScanCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb')
 const { verifyToken } = require('../utils/jwt')
 const { v4: uuidv4 } = require('uuid')
+const { assertStorefrontOpen } = require('../services/storefrontService')
+const { hasStorefrontPermission } = require('../services/staffService')
+const { recordOrderCreated, recordOrderStatusChange } = require('../services/analyticsService')
+const { resolveOrderShipping } = require('../services/shippingService')
+const { loadProductDetails } = require('../services/cartService')
+const { assertInStock, buildReservation, placeOrderWithReservation } = require('../services/inventoryService')
+const { priceOrderItems, cancelOrder, confirmOrderPayment } = require('../services/orderService')
+const { isPaymentComplete, toMinorUnits, ORDER_CURRENCY } = require('../utils/stripe')
 
 const router = express.Router()
 const ORDERS_TABLE = process.env.ORDERS_TABLE || 'OrdersTable'
@@ -16,34 +24,116 @@ router.post('/', async (req, res) => {
       return res.status(401).json({ error: 'Unauthorized' })
     }
 
-    const { items, shippingInfo, paymentIntentId, amount, currency, storeId } = req.body
+    const { items, shippingInfo, shippingProfileId, paymentIntentId, storeId } = req.body
     if (!items || !Array.isArray(items) || items.length === 0) {
       return res.status(400).json({ error: 'Items are required' })
     }
 
+    // Every line must be in stock (per variant for listings with variants, which must name one),
+    // and is priced from its listing or variant rather than what the client sent. The order's
+    // storefront is the listings' one.
+    let orderItems
+    let subtotal
+    let orderStoreId
+    let products
+    let stockLines
+    try {
+      products = await loadProductDetails(Array.from(new Set(items.map((item) => item.itemId || item.id))))
+      const priced = priceOrderItems(items, products)
+      orderItems = priced.items
+      subtotal = priced.subtotal
+      orderStoreId = priced.storeId
+      if (storeId !== undefined && storeId !== orderStoreId) {
+        return res.status(400).json({ error: `These items are not from storefront ${storeId}` })
+      }
+      stockLines = items.map((item) => ({ itemId: item.itemId || item.id, variantId: item.variantId, quantity: item.quantity }))
+      assertInStock(stockLines, products)
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          error: error.message,
+          ...(error.code && { code: error.code, items: error.items }),
+        })
+      }
+      throw error
+    }
+
+    // Closed (deleted or suspended) storefronts, and ones on vacation or outside their opening
+    // hours, don't take new orders. This is the listings' storefront, whatever the client sent.
+    try {
+      await assertStorefrontOpen(orderStoreId)
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          error: error.message,
+          ...(error.code && { code: error.code, availability: error.availability }),
+        })
+      }
+      throw error
+    }
+
+    // Record the shipping option the buyer chose, re-quoted from the listings and destination
+    let shipping
+    try {
+      shipping = await resolveOrderShipping({
+        storeId: orderStoreId,
+        items: orderItems.map((item) => ({ itemId: item.itemId || item.id, variantId: item.variantId, quantity: item.quantity })),
+        destination: shippingInfo && { country: shippingInfo.country, region: shippingInfo.region || shippingInfo.state },
+        profileId: shippingProfileId,
+      })
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message })
+      }
+      throw error
+    }
+
+    // What the buyer is charged: the listing prices plus the re-quoted shipping
+    const total = (toMinorUnits(subtotal) + toMinorUnits(shipping ? shipping.amount : 0)) / 100
     const orderId = uuidv4()
+
+    // Orders paid up front keep their stock; others hold it until paid or the hold expires
+    const paid = await isPaymentComplete(paymentIntentId, {
+      id: orderId,
+      userId: user.userId,
+      total,
+      currency: ORDER_CURRENCY,
+    })
+
     const order = {
       id: orderId,
       userId: user.userId,
-      items,
-      total: amount,
-      currency,
-      stripePaymentIntentId: paymentIntentId,
+      items: orderItems,
+      subtotal,
+      total,
+      currency: ORDER_CURRENCY,
+      ...(paid && { stripePaymentIntentId: paymentIntentId }),
       shippingInfo,
-      storeId: storeId || 'default-store',
+      ...(shipping && { shipping }),
+      storeId: orderStoreId,
       status: 'ORDER_CONFIRMED', // Buyer view: Order Confirmed
       orderStatus: 'PREPARE_ORDER', // Seller view: Prepare Order
       carrier: null,
       trackingId: null,
+      paymentStatus: paid ? 'paid' : 'pending',
+      reservation: buildReservation(stockLines, paid),
       createdAt: new Date().toISOString(),
     }
 
-    await docClient.send(
-      new PutCommand({
-        TableName: ORDERS_TABLE,
-        Item: order,
-      })
-    )
+    // Writes the order, takes its stock and claims its payment together
+    try {
+      await placeOrderWithReservation(order, products)
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          error: error.message,
+          ...(error.code && { code: error.code, items: error.items }),
+        })
+      }
+      throw error
+    }
+
+    await recordOrderCreated(order)
 
     // Clear cart after order creation
     // Note: In a real app, you'd want to delete cart items individually
@@ -93,12 +183,13 @@ router.get('/storefront/:storeId', async (req, res) => {
       return res.status(401).json({ error: 'Unauthorized' })
     }
 
-    if (user.role !== 'seller') {
-      return res.status(403).json({ error: 'Forbidden: Only sellers can view storefront orders' })
-    }
-
     const { storeId } = req.params
 
+    // The storefront owner, or staff allowed to see its orders
+    if (!(await hasStorefrontPermission(storeId, user.userId, 'orders:view'))) {
+      return res.status(403).json({ error: "Forbidden: You do not have permission to view this storefront's orders" })
+    }
+
     const result = await docClient.send(
       new ScanCommand({
         TableName: ORDERS_TABLE,
@@ -126,15 +217,11 @@ router.put('/:orderId/status', async (req, res) => {
       return res.status(401).json({ error: 'Unauthorized' })
     }
 
-    if (user.role !== 'seller') {
-      return res.status(403).json({ error: 'Forbidden: Only sellers can update order status' })
-    }
-
     const { orderId } = req.params
     const { status, carrier, trackingId } = req.body
 
     // Valid statuses
-    const validStatuses = ['PREPARE_ORDER', 'SHIPPED', 'DELIVERED', 'COMPLETED']
+    const validStatuses = ['PREPARE_ORDER', 'SHIPPED', 'DELIVERED', 'COMPLETED', 'CANCELLED']
     if (!validStatuses.includes(status)) {
       return res.status(400).json({ error: `Invalid status. Must be one of: ${validStatuses.join(', ')}` })
     }
@@ -153,6 +240,31 @@ router.put('/:orderId/status', async (req, res) => {
       return res.status(404).json({ error: 'Order not found' })
     }
 
+    // The storefront owner, or staff allowed to fulfil its orders
+    if (!(await hasStorefrontPermission(getResult.Item.storeId, user.userId, 'orders:fulfil'))) {
+      return res.status(403).json({ error: 'Forbidden: You do not have permission to update this order' })
+    }
+
+    if (getResult.Item.orderStatus === 'CANCELLED') {
+      return res.status(409).json({ error: 'Order is cancelled' })
+    }
+
+    // Cancelling gives the order's stock back
+    if (status === 'CANCELLED') {
+      try {
+        const cancelled = await cancelOrder(getResult.Item, { reason: 'cancelled_by_seller', cancelledBy: user.userId })
+        return res.status(200).json({
+          message: 'Order status updated successfully',
+          order: cancelled,
+        })
+      } catch (error) {
+        if (error.statusCode) {
+          return res.status(error.statusCode).json({ error: error.message })
+        }
+        throw error
+      }
+    }
+
     // Map seller status to buyer status
     const statusMap = {
       'PREPARE_ORDER': 'ORDER_CONFIRMED',
@@ -163,27 +275,51 @@ router.put('/:orderId/status', async (req, res) => {
 
     const buyerStatus = statusMap[status] || 'ORDER_CONFIRMED'
 
-    // Update order
-    const updatedOrder = {
-      ...getResult.Item,
-      status: buyerStatus,
-      orderStatus: status,
-    }
-
-    // Add carrier and trackingId if provided
+    // Only set the fields being changed, and only if the order (and its stock reservation) is
+    // still as read, so a concurrent cancel, payment or expiry isn't overwritten
+    const names = { '#status': 'status', '#orderStatus': 'orderStatus' }
+    const values = { ':status': buyerStatus, ':orderStatus': status, ':previousStatus': getResult.Item.orderStatus }
+    const sets = ['#status = :status', '#orderStatus = :orderStatus']
     if (carrier !== undefined) {
-      updatedOrder.carrier = carrier
+      values[':carrier'] = carrier
+      sets.push('carrier = :carrier')
     }
     if (trackingId !== undefined) {
-      updatedOrder.trackingId = trackingId
+      values[':trackingId'] = trackingId
+      sets.push('trackingId = :trackingId')
+    }
+    names['#reservation'] = 'reservation'
+    let condition = '#orderStatus = :previousStatus'
+    if (getResult.Item.reservation) {
+      names['#reservationStatus'] = 'status'
+      values[':reservationStatus'] = getResult.Item.reservation.status
+      condition += ' AND #reservation.#reservationStatus = :reservationStatus'
+    } else {
+      condition += ' AND attribute_not_exists(#reservation)'
     }
 
-    await docClient.send(
-      new PutCommand({
-        TableName: ORDERS_TABLE,
-        Item: updatedOrder,
-      })
-    )
+    let updatedOrder
+    try {
+      const result = await docClient.send(
+        new UpdateCommand({
+          TableName: ORDERS_TABLE,
+          Key: { id: orderId },
+          UpdateExpression: `SET ${sets.join(', ')}`,
+          ConditionExpression: condition,
+          ExpressionAttributeNames: names,
+          ExpressionAttributeValues: values,
+          ReturnValues: 'ALL_NEW',
+        })
+      )
+      updatedOrder = result.Attributes
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        return res.status(409).json({ error: 'The order changed while it was being updated. Reload it and try again' })
+      }
+      throw error
+    }
+
+    await recordOrderStatusChange(updatedOrder, getResult.Item.orderStatus, status)
 
     res.status(200).json({
       message: 'Order status updated successfully',
@@ -195,6 +331,90 @@ router.put('/:orderId/status', async (req, res) => {
   }
 })
 
+// Confirm payment for an order placed before it was paid (buyer only)
+// Keeps the stock reserved for the order; after RESERVATION_TTL_MINUTES it is released instead.
+router.post('/:orderId/confirm-payment', async (req, res) => {
+  try {
+    const user = await verifyToken(req)
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+
+    const { paymentIntentId } = req.body
+    if (!paymentIntentId) {
+      return res.status(400).json({ error: 'paymentIntentId is required' })
+    }
+
+    const result = await docClient.send(
+      new GetCommand({
+        TableName: ORDERS_TABLE,
+        Key: {
+          id: req.params.orderId,
+        },
+      })
+    )
+
+    if (!result.Item) {
+      return res.status(404).json({ error: 'Order not found' })
+    }
+    if (result.Item.userId !== user.userId) {
+      return res.status(403).json({ error: 'Forbidden' })
+    }
+
+    const order = await confirmOrderPayment(result.Item, paymentIntentId)
+
+    res.status(200).json({
+      message: 'Payment confirmed',
+      order,
+    })
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message })
+    }
+    console.error('Error confirming order payment:', error)
+    res.status(500).json({ error: 'Failed to confirm payment' })
+  }
+})
+
+// Cancel an order before it ships (buyer only); its stock is given back
+router.post('/:orderId/cancel', async (req, res) => {
+  try {
+    const user = await verifyToken(req)
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+
+    const result = await docClient.send(
+      new GetCommand({
+        TableName: ORDERS_TABLE,
+        Key: {
+          id: req.params.orderId,
+        },
+      })
+    )
+
+    if (!result.Item) {
+      return res.status(404).json({ error: 'Order not found' })
+    }
+    if (result.Item.userId !== user.userId) {
+      return res.status(403).json({ error: 'Forbidden' })
+    }
+
+    const order = await cancelOrder(result.Item, { reason: 'cancelled_by_buyer', cancelledBy: user.userId })
+
+    res.status(200).json({
+      message: 'Order cancelled',
+      order,
+    })
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message })
+    }
+    console.error('Error cancelling order:', error)
+    res.status(500).json({ error: 'Failed to cancel order' })
+  }
+})
+
 // Get single order
 router.get('/:orderId', async (req, res) => {
   try {
@@ -218,9 +438,9 @@ router.get('/:orderId', async (req, res) => {
       return res.status(404).json({ error: 'Order not found' })
     }
 
-    // Check if user is buyer or seller (seller can view if order is for their storefront)
+    // Buyers see their own orders; the storefront owner and its staff see the store's orders
     const isBuyer = result.Item.userId === user.userId
-    const isSeller = user.role === 'seller' && result.Item.storeId
+    const isSeller = !isBuyer && (await hasStorefrontPermission(result.Item.storeId, user.userId, 'orders:view'))
 
     if (!isBuyer && !isSeller) {
       return res.status(403).json({ error: 'Forbidden' })
@@ -1,41 +1,16 @@
 const express = require('express')
-const Stripe = require('stripe')
+const { docClient } = require('../utils/dynamodb')
+const { GetCommand } = require('@aws-sdk/lib-dynamodb')
 const { verifyToken } = require('../utils/jwt')
-const { getSecret } = require('../utils/secrets')
+const { getStripeClient, toMinorUnits } = require('../utils/stripe')
 const router = express.Router()
+const ORDERS_TABLE = process.env.ORDERS_TABLE || 'OrdersTable'
 
 
 // const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
 //   apiVersion: '2024-06-20',
 // })
 
-let stripeClient = null
-async function getStripeClient() {
-  if (!stripeClient) {
-    let key
-    try {
-      // Try to get from Secrets Manager
-      key = await getSecret('faasify-secrets', 'STRIPE_SECRET_KEY')
-    } catch (secretsError) {
-      // Fallback to environment variable
-      console.warn('Failed to get Stripe key from Secrets Manager, trying environment variable:', secretsError.message)
-      key = process.env.STRIPE_SECRET_KEY
-      if (!key) {
-        throw new Error('STRIPE_SECRET_KEY not found in secrets or environment variables')
-      }
-    }
-
-    if (!key) {
-      throw new Error('STRIPE_SECRET_KEY is required')
-    }
-
-    stripeClient = new Stripe(key, {
-      apiVersion: '2024-06-20',
-    })
-  }
-  return stripeClient
-}
-
 router.post('/create-payment-intent', async (req, res) => {
   try {
     const user = await verifyToken(req)
@@ -55,7 +30,22 @@ router.post('/create-payment-intent', async (req, res) => {
       })
     }
 
-    const { amount, currency, orderId } = req.body
+    let { amount, currency } = req.body
+    const { orderId } = req.body
+
+    // Paying for a placed order charges the total the server worked out for it
+    if (orderId) {
+      const orderResult = await docClient.send(new GetCommand({ TableName: ORDERS_TABLE, Key: { id: orderId } }))
+      const order = orderResult.Item
+      if (!order || order.userId !== user.userId) {
+        return res.status(404).json({ error: 'Order not found' })
+      }
+      if (order.paymentStatus === 'paid') {
+        return res.status(409).json({ error: 'This order has already been paid' })
+      }
+      amount = toMinorUnits(order.total)
+      currency = order.currency
+    }
 
     if (!amount || !currency) {
       return res.status(400).json({ error: 'amount and currency are required' })
@@ -3,6 +3,7 @@ const { docClient } = require('../utils/dynamodb')
 const { PutCommand, GetCommand, QueryCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb')
 const { verifyToken } = require('../utils/jwt')
 const { v4: uuidv4 } = require('uuid')
+const { recordStorefrontRating } = require('../services/storefrontService')
 
 const router = express.Router()
 const REVIEWS_TABLE = process.env.REVIEWS_TABLE || 'ReviewsTable'
@@ -53,6 +54,8 @@ router.post('/', async (req, res) => {
       })
     )
 
+    await recordStorefrontRating(resolvedStoreId, rating)
+
     res.status(201).json({
       message: 'Review created successfully',
       review,
@@ -0,0 +1,125 @@
+const express = require('express')
+const { verifyToken } = require('../utils/jwt')
+const {
+  STAFF_ROLES,
+  getMembership,
+  assertStorefrontPermission,
+  listStaff,
+  inviteStaff,
+  acceptInvitation,
+  removeStaff,
+} = require('../services/staffService')
+
+// Mounted at /storefronts/:storeId/staff
+const router = express.Router({ mergeParams: true })
+
+// Service errors carry an HTTP statusCode; anything else is a 500
+const handleError = (res, error, action) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ error: error.message })
+  }
+  console.error(`Error ${action}:`, error)
+  res.status(500).json({ error: `Failed to ${action}` })
+}
+
+// List staff and pending invitations (owner and managers)
+router.get('/', async (req, res) => {
+  try {
+    const user = await verifyToken(req)
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized: Invalid or missing token' })
+    }
+
+    const { storeId } = req.params
+    await assertStorefrontPermission(storeId, user.userId, 'staff:manage')
+
+    res.status(200).json({
+      staff: await listStaff(storeId),
+      roles: STAFF_ROLES,
+    })
+  } catch (error) {
+    handleError(res, error, 'list staff')
+  }
+})
+
+// Invite a registered user by email: { email, role }
+router.post('/', async (req, res) => {
+  try {
+    const user = await verifyToken(req)
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized: Invalid or missing token' })
+    }
+
+    const { email, role } = req.body
+    if (!email || !role) {
+      return res.status(400).json({ error: 'Missing required fields: email, role' })
+    }
+
+    const { storefront, role: callerRole } = await assertStorefrontPermission(req.params.storeId, user.userId, 'staff:manage')
+    if (role === 'manager' && callerRole !== 'owner') {
+      return res.status(403).json({ error: 'Forbidden: Only the storefront owner can add managers' })
+    }
+
+    const membership = await inviteStaff({ storefront, email, role, invitedBy: user.userId })
+
+    res.status(201).json({
+      message: 'Invitation sent',
+      staff: membership,
+    })
+  } catch (error) {
+    handleError(res, error, 'invite staff')
+  }
+})
+
+// Accept an invitation to this storefront's staff (the invited user)
+router.post('/accept', async (req, res) => {
+  try {
+    const user = await verifyToken(req)
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized: Invalid or missing token' })
+    }
+
+    const membership = await acceptInvitation(req.params.storeId, user.userId)
+
+    res.status(200).json({
+      message: 'Invitation accepted',
+      staff: membership,
+    })
+  } catch (error) {
+    handleError(res, error, 'accept invitation')
+  }
+})
+
+// Remove a staff member or cancel an invitation (owner and managers), or leave the staff yourself
+router.delete('/:userId', async (req, res) => {
+  try {
+    const user = await verifyToken(req)
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized: Invalid or missing token' })
+    }
+
+    const { storeId, userId } = req.params
+
+    if (userId !== user.userId) {
+      const { role: callerRole } = await assertStorefrontPermission(storeId, user.userId, 'staff:manage')
+      const membership = await getMembership(storeId, userId)
+      if (membership && membership.role === 'manager' && callerRole !== 'owner') {
+        return res.status(403).json({ error: 'Forbidden: Only the storefront owner can remove managers' })
+      }
+    }
+
+    const removed = await removeStaff(storeId, userId)
+    if (!removed) {
+      return res.status(404).json({ error: 'Staff member not found' })
+    }
+
+    res.status(200).json({
+      message: removed.status === 'invited' ? 'Invitation cancelled' : 'Staff member removed',
+      staff: removed,
+    })
+  } catch (error) {
+    handleError(res, error, 'remove staff')
+  }
+})
+
+module.exports = router
@@ -2,12 +2,28 @@ const express = require('express')
 const { docClient } = require('../utils/dynamodb')
 const { PutCommand, GetCommand, QueryCommand, ScanCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb')
 const { verifyToken } = require('../utils/jwt')
+const { hasRole } = require('../utils/roles')
+const {
+  getStorefront,
+  archiveStorefront,
+  refreshHasStorefront,
+  listStorefrontDirectory,
+  directoryFields,
+  claimSlugFromName,
+  changeSlug,
+  resolveSlug,
+  setStorefrontAvailability,
+} = require('../services/storefrontService')
+const { assertStorefrontPermission, listMemberships } = require('../services/staffService')
+const { getStorefrontAnalytics } = require('../services/analyticsService')
+const { setShippingProfiles } = require('../services/shippingService')
+const { getAvailabilityStatus } = require('../utils/availability')
+const { isStorefrontVisible } = require('../utils/visibility')
 const { v4: uuidv4 } = require('uuid')
 
 const router = express.Router()
 const STOREFRONTS_TABLE = process.env.STOREFRONTS_TABLE || 'StorefrontsTable'
 const USERS_TABLE = process.env.USERS_TABLE || 'UsersTable'
-const ITEMS_TABLE = process.env.ITEMS_TABLE || 'ItemsTable'
 
 // Create storefront
 router.post('/', async (req, res) => {
@@ -17,19 +33,8 @@ router.post('/', async (req, res) => {
       return res.status(401).json({ error: 'Unauthorized: Invalid or missing token' })
     }
 
-    // Check role (Commented out: If not in token, fetch from DynamoDB using user.userId (Cognito sub))
-    let userRole = user.role
-    // if (!userRole) {
-    //   const userResult = await docClient.send(
-    //     new GetCommand({
-    //       TableName: USERS_TABLE,
-    //       Key: { userId: user.userId }, // Now using Cognito sub
-    //     })
-    //   )
-    //   userRole = userResult.Item?.role
-    // }
-
-    if (userRole !== 'seller') {
+    // Roles come from cognito:groups (a user can be both buyer and seller)
+    if (!hasRole(user, 'seller')) {
       return res.status(403).json({ error: 'Forbidden: Only sellers can create storefronts' })
     }
 
@@ -44,8 +49,13 @@ router.post('/', async (req, res) => {
 
     // Create storefront
     const storeId = uuidv4()
+
+    // The slug is reserved in its own table before the storefront is written
+    const slug = await claimSlugFromName(name, storeId)
+
     const storefront = {
       storeId,
+      slug,
       name,
       description,
       category,
@@ -53,6 +63,12 @@ router.post('/', async (req, res) => {
       owner: user.userId, // Store Cognito sub as owner
       ownerName: user.name,
       items: [],
+      itemsCount: 0, // Kept up to date by the listings routes
+      // Kept up to date by the reviews routes
+      ratingSum: 0,
+      ratingCount: 0,
+      averageRating: 0,
+      ...directoryFields(storeId, name),
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
     }
@@ -88,64 +104,28 @@ router.post('/', async (req, res) => {
   }
 })
 
-// List all storefronts (must come before /:storeId)
+// List storefronts (must come before /:storeId)
+// Query: category, name (prefix, case-insensitive), sort (newest | items | rating), limit, nextToken
 router.get('/', async (req, res) => {
   try {
-    const result = await docClient.send(
-      new ScanCommand({
-        TableName: STOREFRONTS_TABLE,
-      })
-    )
+    const { category, name, sort, limit, nextToken } = req.query
 
-    const storefronts = result.Items || []
-
-    // Enrich storefronts with items counts
-    const enrichedStorefronts = await Promise.all(
-      storefronts.map(async (storefront) => {
-        // Get items count from ItemsTable
-        let itemsCount = 0
-        try {
-          // Try to query using StoreIdIndex GSI first
-          let itemsResult
-          try {
-            itemsResult = await docClient.send(
-              new QueryCommand({
-                TableName: ITEMS_TABLE,
-                IndexName: 'StoreIdIndex',
-                KeyConditionExpression: 'storeId = :storeId',
-                ExpressionAttributeValues: {
-                  ':storeId': storefront.storeId,
-                },
-              })
-            )
-          } catch (gsiError) {
-            // If GSI doesn't exist, fall back to scanning and filtering
-            itemsResult = await docClient.send(
-              new ScanCommand({
-                TableName: ITEMS_TABLE,
-                FilterExpression: 'storeId = :storeId',
-                ExpressionAttributeValues: {
-                  ':storeId': storefront.storeId,
-                },
-              })
-            )
-          }
-          itemsCount = itemsResult.Items ? itemsResult.Items.length : 0
-        } catch (itemsError) {
-          console.warn(`Failed to fetch items for storefront ${storefront.storeId}:`, itemsError.message)
-        }
-
-        return {
-          ...storefront,
-          itemsCount,
-        }
-      })
-    )
+    const { storefronts, nextToken: next } = await listStorefrontDirectory({
+      category,
+      namePrefix: name,
+      sort,
+      limit,
+      nextToken,
+    })
 
     res.status(200).json({
-      storefronts: enrichedStorefronts,
+      storefronts,
+      nextToken: next,
     })
   } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: error.message })
+    }
     console.error('Error listing storefronts:', error)
     res.status(500).json({ error: 'Failed to list storefronts' })
   }
@@ -159,7 +139,7 @@ router.get('/my', async (req, res) => {
       return res.status(401).json({ error: 'Unauthorized: Invalid or missing token' })
     }
 
-    if (user.role !== 'seller') {
+    if (!hasRole(user, 'seller')) {
       return res.status(403).json({ error: 'Forbidden: Only sellers can view their storefronts' })
     }
 
@@ -197,8 +177,9 @@ router.get('/my', async (req, res) => {
       result = scanResult
     }
 
+    // Deleted storefronts stay archived in the table but aren't the seller's anymore
     res.status(200).json({
-      storefronts: result.Items || [],
+      storefronts: (result.Items || []).filter((storefront) => storefront.status !== 'archived'),
     })
   } catch (error) {
     console.error('Error getting my storefronts:', error)
@@ -206,6 +187,57 @@ router.get('/my', async (req, res) => {
   }
 })
 
+// Storefronts the caller works at or has been invited to (see routes/storefrontStaff.js)
+router.get('/memberships', async (req, res) => {
+  try {
+    const user = await verifyToken(req)
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized: Invalid or missing token' })
+    }
+
+    const memberships = await listMemberships(user.userId)
+    const withStorefronts = await Promise.all(
+      memberships.map(async (membership) => {
+        const storefront = await getStorefront(membership.storeId)
+        return storefront && storefront.status !== 'archived'
+          ? { ...membership, storefront: { storeId: storefront.storeId, name: storefront.name, slug: storefront.slug } }
+          : null
+      })
+    )
+
+    res.status(200).json({
+      memberships: withStorefronts.filter(Boolean),
+    })
+  } catch (error) {
+    console.error('Error getting staff memberships:', error)
+    res.status(500).json({ error: 'Failed to get staff memberships' })
+  }
+})
+
+// Get storefront by slug; old slugs redirect to the storefront's current one
+router.get('/by-slug/:slug', async (req, res) => {
+  try {
+    const slug = req.params.slug.toLowerCase()
+    const resolved = await resolveSlug(slug)
+
+    if (!resolved || !isStorefrontVisible(resolved.storefront)) {
+      return res.status(404).json({ error: 'Storefront not found' })
+    }
+
+    if (resolved.redirectTo) {
+      return res.redirect(301, `${req.baseUrl}/by-slug/${encodeURIComponent(resolved.redirectTo)}`)
+    }
+
+    res.status(200).json({
+      storefront: resolved.storefront,
+      availabilityStatus: getAvailabilityStatus(resolved.storefront),
+    })
+  } catch (error) {
+    console.error('Error getting storefront by slug:', error)
+    res.status(500).json({ error: 'Failed to get storefront' })
+  }
+})
+
 // Get single storefront (must come after /my)
 router.get('/:storeId', async (req, res) => {
   try {
@@ -224,12 +256,13 @@ router.get('/:storeId', async (req, res) => {
       })
     )
 
-    if (!result.Item) {
+    if (!result.Item || !isStorefrontVisible(result.Item)) {
       return res.status(404).json({ error: 'Storefront not found' })
     }
 
     res.status(200).json({
       storefront: result.Item,
+      availabilityStatus: getAvailabilityStatus(result.Item),
     })
   } catch (error) {
     console.error('Error getting storefront:', error)
@@ -237,5 +270,208 @@ router.get('/:storeId', async (req, res) => {
   }
 })
 
+// Fields a seller can change on their storefront (slug is handled separately)
+const EDITABLE_STOREFRONT_FIELDS = ['name', 'description', 'category', 'image']
+
+// Update storefront (owner only)
+router.put('/:storeId', async (req, res) => {
+  try {
+    const user = await verifyToken(req)
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized: Invalid or missing token' })
+    }
+
+    const { storeId } = req.params
+
+    const { storefront } = await assertStorefrontPermission(storeId, user.userId, 'storefront:manage')
+
+    const updates = {}
+    for (const field of EDITABLE_STOREFRONT_FIELDS) {
+      if (req.body[field] === undefined) continue
+      if (typeof req.body[field] !== 'string' || req.body[field].trim() === '') {
+        return res.status(400).json({ error: `${field} must be a non-empty string` })
+      }
+      updates[field] = req.body[field].trim()
+    }
+
+    const { slug } = req.body
+    if (Object.keys(updates).length === 0 && slug === undefined) {
+      return res.status(400).json({
+        error: `No fields to update. Editable fields: ${[...EDITABLE_STOREFRONT_FIELDS, 'slug'].join(', ')}`,
+      })
+    }
+
+    // The slug is claimed first so a taken slug fails the whole update
+    let updatedStorefront = storefront
+    if (slug !== undefined) {
+      try {
+        updatedStorefront = await changeSlug(storefront, slug)
+      } catch (slugError) {
+        if (slugError.statusCode) {
+          return res.status(slugError.statusCode).json({ error: slugError.message })
+        }
+        throw slugError
+      }
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(200).json({
+        message: 'Storefront updated successfully',
+        storefront: updatedStorefront,
+      })
+    }
+
+    // Keep the directory's name search in step with the name
+    if (updates.name) Object.assign(updates, directoryFields(storeId, updates.name))
+
+    const expressionAttributeNames = {}
+    const expressionAttributeValues = { ':updatedAt': new Date().toISOString() }
+    const setExpressions = ['updatedAt = :updatedAt']
+    Object.entries(updates).forEach(([field, value]) => {
+      expressionAttributeNames[`#${field}`] = field
+      expressionAttributeValues[`:${field}`] = value
+      setExpressions.push(`#${field} = :${field}`)
+    })
+
+    const result = await docClient.send(
+      new UpdateCommand({
+        TableName: STOREFRONTS_TABLE,
+        Key: { storeId },
+        UpdateExpression: `SET ${setExpressions.join(', ')}`,
+        ExpressionAttributeNames: expressionAttributeNames,
+        ExpressionAttributeValues: expressionAttributeValues,
+        ConditionExpression: 'attribute_exists(storeId)',
+        ReturnValues: 'ALL_NEW',
+      })
+    )
+
+    res.status(200).json({
+      message: 'Storefront updated successfully',
+      storefront: result.Attributes,
+    })
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message })
+    }
+    console.error('Error updating storefront:', error)
+    res.status(500).json({ error: 'Failed to update storefront' })
+  }
+})
+
+// Set availability (owner only): { mode: 'open' }, { mode: 'vacation', returnDate, message, notifyOnReopen }
+// or { mode: 'hours', timezone, weeklyHours }. See utils/availability.js
+router.put('/:storeId/availability', async (req, res) => {
+  try {
+    const user = await verifyToken(req)
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized: Invalid or missing token' })
+    }
+
+    const { storeId } = req.params
+
+    const { storefront } = await assertStorefrontPermission(storeId, user.userId, 'storefront:manage')
+
+    const updated = await setStorefrontAvailability(storefront, req.body || {})
+
+    res.status(200).json({
+      message: 'Storefront availability updated',
+      storefront: updated,
+      availabilityStatus: getAvailabilityStatus(updated),
+    })
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message })
+    }
+    console.error('Error updating storefront availability:', error)
+    res.status(500).json({ error: 'Failed to update storefront availability' })
+  }
+})
+
+// Replace shipping profiles (owner only): { shippingProfiles: [...] }. See utils/shippingRates.js
+router.put('/:storeId/shipping', async (req, res) => {
+  try {
+    const user = await verifyToken(req)
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized: Invalid or missing token' })
+    }
+
+    const { storefront } = await assertStorefrontPermission(req.params.storeId, user.userId, 'storefront:manage')
+    const updated = await setShippingProfiles(storefront, (req.body || {}).shippingProfiles)
+
+    res.status(200).json({
+      message: 'Shipping profiles updated',
+      shippingProfiles: updated.shippingProfiles,
+    })
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message })
+    }
+    console.error('Error updating shipping profiles:', error)
+    res.status(500).json({ error: 'Failed to update shipping profiles' })
+  }
+})
+
+// Sales analytics for the owner and managers
+// Query: from, to (YYYY-MM-DD, inclusive, UTC; defaults to the last 30 days)
+router.get('/:storeId/analytics', async (req, res) => {
+  try {
+    const user = await verifyToken(req)
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized: Invalid or missing token' })
+    }
+
+    const { storeId } = req.params
+    await assertStorefrontPermission(storeId, user.userId, 'analytics:view')
+
+    const analytics = await getStorefrontAnalytics(storeId, { from: req.query.from, to: req.query.to })
+
+    res.status(200).json({
+      storeId,
+      analytics,
+    })
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message })
+    }
+    console.error('Error getting storefront analytics:', error)
+    res.status(500).json({ error: 'Failed to get storefront analytics' })
+  }
+})
+
+// Staff invitations and membership: /storefronts/:storeId/staff
+router.use('/:storeId/staff', require('./storefrontStaff'))
+
+// Delete storefront (owner only)
+// The storefront and its listings are archived rather than removed, so existing orders still
+// resolve; archived stores and listings are hidden and can't be added to carts or ordered from.
+router.delete('/:storeId', async (req, res) => {
+  try {
+    const user = await verifyToken(req)
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized: Invalid or missing token' })
+    }
+
+    const { storeId } = req.params
+
+    const { storefront } = await assertStorefrontPermission(storeId, user.userId, 'storefront:manage')
+
+    const { archivedListings } = await archiveStorefront(storeId)
+    const hasStorefront = await refreshHasStorefront(user.userId)
+
+    res.status(200).json({
+      message: 'Storefront deleted successfully',
+      storeId,
+      archivedListings,
+      hasStorefront,
+    })
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message })
+    }
+    console.error('Error deleting storefront:', error)
+    res.status(500).json({ error: 'Failed to delete storefront' })
+  }
+})
+
 module.exports = router
 
@@ -2,6 +2,9 @@ const express = require('express')
 const { docClient } = require('../utils/dynamodb')
 const { PutCommand, DeleteCommand, QueryCommand, GetCommand } = require('@aws-sdk/lib-dynamodb')
 const { verifyToken } = require('../utils/jwt')
+const { hasRole } = require('../utils/roles')
+const { recordSubscription } = require('../services/analyticsService')
+const { hasVerifiedEmail } = require('../services/subscriptionService')
 
 const router = express.Router()
 const SUBSCRIPTIONS_TABLE = process.env.SUBSCRIPTIONS_TABLE || 'SubscriptionsTable'
@@ -14,20 +17,8 @@ router.post('/subscribe', async (req, res) => {
       return res.status(401).json({ error: 'Unauthorized: Invalid or missing token' })
     }
 
-    // Check role (Commented out: If not in token, fetch from DynamoDB)
-    let userRole = user.role
-    // if (!userRole) {
-    //   const userResult = await docClient.send(
-    //     new GetCommand({
-    //       TableName: process.env.USERS_TABLE || 'UsersTable',
-    //       Key: { userId: user.userId }, // Now using Cognito sub
-    //     })
-    //   )
-    //   userRole = userResult.Item?.role
-    // }
-
-    // Only buyers can subscribe
-    if (userRole !== 'buyer') {
+    // Only buyers can subscribe (roles come from cognito:groups, so sellers who also buy qualify)
+    if (!hasRole(user, 'buyer')) {
       return res.status(403).json({ error: 'Forbidden: Only buyers can subscribe to storefronts' })
     }
 
@@ -57,6 +48,15 @@ router.post('/subscribe', async (req, res) => {
       })
     }
 
+    // Email notifications only go to addresses the buyer has proven they own. Checked on the
+    // user record, since access tokens don't say whether the email is verified.
+    if (emailPref && !(await hasVerifiedEmail(user.userId, user.email))) {
+      return res.status(403).json({
+        error: 'Verify your email address before enabling email notifications',
+        code: 'EMAIL_NOT_VERIFIED',
+      })
+    }
+
     // Phone is required if SMS is enabled
     if (smsPref && (!phoneNumber || !phoneNumber.trim())) {
       return res.status(400).json({
@@ -100,6 +100,7 @@ router.post('/subscribe', async (req, res) => {
     const subscription = {
       storeId,
       buyerEmail,
+      userId: user.userId,
       subscribedAt: new Date().toISOString(),
       notifyEmail: emailPref,
       notifySms: smsPref,
@@ -116,6 +117,8 @@ router.post('/subscribe', async (req, res) => {
       })
     )
 
+    await recordSubscription(storeId)
+
     res.status(201).json({
       message: 'Successfully subscribed to storefront',
       subscription,
@@ -134,20 +137,8 @@ router.post('/unsubscribe', async (req, res) => {
       return res.status(401).json({ error: 'Unauthorized: Invalid or missing token' })
     }
 
-    // Check role (Commented out: if not in token, fetch from DynamoDB)
-    let userRole = user.role
-    // if (!userRole) {
-    //   const userResult = await docClient.send(
-    //     new GetCommand({
-    //       TableName: process.env.USERS_TABLE || 'UsersTable',
-    //       Key: { userId: user.userId }, // Now using Cognito sub
-    //     })
-    //   )
-    //   userRole = userResult.Item?.role
-    // }
-
     // Only buyers can unsubscribe
-    if (userRole !== 'buyer') {
+    if (!hasRole(user, 'buyer')) {
       return res.status(403).json({ error: 'Forbidden: Only buyers can unsubscribe from storefronts' })
     }
 
@@ -0,0 +1,39 @@
+// Recount every storefront's listings and store the result as itemsCount
+// Run once after deploying stored item counts, or any time the counts drift:
+//   npm run backfill:storefront-counts
+require('dotenv').config()
+const { docClient } = require('../utils/dynamodb')
+const { UpdateCommand } = require('@aws-sdk/lib-dynamodb')
+const { scanAll } = require('../utils/dynamoPagination')
+const { countStorefrontItems } = require('../services/storefrontService')
+
+const STOREFRONTS_TABLE = process.env.STOREFRONTS_TABLE || 'StorefrontsTable'
+
+async function main() {
+  const storefronts = await scanAll({ TableName: STOREFRONTS_TABLE })
+  console.log(`Recounting items for ${storefronts.length} storefronts...`)
+
+  let changed = 0
+  for (const storefront of storefronts) {
+    const itemsCount = await countStorefrontItems(storefront.storeId)
+    if (storefront.itemsCount === itemsCount) continue
+
+    await docClient.send(
+      new UpdateCommand({
+        TableName: STOREFRONTS_TABLE,
+        Key: { storeId: storefront.storeId },
+        UpdateExpression: 'SET itemsCount = :itemsCount',
+        ExpressionAttributeValues: { ':itemsCount': itemsCount },
+      })
+    )
+    console.log(`  ${storefront.storeId}: ${storefront.itemsCount ?? 'unset'} -> ${itemsCount}`)
+    changed += 1
+  }
+
+  console.log(`Done. Updated ${changed} of ${storefronts.length} storefronts.`)
+}
+
+main().catch((error) => {
+  console.error('Backfill failed:', error)
+  process.exit(1)
+})
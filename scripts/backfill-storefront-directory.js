@@ -0,0 +1,57 @@
+// Give every storefront the attributes the directory GSIs are keyed on (directory shard, nameLower,
+// and itemsCount / averageRating for the sort keys). Run once after creating the indexes, and
+// again if the number of directory shards changes:
+//   npm run backfill:storefront-directory
+require('dotenv').config()
+const { docClient } = require('../utils/dynamodb')
+const { UpdateCommand } = require('@aws-sdk/lib-dynamodb')
+const { scanAll } = require('../utils/dynamoPagination')
+const { directoryFields } = require('../services/storefrontService')
+
+const STOREFRONTS_TABLE = process.env.STOREFRONTS_TABLE || 'StorefrontsTable'
+
+async function main() {
+  const storefronts = await scanAll({ TableName: STOREFRONTS_TABLE })
+  console.log(`Checking directory fields for ${storefronts.length} storefronts...`)
+
+  let changed = 0
+  for (const storefront of storefronts) {
+    const { directory, nameLower } = directoryFields(storefront.storeId, storefront.name)
+    if (
+      storefront.directory === directory &&
+      storefront.nameLower === nameLower &&
+      typeof storefront.itemsCount === 'number' &&
+      typeof storefront.averageRating === 'number' &&
+      storefront.createdAt
+    ) {
+      continue
+    }
+
+    await docClient.send(
+      new UpdateCommand({
+        TableName: STOREFRONTS_TABLE,
+        Key: { storeId: storefront.storeId },
+        UpdateExpression:
+          'SET #directory = :directory, nameLower = :nameLower, ' +
+          'itemsCount = if_not_exists(itemsCount, :zero), averageRating = if_not_exists(averageRating, :zero), ' +
+          'createdAt = if_not_exists(createdAt, :epoch)',
+        ExpressionAttributeNames: { '#directory': 'directory' },
+        ExpressionAttributeValues: {
+          ':directory': directory,
+          ':nameLower': nameLower,
+          ':zero': 0,
+          ':epoch': new Date(0).toISOString(),
+        },
+      })
+    )
+    console.log(`  ${storefront.storeId}: added directory fields`)
+    changed += 1
+  }
+
+  console.log(`Done. Updated ${changed} of ${storefronts.length} storefronts.`)
+}
+
+main().catch((error) => {
+  console.error('Backfill failed:', error)
+  process.exit(1)
+})
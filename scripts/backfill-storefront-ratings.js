@@ -0,0 +1,42 @@
+// Recompute every storefront's averageRating and ratingCount from ReviewsTable
+// Run once after deploying storefront ratings, or any time they drift:
+//   npm run backfill:storefront-ratings
+require('dotenv').config()
+const { scanAll } = require('../utils/dynamoPagination')
+const { setStorefrontRating } = require('../services/storefrontService')
+
+const STOREFRONTS_TABLE = process.env.STOREFRONTS_TABLE || 'StorefrontsTable'
+const REVIEWS_TABLE = process.env.REVIEWS_TABLE || 'ReviewsTable'
+
+async function main() {
+  const reviews = await scanAll({ TableName: REVIEWS_TABLE })
+  const totals = new Map()
+  for (const review of reviews) {
+    const rating = Number(review.rating)
+    if (!review.storeId || !Number.isFinite(rating)) continue
+    const total = totals.get(review.storeId) || { sum: 0, count: 0 }
+    total.sum += rating
+    total.count += 1
+    totals.set(review.storeId, total)
+  }
+
+  const storefronts = await scanAll({ TableName: STOREFRONTS_TABLE })
+  console.log(`Recomputing ratings for ${storefronts.length} storefronts from ${reviews.length} reviews...`)
+
+  let changed = 0
+  for (const storefront of storefronts) {
+    const total = totals.get(storefront.storeId) || { sum: 0, count: 0 }
+    if (storefront.ratingSum === total.sum && storefront.ratingCount === total.count) continue
+
+    await setStorefrontRating(storefront.storeId, total)
+    console.log(`  ${storefront.storeId}: ${total.count} reviews`)
+    changed += 1
+  }
+
+  console.log(`Done. Updated ${changed} of ${storefronts.length} storefronts.`)
+}
+
+main().catch((error) => {
+  console.error('Backfill failed:', error)
+  process.exit(1)
+})
@@ -0,0 +1,42 @@
+// Give every storefront created before slugs existed a slug generated from its name
+//   npm run backfill:storefront-slugs
+require('dotenv').config()
+const { docClient } = require('../utils/dynamodb')
+const { UpdateCommand } = require('@aws-sdk/lib-dynamodb')
+const { scanAll } = require('../utils/dynamoPagination')
+const { claimSlugFromName } = require('../services/storefrontService')
+
+const STOREFRONTS_TABLE = process.env.STOREFRONTS_TABLE || 'StorefrontsTable'
+
+async function main() {
+  const storefronts = await scanAll({ TableName: STOREFRONTS_TABLE })
+  const missing = storefronts.filter((storefront) => !storefront.slug)
+  console.log(`${missing.length} of ${storefronts.length} storefronts need a slug...`)
+
+  for (const storefront of missing) {
+    const slug = await claimSlugFromName(storefront.name, storefront.storeId)
+    try {
+      await docClient.send(
+        new UpdateCommand({
+          TableName: STOREFRONTS_TABLE,
+          Key: { storeId: storefront.storeId },
+          UpdateExpression: 'SET slug = :slug',
+          ConditionExpression: 'attribute_not_exists(slug)',
+          ExpressionAttributeValues: { ':slug': slug },
+        })
+      )
+      console.log(`  ${storefront.storeId}: ${slug}`)
+    } catch (error) {
+      // The seller set a slug while the backfill was running; keep theirs
+      if (error.name !== 'ConditionalCheckFailedException') throw error
+      console.log(`  ${storefront.storeId}: already has a slug, skipped`)
+    }
+  }
+
+  console.log('Done.')
+}
+
+main().catch((error) => {
+  console.error('Backfill failed:', error)
+  process.exit(1)
+})
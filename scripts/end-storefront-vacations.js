@@ -0,0 +1,31 @@
+// End vacations whose return date has passed: restores the store's hours (or opens it) and
+// sends the reopen notification if the seller asked for one. Run on a schedule, e.g. hourly:
+//   npm run end:storefront-vacations
+require('dotenv').config()
+const { scanAll } = require('../utils/dynamoPagination')
+const { endStorefrontVacation } = require('../services/storefrontService')
+
+const STOREFRONTS_TABLE = process.env.STOREFRONTS_TABLE || 'StorefrontsTable'
+
+async function main() {
+  const now = new Date().toISOString()
+  const storefronts = await scanAll({
+    TableName: STOREFRONTS_TABLE,
+    FilterExpression: 'availability.#mode = :vacation AND availability.returnDate <= :now',
+    ExpressionAttributeNames: { '#mode': 'mode' },
+    ExpressionAttributeValues: { ':vacation': 'vacation', ':now': now },
+  })
+  console.log(`${storefronts.length} storefronts are back from vacation...`)
+
+  for (const storefront of storefronts) {
+    await endStorefrontVacation(storefront)
+    console.log(`  ${storefront.storeId}: reopened`)
+  }
+
+  console.log('Done.')
+}
+
+main().catch((error) => {
+  console.error('Ending vacations failed:', error)
+  process.exit(1)
+})
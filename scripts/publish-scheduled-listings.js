@@ -0,0 +1,25 @@
+// Publish scheduled listings whose publishAt has passed and notify the storefronts' subscribers.
+// Run on a schedule, e.g. every 5 minutes:
+//   npm run publish:scheduled-listings
+require('dotenv').config()
+const { listDueScheduledListings, publishScheduledListing } = require('../services/listingService')
+
+async function main() {
+  const items = await listDueScheduledListings()
+  console.log(`${items.length} scheduled listings are due...`)
+
+  let published = 0
+  for (const item of items) {
+    if (await publishScheduledListing(item)) {
+      console.log(`  ${item.id}: published`)
+      published += 1
+    }
+  }
+
+  console.log(`Done. Published ${published} listings.`)
+}
+
+main().catch((error) => {
+  console.error('Publishing scheduled listings failed:', error)
+  process.exit(1)
+})
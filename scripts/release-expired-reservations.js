@@ -0,0 +1,31 @@
+// Cancel orders that weren't paid for within RESERVATION_TTL_MINUTES and give their stock back.
+// Run on a schedule, e.g. every 5 minutes:
+//   npm run release:expired-reservations
+require('dotenv').config()
+const { listExpiredReservations } = require('../services/inventoryService')
+const { cancelOrder } = require('../services/orderService')
+
+async function main() {
+  const orders = await listExpiredReservations()
+  console.log(`${orders.length} orders have expired reservations...`)
+
+  let released = 0
+  for (const order of orders) {
+    try {
+      await cancelOrder(order, { reason: 'payment_expired' })
+      console.log(`  ${order.id}: cancelled, stock released`)
+      released += 1
+    } catch (error) {
+      // Paid, shipped or cancelled since the scan
+      if (!error.statusCode) throw error
+      console.log(`  ${order.id}: skipped (${error.message})`)
+    }
+  }
+
+  console.log(`Done. Released ${released} reservations.`)
+}
+
+main().catch((error) => {
+  console.error('Releasing expired reservations failed:', error)
+  process.exit(1)
+})
@@ -7,25 +7,59 @@ app.listen(PORT, () => {
   console.log(`🚀 Local backend server running on http://localhost:${PORT}`)
   console.log(`📋 Available routes:`)
   console.log(`   - POST   /auth/register`)
+  console.log(`   - POST   /auth/verify-email`)
+  console.log(`   - POST   /auth/resend-verification`)
   console.log(`   - POST   /auth/login`)
+  console.log(`   - POST   /auth/login/mfa`)
+  console.log(`   - POST   /auth/refresh`)
+  console.log(`   - POST   /auth/logout`)
+  console.log(`   - POST   /auth/logout-all`)
+  console.log(`   - POST   /auth/roles`)
+  console.log(`   - POST   /auth/mfa/setup`)
+  console.log(`   - POST   /auth/mfa/verify`)
+  console.log(`   - DELETE /auth/mfa`)
+  console.log(`   - PUT    /auth/mfa/required`)
+  console.log(`   - DELETE /auth/account`)
+  console.log(`   - GET    /auth/export`)
+  console.log(`   - POST   /auth/forgot-password`)
+  console.log(`   - POST   /auth/confirm-forgot-password`)
   console.log(`   - GET    /auth/profile`)
+  console.log(`   - PATCH  /auth/profile`)
+  console.log(`   - GET    /.well-known/jwks.json`)
+  console.log(`   - POST   /auth/profile/verify-email`)
   console.log(`   - POST   /storefronts`)
-  console.log(`   - GET    /storefronts`)
+  console.log(`   - GET    /storefronts?category=...&name=...&sort=newest|items|rating`)
   console.log(`   - GET    /storefronts/:storeId`)
+  console.log(`   - GET    /storefronts/by-slug/:slug`)
   console.log(`   - GET    /storefronts/my`)
+  console.log(`   - PUT    /storefronts/:storeId`)
+  console.log(`   - PUT    /storefronts/:storeId/availability`)
+  console.log(`   - PUT    /storefronts/:storeId/shipping`)
+  console.log(`   - GET    /storefronts/:storeId/analytics?from=...&to=...`)
+  console.log(`   - GET    /storefronts/memberships`)
+  console.log(`   - GET    /storefronts/:storeId/staff`)
+  console.log(`   - POST   /storefronts/:storeId/staff`)
+  console.log(`   - POST   /storefronts/:storeId/staff/accept`)
+  console.log(`   - DELETE /storefronts/:storeId/staff/:userId`)
+  console.log(`   - DELETE /storefronts/:storeId`)
   console.log(`   - POST   /listings`)
+  console.log(`   - POST   /listings/import`)
   console.log(`   - GET    /listings?storeId=...`)
+  console.log(`   - GET    /listings/search?q=...`)
   console.log(`   - GET    /listings/:id`)
   console.log(`   - PUT    /listings/:id`)
   console.log(`   - DELETE /listings/:id`)
   console.log(`   - GET    /cart/items`)
   console.log(`   - POST   /cart/items`)
   console.log(`   - PATCH  /cart/items/:itemId`)
-  console.log(`   - DELETE /cart/items/:itemId`)
+  console.log(`   - DELETE /cart/items/:itemId?variantId=...`)
   console.log(`   - DELETE /cart/items`)
+  console.log(`   - POST   /cart/shipping-quote`)
   console.log(`   - POST   /orders`)
   console.log(`   - GET    /orders`)
   console.log(`   - GET    /orders/:orderId`)
+  console.log(`   - POST   /orders/:orderId/confirm-payment`)
+  console.log(`   - POST   /orders/:orderId/cancel`)
   console.log(`   - POST   /reviews`)
   console.log(`   - GET    /reviews/product/:productId`)
   console.log(`   - GET    /reviews/:reviewId`)
@@ -41,5 +75,16 @@ app.listen(PORT, () => {
   console.log(`   - PUT    /chats/:chatId/read-all`)
   console.log(`   - DELETE /chats/:chatId`)
   console.log(`   - GET    /chats/store/:storeId`)
+  console.log(`   - GET    /admin/users`)
+  console.log(`   - GET    /admin/users/:userId`)
+  console.log(`   - POST   /admin/users/:userId/suspend`)
+  console.log(`   - POST   /admin/users/:userId/reinstate`)
+  console.log(`   - POST   /admin/storefronts/:storeId/suspend`)
+  console.log(`   - POST   /admin/storefronts/:storeId/reinstate`)
+  console.log(`   - POST   /admin/listings/:id/takedown`)
+  console.log(`   - POST   /admin/listings/:id/restore`)
+  console.log(`   - GET    /admin/lockouts`)
+  console.log(`   - GET    /admin/orders`)
+  console.log(`   - GET    /admin/orders/:orderId`)
 })
 
@@ -0,0 +1,246 @@
+const { docClient } = require('../utils/dynamodb')
+const {
+  GetCommand,
+  PutCommand,
+  UpdateCommand,
+  DeleteCommand,
+} = require('@aws-sdk/lib-dynamodb')
+const { clearCartForUser } = require('./cartService')
+const { archiveStorefront } = require('./storefrontService')
+const { getIdentityProvider } = require('./identity')
+const { revokeAllForUser } = require('../utils/tokenRevocation')
+const { scanAll, queryIndexOrScan } = require('../utils/dynamoPagination')
+const { identityUsernameOf } = require('../utils/userRecords')
+
+const USERS_TABLE = process.env.USERS_TABLE || 'UsersTable'
+const STOREFRONTS_TABLE = process.env.STOREFRONTS_TABLE || 'StorefrontsTable'
+const ORDERS_TABLE = process.env.ORDERS_TABLE || 'OrdersTable'
+const SUBSCRIPTIONS_TABLE = process.env.SUBSCRIPTIONS_TABLE || 'SubscriptionsTable'
+const CHATS_TABLE = process.env.CHATS_TABLE || 'ChatsTable'
+const ACCOUNT_DELETIONS_TABLE = process.env.ACCOUNT_DELETIONS_TABLE || 'AccountDeletionsTable'
+
+// Placeholder written over the buyer's id on orders that are kept for the seller's records
+const DELETED_USER_ID = 'deleted-user'
+
+const createError = (statusCode, message) => {
+  const err = new Error(message)
+  err.statusCode = statusCode
+  return err
+}
+
+/**
+ * Deletion steps, run in order. Each must be safe to re-run, because a job that fails
+ * partway resumes from the first step not recorded as completed.
+ * The UsersTable row and identity provider user go last so the caller can still
+ * authenticate to resume if an earlier step fails.
+ */
+const DELETION_STEPS = [
+  {
+    name: 'cart',
+    run: async (job) => {
+      await clearCartForUser(job.userId)
+      return {}
+    },
+  },
+  {
+    name: 'subscriptions',
+    run: async (job) => {
+      const subscriptions = await queryIndexOrScan({
+        TableName: SUBSCRIPTIONS_TABLE,
+        IndexName: 'BuyerEmailIndex',
+        attribute: 'buyerEmail',
+        value: job.email,
+      })
+      for (const subscription of subscriptions) {
+        await docClient.send(
+          new DeleteCommand({
+            TableName: SUBSCRIPTIONS_TABLE,
+            Key: { storeId: subscription.storeId, buyerEmail: subscription.buyerEmail },
+          })
+        )
+      }
+      return { deleted: subscriptions.length }
+    },
+  },
+  {
+    name: 'chatParticipants',
+    run: async (job) => {
+      const participantRecords = await queryIndexOrScan({
+        TableName: CHATS_TABLE,
+        IndexName: 'ParticipantIndex',
+        attribute: 'participant',
+        value: job.userId,
+      })
+      for (const record of participantRecords) {
+        await docClient.send(
+          new DeleteCommand({
+            TableName: CHATS_TABLE,
+            Key: { id: record.id },
+          })
+        )
+      }
+      return { deleted: participantRecords.length }
+    },
+  },
+  {
+    name: 'storefronts',
+    run: async (job) => {
+      if (!job.isSeller) {
+        return { skipped: true }
+      }
+      const storefronts = await queryIndexOrScan({
+        TableName: STOREFRONTS_TABLE,
+        IndexName: 'OwnerIndex',
+        attribute: 'owner',
+        value: job.userId,
+      })
+
+      let archivedListings = 0
+      for (const storefront of storefronts) {
+        const result = await archiveStorefront(storefront.storeId)
+        archivedListings += result.archivedListings
+      }
+      return { archivedStorefronts: storefronts.length, archivedListings }
+    },
+  },
+  {
+    name: 'orders',
+    run: async (job) => {
+      const orders = await scanAll({
+        TableName: ORDERS_TABLE,
+        FilterExpression: 'userId = :userId',
+        ExpressionAttributeValues: { ':userId': job.userId },
+      })
+      const now = new Date().toISOString()
+      for (const order of orders) {
+        await docClient.send(
+          new UpdateCommand({
+            TableName: ORDERS_TABLE,
+            Key: { id: order.id },
+            UpdateExpression: 'SET userId = :deletedUser, anonymizedAt = :now REMOVE shippingInfo',
+            ExpressionAttributeValues: { ':deletedUser': DELETED_USER_ID, ':now': now },
+          })
+        )
+      }
+      return { anonymized: orders.length }
+    },
+  },
+  {
+    name: 'userRecord',
+    run: async (job) => {
+      await docClient.send(
+        new DeleteCommand({
+          TableName: USERS_TABLE,
+          Key: { userId: job.userId },
+        })
+      )
+      return {}
+    },
+  },
+  {
+    name: 'identity',
+    run: async (job) => {
+      try {
+        await getIdentityProvider().deleteUser({ username: job.identityUsername || job.email })
+      } catch (error) {
+        // Already gone from a previous attempt
+        if (error.name !== 'UserNotFoundException') throw error
+      }
+      await revokeAllForUser(job.userId)
+      return {}
+    },
+  },
+]
+
+const saveJob = (job) =>
+  docClient.send(
+    new PutCommand({
+      TableName: ACCOUNT_DELETIONS_TABLE,
+      Item: job,
+    })
+  )
+
+// Load an existing deletion job or start a new one from the user's record
+const loadOrCreateJob = async (userId) => {
+  const existing = await docClient.send(
+    new GetCommand({
+      TableName: ACCOUNT_DELETIONS_TABLE,
+      Key: { userId },
+    })
+  )
+  if (existing.Item) {
+    return existing.Item
+  }
+
+  const userResult = await docClient.send(
+    new GetCommand({
+      TableName: USERS_TABLE,
+      Key: { userId },
+    })
+  )
+  if (!userResult.Item) {
+    throw createError(404, 'User not found')
+  }
+
+  const user = userResult.Item
+  const roles = user.roles || (user.role ? [user.role] : [])
+  const job = {
+    userId,
+    // Keep what later steps need, since the UsersTable row is deleted along the way
+    email: user.email,
+    identityUsername: identityUsernameOf(user),
+    isSeller: roles.includes('seller') || !!user.hasStorefront,
+    status: 'IN_PROGRESS',
+    completedSteps: [],
+    log: [],
+    startedAt: new Date().toISOString(),
+  }
+  await saveJob(job)
+  return job
+}
+
+/**
+ * Public: delete a user's account, cascading through their data
+ * Every step is recorded on the AccountDeletionsTable job, so calling this again
+ * after a failure resumes where it stopped.
+ * @returns {Promise<object>} the finished job
+ */
+const deleteAccount = async (userId) => {
+  const job = await loadOrCreateJob(userId)
+  if (job.status === 'COMPLETED') {
+    return job
+  }
+
+  job.status = 'IN_PROGRESS'
+
+  for (const step of DELETION_STEPS) {
+    if (job.completedSteps.includes(step.name)) continue
+
+    try {
+      const result = await step.run(job)
+      job.completedSteps.push(step.name)
+      job.log.push({ step: step.name, status: 'COMPLETED', result, at: new Date().toISOString() })
+      console.log(`Account deletion ${userId}: ${step.name} completed`, result)
+      await saveJob(job)
+    } catch (error) {
+      console.error(`Account deletion ${userId}: ${step.name} failed:`, error)
+      job.status = 'FAILED'
+      job.failedStep = step.name
+      job.log.push({ step: step.name, status: 'FAILED', error: error.message, at: new Date().toISOString() })
+      await saveJob(job)
+      throw createError(500, `Account deletion failed at step "${step.name}". Retry to resume.`)
+    }
+  }
+
+  job.status = 'COMPLETED'
+  job.failedStep = null
+  job.completedAt = new Date().toISOString()
+  // The log is kept for auditing, but not the personal data it needed to run
+  delete job.email
+  delete job.identityUsername
+  await saveJob(job)
+
+  return job
+}
+
+module.exports = { deleteAccount, DELETED_USER_ID }
@@ -0,0 +1,251 @@
+const { docClient } = require('../utils/dynamodb')
+const { GetCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb')
+const { queryAll } = require('../utils/dynamoPagination')
+
+// Rollups per storefront (partition key storeId, sort key bucket):
+//   day#YYYY-MM-DD               orders, revenue, lineItems, cartAdds, newSubscribers
+//   itemday#YYYY-MM-DD#<itemId>  quantity, revenue, itemName
+//   status                       one counter per orderStatus
+// They're updated as orders, cart adds and subscriptions happen, so reports never scan orders.
+const STOREFRONT_ANALYTICS_TABLE = process.env.STOREFRONT_ANALYTICS_TABLE || 'StorefrontAnalyticsTable'
+const DEFAULT_RANGE_DAYS = 30
+const MAX_RANGE_DAYS = 366
+const TOP_ITEMS_LIMIT = 10
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const createError = (statusCode, message) => {
+  const err = new Error(message)
+  err.statusCode = statusCode
+  return err
+}
+
+const toDay = (timestamp) => new Date(timestamp).toISOString().slice(0, 10)
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100
+
+// Monday of the (UTC) week a day falls in
+const weekStart = (day) => {
+  const date = new Date(`${day}T00:00:00Z`)
+  return toDay(date.getTime() - ((date.getUTCDay() + 6) % 7) * DAY_MS)
+}
+
+// Add to counters on one rollup record; analytics must never fail the request that triggered them
+const addToRollup = async (storeId, bucket, counters, fields = {}) => {
+  const names = {}
+  const values = {}
+  const adds = Object.entries(counters).map(([name, amount], i) => {
+    names[`#c${i}`] = name
+    values[`:c${i}`] = amount
+    return `#c${i} :c${i}`
+  })
+  const sets = Object.entries(fields).map(([name, value], i) => {
+    names[`#f${i}`] = name
+    values[`:f${i}`] = value
+    return `#f${i} = :f${i}`
+  })
+
+  try {
+    await docClient.send(
+      new UpdateCommand({
+        TableName: STOREFRONT_ANALYTICS_TABLE,
+        Key: { storeId, bucket },
+        UpdateExpression: `ADD ${adds.join(', ')}${sets.length ? ` SET ${sets.join(', ')}` : ''}`,
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values,
+      })
+    )
+  } catch (error) {
+    console.warn(`Failed to update analytics rollup ${bucket} for storefront ${storeId}:`, error.message)
+  }
+}
+
+// An order line's price times quantity
+const lineTotal = (item) => (Number(item.price) || 0) * (Number(item.quantity) || 1)
+
+// Add (sign 1) or take back (sign -1) a paid order's sales in the daily and item totals for the
+// day it was paid. Each line counts for its listing's storefront (set when the order is priced).
+const addOrderSales = async (order, sign) => {
+  const day = toDay(order.paidAt || order.createdAt)
+  const linesByStore = new Map()
+  for (const item of order.items || []) {
+    const storeId = item.storeId || order.storeId
+    if (!storeId || storeId === 'default-store') continue
+    linesByStore.set(storeId, [...(linesByStore.get(storeId) || []), item])
+  }
+
+  for (const [storeId, items] of linesByStore) {
+    // Revenue comes from the item lines (priced from the listings) rather than order.total,
+    // which also covers shipping
+    const revenue = items.reduce((sum, item) => sum + lineTotal(item), 0)
+    await addToRollup(
+      storeId,
+      `day#${day}`,
+      { orders: sign, revenue: sign * revenue, lineItems: sign * items.length },
+      { date: day }
+    )
+    for (const item of items) {
+      const itemId = item.itemId || item.id
+      if (!itemId) continue
+      await addToRollup(
+        storeId,
+        `itemday#${day}#${itemId}`,
+        { quantity: sign * (Number(item.quantity) || 1), revenue: sign * lineTotal(item) },
+        { itemId, itemName: item.name || 'Item', date: day }
+      )
+    }
+  }
+}
+
+// Public: roll a newly created order into its storefront's status totals, and its sales into the
+// daily and item totals if it was paid up front
+const recordOrderCreated = async (order) => {
+  const { storeId } = order
+  if (!storeId || storeId === 'default-store') return
+
+  if (order.paymentStatus === 'paid') {
+    await addOrderSales(order, 1)
+  }
+  await addToRollup(storeId, 'status', { [order.orderStatus]: 1 })
+}
+
+// Public: roll an order's sales into the totals once its payment is confirmed
+const recordOrderPaid = (order) => addOrderSales(order, 1)
+
+// Public: take a cancelled order's sales back out of the totals if they were counted (its status
+// is moved with recordOrderStatusChange), so revenue only counts paid orders that go ahead
+const recordOrderCancelled = async (order) => {
+  if (order.paymentStatus !== 'paid') return
+  await addOrderSales(order, -1)
+}
+
+// Public: move an order between orderStatus counters
+const recordOrderStatusChange = async (order, fromStatus, toStatus) => {
+  const { storeId } = order
+  if (!storeId || storeId === 'default-store' || fromStatus === toStatus) return
+  await addToRollup(storeId, 'status', { [fromStatus]: -1, [toStatus]: 1 })
+}
+
+// Public: count an item newly added to a buyer's cart
+const recordCartAdd = (storeId, at = new Date()) => {
+  const day = toDay(at)
+  return addToRollup(storeId, `day#${day}`, { cartAdds: 1 }, { date: day })
+}
+
+// Public: count a new subscriber
+const recordSubscription = (storeId, at = new Date()) => {
+  const day = toDay(at)
+  return addToRollup(storeId, `day#${day}`, { newSubscribers: 1 }, { date: day })
+}
+
+// Validate ?from=&to= (inclusive UTC days), defaulting to the last 30 days
+const parseRange = ({ from, to } = {}) => {
+  const end = to || toDay(Date.now())
+  const start = from || toDay(Date.parse(`${end}T00:00:00Z`) - (DEFAULT_RANGE_DAYS - 1) * DAY_MS)
+  if (!DATE_PATTERN.test(start) || !DATE_PATTERN.test(end) || isNaN(Date.parse(start)) || isNaN(Date.parse(end))) {
+    throw createError(400, 'from and to must be dates in YYYY-MM-DD format')
+  }
+  const days = (Date.parse(end) - Date.parse(start)) / DAY_MS + 1
+  if (days < 1) {
+    throw createError(400, 'from must not be after to')
+  }
+  if (days > MAX_RANGE_DAYS) {
+    throw createError(400, `The range can cover at most ${MAX_RANGE_DAYS} days`)
+  }
+  return { from: start, to: end }
+}
+
+const queryBuckets = (storeId, low, high) =>
+  queryAll({
+    TableName: STOREFRONT_ANALYTICS_TABLE,
+    KeyConditionExpression: 'storeId = :storeId AND bucket BETWEEN :low AND :high',
+    ExpressionAttributeValues: { ':storeId': storeId, ':low': low, ':high': high },
+  })
+
+/**
+ * Public: a storefront's sales report for a date range, read from the rollups
+ * Order counts by status are all-time (they describe the orders as they stand now).
+ * @param {{ from?: string, to?: string }} range - inclusive UTC days (YYYY-MM-DD)
+ */
+const getStorefrontAnalytics = async (storeId, range) => {
+  const { from, to } = parseRange(range)
+
+  const [dayRecords, itemRecords, statusResult] = await Promise.all([
+    queryBuckets(storeId, `day#${from}`, `day#${to}`),
+    queryBuckets(storeId, `itemday#${from}`, `itemday#${to}#\uffff`),
+    docClient.send(
+      new GetCommand({
+        TableName: STOREFRONT_ANALYTICS_TABLE,
+        Key: { storeId, bucket: 'status' },
+      })
+    ),
+  ])
+
+  const daily = dayRecords.map((record) => ({
+    date: record.date,
+    orders: record.orders || 0,
+    revenue: roundMoney(record.revenue || 0),
+  }))
+
+  const weeks = new Map()
+  for (const { date, orders, revenue } of daily) {
+    const start = weekStart(date)
+    const week = weeks.get(start) || { weekStart: start, orders: 0, revenue: 0 }
+    week.orders += orders
+    week.revenue = roundMoney(week.revenue + revenue)
+    weeks.set(start, week)
+  }
+
+  const totals = dayRecords.reduce(
+    (sum, record) => ({
+      orders: sum.orders + (record.orders || 0),
+      revenue: sum.revenue + (record.revenue || 0),
+      lineItems: sum.lineItems + (record.lineItems || 0),
+      cartAdds: sum.cartAdds + (record.cartAdds || 0),
+      newSubscribers: sum.newSubscribers + (record.newSubscribers || 0),
+    }),
+    { orders: 0, revenue: 0, lineItems: 0, cartAdds: 0, newSubscribers: 0 }
+  )
+
+  const items = new Map()
+  for (const record of itemRecords) {
+    const item = items.get(record.itemId) || { itemId: record.itemId, name: record.itemName, quantity: 0, revenue: 0 }
+    item.quantity += record.quantity || 0
+    item.revenue = roundMoney(item.revenue + (record.revenue || 0))
+    items.set(record.itemId, item)
+  }
+
+  const { storeId: _storeId, bucket: _bucket, ...ordersByStatus } = statusResult.Item || {}
+
+  return {
+    range: { from, to },
+    revenue: {
+      total: roundMoney(totals.revenue),
+      daily,
+      weekly: Array.from(weeks.values()),
+    },
+    ordersByStatus,
+    orders: totals.orders,
+    averageOrderValue: totals.orders ? roundMoney(totals.revenue / totals.orders) : 0,
+    topItems: Array.from(items.values())
+      .sort((a, b) => b.quantity - a.quantity || b.revenue - a.revenue)
+      .slice(0, TOP_ITEMS_LIMIT),
+    // Share of items added to carts that ended up ordered
+    conversion: {
+      cartAdds: totals.cartAdds,
+      orderedItems: totals.lineItems,
+      rate: totals.cartAdds ? Math.round((totals.lineItems / totals.cartAdds) * 10000) / 10000 : null,
+    },
+    newSubscribers: totals.newSubscribers,
+  }
+}
+
+module.exports = {
+  recordOrderCreated,
+  recordOrderPaid,
+  recordOrderCancelled,
+  recordOrderStatusChange,
+  recordCartAdd,
+  recordSubscription,
+  getStorefrontAnalytics,
+}
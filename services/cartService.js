@@ -1,5 +1,10 @@
 const { docClient } = require('../utils/dynamodb')
 const { getRedisClient } = require('../utils/redis')
+const { isListingVisible } = require('../utils/visibility')
+const { assertStorefrontOpen } = require('./storefrontService')
+const { recordCartAdd } = require('./analyticsService')
+const { assertInStock } = require('./inventoryService')
+const { findVariant, describeVariant } = require('../utils/variants')
 const {
   QueryCommand,
   GetCommand,
@@ -12,12 +17,18 @@ const {
 const CART_TABLE = process.env.CART_TABLE || 'CartTable'
 const ITEMS_TABLE = process.env.ITEMS_TABLE || 'ItemsTable'
 const CART_CACHE_TTL_SECONDS = parseInt(process.env.CART_CACHE_TTL_SECONDS || '3600', 10)
+const BATCH_GET_LIMIT = 100
+const BATCH_GET_ATTEMPTS = 4
 const redis = getRedisClient()
 const DEFAULT_IMAGE =
   'https://images.unsplash.com/photo-1441986300917-64674bd600d8?auto=format&fit=crop&w=800&q=80'
 
 const cacheKey = (userId) => `cart:${userId}`
 
+// The cart table's sort key for a line: the item id, or `<itemId>#<variantId>` for a variant,
+// so a buyer can have several variants of one listing in their cart
+const cartLineKey = (itemId, variantId) => (variantId ? `${itemId}#${variantId}` : itemId)
+
 const throwWithSchemaHint = (error) => {
   const message = error?.message || ''
   if (message.includes('The provided key element does not match the schema')) {
@@ -81,8 +92,10 @@ const fetchCartFromDynamo = async (userId) => {
     )
     .catch(throwWithSchemaHint)
 
+  // Variant rows keep the listing id in listingId (their itemId is the line key)
   const items = (result.Items || []).map((item) => ({
-    itemId: item.itemId,
+    itemId: item.listingId || item.itemId,
+    ...(item.variantId && { variantId: item.variantId }),
     quantity: item.quantity ?? 1,
     storeId: item.storeId || item.storefrontId,
     updatedAt: item.updatedAt,
@@ -96,46 +109,57 @@ const fetchCartFromDynamo = async (userId) => {
   }
 }
 
-// Fetch the latest product metadata so cart prices and names are always fresh
+// Public: fetch the latest product metadata so cart prices and names are always fresh
+// Reads in batches of 100 keys, retrying keys DynamoDB leaves unprocessed (e.g. when throttled)
 const loadProductDetails = async (itemIds) => {
-  if (!itemIds.length) return new Map()
-
-  const response = await docClient.send(
-    new BatchGetCommand({
-      RequestItems: {
-        [ITEMS_TABLE]: {
-          Keys: itemIds.map((itemId) => ({ id: itemId })),
-        },
-      },
-    })
-  ).catch(throwWithSchemaHint)
-
-  const items = response.Responses?.[ITEMS_TABLE] || []
   const productMap = new Map()
-  items.forEach((item) => productMap.set(item.id, item))
-
+  for (let i = 0; i < itemIds.length; i += BATCH_GET_LIMIT) {
+    let keys = itemIds.slice(i, i + BATCH_GET_LIMIT).map((itemId) => ({ id: itemId }))
+
+    for (let attempt = 1; keys.length > 0; attempt++) {
+      if (attempt > BATCH_GET_ATTEMPTS) {
+        throw createError(503, 'Could not load every item right now, please try again')
+      }
+      if (attempt > 1) {
+        await new Promise((resolve) => setTimeout(resolve, 100 * 2 ** attempt))
+      }
+      const response = await docClient
+        .send(new BatchGetCommand({ RequestItems: { [ITEMS_TABLE]: { Keys: keys } } }))
+        .catch(throwWithSchemaHint)
+      for (const item of response.Responses?.[ITEMS_TABLE] || []) productMap.set(item.id, item)
+      keys = response.UnprocessedKeys?.[ITEMS_TABLE]?.Keys || []
+    }
+  }
   return productMap
 }
 
 // Combine DynamoDB cart rows with fresh product details for the API response
 const enrichCart = async (cart) => {
-  const productMap = await loadProductDetails(cart.items.map((item) => item.itemId))
+  const productMap = await loadProductDetails(Array.from(new Set(cart.items.map((item) => item.itemId))))
 
   const enrichedItems = cart.items.map((item) => {
     const product = productMap.get(item.itemId) || {}
     const storeId = item.storeId || product.storeId || product.storefrontId || null
+    // A variant the seller has since removed shows as out of stock
+    const variant = item.variantId ? findVariant(product, item.variantId) : null
 
     return {
       itemId: item.itemId,
+      ...(item.variantId && {
+        variantId: item.variantId,
+        sku: variant?.sku,
+        variantOptions: variant?.options,
+        variantName: variant ? describeVariant(variant) : undefined,
+      }),
       quantity: item.quantity ?? 1,
       storeId,
       name: product.name || 'Item',
-      price: Number(product.price) || 0,
-      image: product.image || DEFAULT_IMAGE,
+      price: Number(variant ? variant.price : product.price) || 0,
+      image: variant?.image || product.image || DEFAULT_IMAGE,
       category: product.category || 'General',
       description: product.description || '',
       averageRating: product.averageRating ?? 0,
-      availableQuantity: product.quantity,
+      availableQuantity: item.variantId ? variant?.quantity ?? 0 : product.quantity,
     }
   })
 
@@ -158,8 +182,9 @@ const getCartForUser = async (userId) => {
   return enrichCart(baseCart)
 }
 
-// Public: add or replace an item's quantity, enforcing single-storefront carts
-const addItemToCart = async (userId, itemId, quantity = 1) => {
+// Public: add or replace an item's (or one of its variants') quantity, enforcing
+// single-storefront carts and stock (checked per variant for listings with variants)
+const addItemToCart = async (userId, itemId, quantity = 1, variantId) => {
   if (!itemId) {
     throw createError(400, 'itemId is required')
   }
@@ -174,7 +199,7 @@ const addItemToCart = async (userId, itemId, quantity = 1) => {
     })
   )
 
-  if (!itemResult.Item) {
+  if (!itemResult.Item || !isListingVisible(itemResult.Item)) {
     throw createError(404, 'Item not found')
   }
 
@@ -183,14 +208,21 @@ const addItemToCart = async (userId, itemId, quantity = 1) => {
     throw createError(400, 'Item is missing storefront information')
   }
 
+  // Also rejects a missing or unknown variantId. Stock is only taken when an order is placed.
+  assertInStock([{ itemId, variantId, quantity }], new Map([[itemId, itemResult.Item]]))
+
+  await assertStorefrontOpen(storeId)
+
   const existingCart = await fetchCartFromDynamo(userId)
   if (existingCart.storeId && existingCart.storeId !== storeId && existingCart.items.length > 0) {
     throw createError(400, 'Cart already contains items from another store')
   }
 
+  const lineKey = cartLineKey(itemId, variantId)
   const updatedItem = {
     userId,
-    itemId,
+    itemId: lineKey,
+    ...(variantId && { listingId: itemId, variantId }),
     storeId,
     quantity,
     updatedAt: new Date().toISOString(),
@@ -203,6 +235,11 @@ const addItemToCart = async (userId, itemId, quantity = 1) => {
     })
   ).catch(throwWithSchemaHint)
 
+  // Quantity changes to an item already in the cart aren't new cart adds
+  if (!existingCart.items.some((item) => cartLineKey(item.itemId, item.variantId) === lineKey)) {
+    await recordCartAdd(storeId)
+  }
+
   const freshCart = await fetchCartFromDynamo(userId)
   await writeCartToCache(freshCart)
 
@@ -210,15 +247,15 @@ const addItemToCart = async (userId, itemId, quantity = 1) => {
 }
 
 // Public: set a new quantity for an existing item or remove if quantity is zero
-const updateItemQuantity = async (userId, itemId, quantity = 1) => {
+const updateItemQuantity = async (userId, itemId, quantity = 1, variantId) => {
   if (quantity < 1) {
-    return removeItemFromCart(userId, itemId)
+    return removeItemFromCart(userId, itemId, variantId)
   }
-  return addItemToCart(userId, itemId, quantity)
+  return addItemToCart(userId, itemId, quantity, variantId)
 }
 
-// Public: remove one item from the user's cart
-const removeItemFromCart = async (userId, itemId) => {
+// Public: remove one item (or one variant of it) from the user's cart
+const removeItemFromCart = async (userId, itemId, variantId) => {
   if (!itemId) {
     throw createError(400, 'itemId is required')
   }
@@ -228,7 +265,7 @@ const removeItemFromCart = async (userId, itemId) => {
       TableName: CART_TABLE,
       Key: {
         userId,
-        itemId,
+        itemId: cartLineKey(itemId, variantId),
       },
     })
   ).catch(throwWithSchemaHint)
@@ -256,7 +293,7 @@ const clearCartForUser = async (userId) => {
           RequestItems: {
             [CART_TABLE]: chunk.map((item) => ({
               DeleteRequest: {
-                Key: { userId, itemId: item.itemId },
+                Key: { userId, itemId: cartLineKey(item.itemId, item.variantId) },
               },
             })),
           },
@@ -279,6 +316,7 @@ const clearCartForUser = async (userId) => {
 }
 
 module.exports = {
+  loadProductDetails,
   getCartForUser,
   addItemToCart,
   updateItemQuantity,
@@ -0,0 +1,138 @@
+const { docClient } = require('../utils/dynamodb')
+const { GetCommand } = require('@aws-sdk/lib-dynamodb')
+const { getCartForUser } = require('./cartService')
+const { queryAll, scanAll, queryIndexOrScan } = require('../utils/dynamoPagination')
+const { stripPrivateFields } = require('../utils/userRecords')
+
+const USERS_TABLE = process.env.USERS_TABLE || 'UsersTable'
+const STOREFRONTS_TABLE = process.env.STOREFRONTS_TABLE || 'StorefrontsTable'
+const ITEMS_TABLE = process.env.ITEMS_TABLE || 'ItemsTable'
+const ORDERS_TABLE = process.env.ORDERS_TABLE || 'OrdersTable'
+const REVIEWS_TABLE = process.env.REVIEWS_TABLE || 'ReviewsTable'
+const SUBSCRIPTIONS_TABLE = process.env.SUBSCRIPTIONS_TABLE || 'SubscriptionsTable'
+const CHATS_TABLE = process.env.CHATS_TABLE || 'ChatsTable'
+const MESSAGES_TABLE = process.env.MESSAGES_TABLE || 'MessagesTable'
+
+const createError = (statusCode, message) => {
+  const err = new Error(message)
+  err.statusCode = statusCode
+  return err
+}
+
+// The user's chats, with only the messages they sent (the other party's messages are their data)
+const loadChats = async (userId) => {
+  const participantRecords = await queryIndexOrScan({
+    TableName: CHATS_TABLE,
+    IndexName: 'ParticipantIndex',
+    attribute: 'participant',
+    value: userId,
+  })
+
+  const chats = []
+  for (const record of participantRecords) {
+    const messages = await queryAll({
+      TableName: MESSAGES_TABLE,
+      KeyConditionExpression: 'chatId = :chatId',
+      FilterExpression: 'senderId = :userId',
+      ExpressionAttributeValues: {
+        ':chatId': record.chatId,
+        ':userId': userId,
+      },
+    })
+
+    chats.push({
+      chatId: record.chatId,
+      storeId: record.storeId,
+      storeName: record.storeName,
+      participantNames: record.participantNames,
+      createdAt: record.createdAt,
+      messages: messages.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt)),
+    })
+  }
+  return chats
+}
+
+// A seller's storefronts, each with its listings
+const loadStorefronts = async (userId) => {
+  const storefronts = await queryIndexOrScan({
+    TableName: STOREFRONTS_TABLE,
+    IndexName: 'OwnerIndex',
+    attribute: 'owner',
+    value: userId,
+  })
+
+  const result = []
+  for (const storefront of storefronts) {
+    const listings = await queryIndexOrScan({
+      TableName: ITEMS_TABLE,
+      IndexName: 'StoreIdIndex',
+      attribute: 'storeId',
+      value: storefront.storeId,
+    })
+    result.push({ ...storefront, listings })
+  }
+  return result
+}
+
+/**
+ * Public: gather everything stored about a user into one object
+ * Large collections are read page by page until DynamoDB has no more results.
+ * @returns {Promise<object>} sections keyed by name (profile, orders, reviews, ...)
+ */
+const buildUserExport = async (userId) => {
+  const userResult = await docClient.send(
+    new GetCommand({
+      TableName: USERS_TABLE,
+      Key: { userId },
+    })
+  )
+
+  if (!userResult.Item) {
+    throw createError(404, 'User not found')
+  }
+
+  const profile = stripPrivateFields(userResult.Item)
+
+  const roles = profile.roles || (profile.role ? [profile.role] : [])
+  const isSeller = roles.includes('seller') || !!profile.hasStorefront
+
+  const [orders, reviews, subscriptions, chats, cart, storefronts] = await Promise.all([
+    scanAll({
+      TableName: ORDERS_TABLE,
+      FilterExpression: 'userId = :userId',
+      ExpressionAttributeValues: { ':userId': userId },
+    }),
+    scanAll({
+      TableName: REVIEWS_TABLE,
+      FilterExpression: 'userId = :userId',
+      ExpressionAttributeValues: { ':userId': userId },
+    }),
+    queryIndexOrScan({
+      TableName: SUBSCRIPTIONS_TABLE,
+      IndexName: 'BuyerEmailIndex',
+      attribute: 'buyerEmail',
+      value: profile.email,
+    }),
+    loadChats(userId),
+    getCartForUser(userId),
+    isSeller ? loadStorefronts(userId) : Promise.resolve(undefined),
+  ])
+
+  const data = {
+    exportedAt: new Date().toISOString(),
+    profile,
+    orders,
+    reviews,
+    subscriptions,
+    chats,
+    cart,
+  }
+
+  if (storefronts) {
+    data.storefronts = storefronts
+  }
+
+  return data
+}
+
+module.exports = { buildUserExport }
@@ -0,0 +1,489 @@
+const crypto = require('crypto')
+const https = require('https')
+const {
+  CognitoIdentityProviderClient,
+  SignUpCommand,
+  ConfirmSignUpCommand,
+  ResendConfirmationCodeCommand,
+  AdminInitiateAuthCommand,
+  AdminRespondToAuthChallengeCommand,
+  AssociateSoftwareTokenCommand,
+  VerifySoftwareTokenCommand,
+  AdminSetUserMFAPreferenceCommand,
+  AdminGetUserCommand,
+  ForgotPasswordCommand,
+  ConfirmForgotPasswordCommand,
+  AdminUpdateUserAttributesCommand,
+  AdminDeleteUserAttributesCommand,
+  GlobalSignOutCommand,
+  AdminUserGlobalSignOutCommand,
+  VerifyUserAttributeCommand,
+  AdminAddUserToGroupCommand,
+  AdminRemoveUserFromGroupCommand,
+  AdminDeleteUserCommand,
+  AdminDisableUserCommand,
+  AdminEnableUserCommand,
+} = require('@aws-sdk/client-cognito-identity-provider')
+const { getSecret } = require('../../utils/secrets')
+const { ROLE_GROUPS } = require('../../utils/roles')
+
+// Cognito client
+const cognito = new CognitoIdentityProviderClient({
+  region: process.env.AWS_REGION || 'us-west-2',
+})
+
+const COGNITO_USER_POOL_ID = process.env.COGNITO_USER_POOL_ID
+const COGNITO_CLIENT_ID = process.env.COGNITO_CLIENT_ID
+let COGNITO_CLIENT_SECRET = process.env.COGNITO_CLIENT_SECRET
+
+// Cache for Cognito public keys
+let cognitoPublicKeys = {}
+let keysExpiry = 0
+
+// get cognito client secret from AWS secrets manager
+async function getCognitoClientSecret () {
+  if (COGNITO_CLIENT_SECRET) return COGNITO_CLIENT_SECRET
+
+  // this looks up the key "COGNITO_CLIENT_SECRET" in your Secrets Manager JSON
+  COGNITO_CLIENT_SECRET = await getSecret('COGNITO_CLIENT_SECRET')
+  return COGNITO_CLIENT_SECRET
+}
+
+// Compute SECRET_HASH for Cognito (required when client has a secret)
+const computeSecretHash = (username, clientId, clientSecret) => {
+  if (!clientSecret) {
+    return undefined
+  }
+  return crypto
+    .createHmac('SHA256', clientSecret)
+    .update(username + clientId)
+    .digest('base64')
+}
+
+const isConfigured = () => !!(COGNITO_USER_POOL_ID && COGNITO_CLIENT_ID)
+
+const toTokens = (authenticationResult) => ({
+  idToken: authenticationResult.IdToken,
+  accessToken: authenticationResult.AccessToken,
+  refreshToken: authenticationResult.RefreshToken,
+})
+
+/**
+ * Fetch Cognito public keys for token verification
+ */
+async function getPublicKeys() {
+  const now = Date.now()
+  if (cognitoPublicKeys && keysExpiry > now) {
+    return cognitoPublicKeys // Return cached keys
+  }
+
+  return new Promise((resolve, reject) => {
+    const region = process.env.AWS_REGION || 'us-west-2'
+    const userPoolId = COGNITO_USER_POOL_ID
+
+    if (!userPoolId) {
+      reject(new Error('COGNITO_USER_POOL_ID not set'))
+      return
+    }
+
+    const url = `https://cognito-idp.${region}.amazonaws.com/${userPoolId}/.well-known/jwks.json`
+
+    https.get(url, (res) => {
+      let data = ''
+      res.on('data', (chunk) => {
+        data += chunk
+      })
+      res.on('end', () => {
+        try {
+          const keys = JSON.parse(data).keys
+          cognitoPublicKeys = {}
+          keys.forEach((key) => {
+            cognitoPublicKeys[key.kid] = key
+          })
+          keysExpiry = now + 3600000 // Cache for 1 hour
+          resolve(cognitoPublicKeys)
+        } catch (err) {
+          reject(err)
+        }
+      })
+    }).on('error', reject)
+  })
+}
+
+/**
+ * Sign a user up; Cognito emails a verification code and blocks login until it is confirmed
+ * Requires self-service sign-up to be enabled on the app client
+ * @returns {Promise<{ userId: string, recordFields: object }>} userId is the Cognito sub
+ */
+async function createUser({ email, name, role, password }) {
+  const clientSecret = await getCognitoClientSecret()
+  const signUpResponse = await cognito.send(
+    new SignUpCommand({
+      ClientId: COGNITO_CLIENT_ID,
+      Username: email,
+      Password: password,
+      SecretHash: computeSecretHash(email, COGNITO_CLIENT_ID, clientSecret),
+      UserAttributes: [
+        { Name: 'email', Value: email },
+        { Name: 'name', Value: name },
+        { Name: 'custom:role', Value: role }, // Store role as custom attribute
+      ],
+    })
+  )
+
+  let identityUsername
+  try {
+    // The pool's username for them: the sub when email is a username attribute, otherwise the
+    // email they signed up with. Unlike their email, it stays the same, so admin calls use it.
+    const getUserResponse = await cognito.send(
+      new AdminGetUserCommand({
+        UserPoolId: COGNITO_USER_POOL_ID,
+        Username: email,
+      })
+    )
+    identityUsername = getUserResponse.Username
+
+    // Put the user in the group for their role so it shows up in cognito:groups
+    await addUserToGroup({ username: identityUsername, group: ROLE_GROUPS[role] })
+  } catch (error) {
+    // Don't leave a half-set-up user behind, or signing up again with this email returns 409
+    await deleteUser({ username: identityUsername || email }).catch((cleanupError) => {
+      console.error('Failed to delete Cognito user after a failed sign-up:', cleanupError.message)
+    })
+    throw error
+  }
+
+  // Cognito keeps the credentials, so only the username goes on the UsersTable record
+  return { userId: signUpResponse.UserSub, recordFields: { identityUsername } }
+}
+
+/**
+ * Confirm a sign-up with the emailed verification code
+ * @returns {Promise<{ userId: string }>} the confirmed user's Cognito sub
+ */
+async function confirmSignUp({ email, code }) {
+  const clientSecret = await getCognitoClientSecret()
+  await cognito.send(
+    new ConfirmSignUpCommand({
+      ClientId: COGNITO_CLIENT_ID,
+      Username: email,
+      ConfirmationCode: code,
+      SecretHash: computeSecretHash(email, COGNITO_CLIENT_ID, clientSecret),
+    })
+  )
+
+  // Get the user to retrieve the Cognito sub
+  const getUserResponse = await cognito.send(
+    new AdminGetUserCommand({
+      UserPoolId: COGNITO_USER_POOL_ID,
+      Username: email,
+    })
+  )
+
+  const subAttr = getUserResponse.UserAttributes.find((attr) => attr.Name === 'sub')
+  return { userId: subAttr?.Value }
+}
+
+// Email a new sign-up verification code
+async function resendConfirmationCode({ email }) {
+  const clientSecret = await getCognitoClientSecret()
+  await cognito.send(
+    new ResendConfirmationCodeCommand({
+      ClientId: COGNITO_CLIENT_ID,
+      Username: email,
+      SecretHash: computeSecretHash(email, COGNITO_CLIENT_ID, clientSecret),
+    })
+  )
+}
+
+/**
+ * Authenticate with email + password using AdminInitiateAuth
+ * This is an admin operation and doesn't depend on client auth flows
+ * @returns {Promise<object>} tokens, or { challengeName, session } when Cognito asks for more (e.g. an MFA code)
+ */
+async function authenticate({ email, password }) {
+  const authParams = {
+    USERNAME: email,
+    PASSWORD: password,
+  }
+
+  // get client secret from AWS secrets manager (or .env if USE_LOCAL_ENV is true)
+  const clientSecret = await getCognitoClientSecret()
+
+  // Add SECRET_HASH if client secret is configured
+  const secretHash = computeSecretHash(email, COGNITO_CLIENT_ID, clientSecret)
+  if (secretHash) {
+    authParams.SECRET_HASH = secretHash
+  }
+
+  const authResponse = await cognito.send(
+    new AdminInitiateAuthCommand({
+      UserPoolId: COGNITO_USER_POOL_ID,
+      ClientId: COGNITO_CLIENT_ID,
+      AuthFlow: 'ADMIN_NO_SRP_AUTH',
+      AuthParameters: authParams,
+    })
+  )
+
+  if (authResponse.ChallengeName) {
+    return { challengeName: authResponse.ChallengeName, session: authResponse.Session }
+  }
+
+  return toTokens(authResponse.AuthenticationResult)
+}
+
+// Complete a SOFTWARE_TOKEN_MFA login challenge with the code from the user's authenticator app
+async function respondToMfaChallenge({ email, session, code }) {
+  const challengeResponses = {
+    USERNAME: email,
+    SOFTWARE_TOKEN_MFA_CODE: code,
+  }
+
+  const clientSecret = await getCognitoClientSecret()
+  const secretHash = computeSecretHash(email, COGNITO_CLIENT_ID, clientSecret)
+  if (secretHash) {
+    challengeResponses.SECRET_HASH = secretHash
+  }
+
+  const authResponse = await cognito.send(
+    new AdminRespondToAuthChallengeCommand({
+      UserPoolId: COGNITO_USER_POOL_ID,
+      ClientId: COGNITO_CLIENT_ID,
+      ChallengeName: 'SOFTWARE_TOKEN_MFA',
+      ChallengeResponses: challengeResponses,
+      Session: session,
+    })
+  )
+
+  return toTokens(authResponse.AuthenticationResult)
+}
+
+/**
+ * Start authenticator app enrollment
+ * @returns {Promise<{ secretCode: string }>} base32 secret to show as a QR code
+ */
+async function associateSoftwareToken({ accessToken }) {
+  const response = await cognito.send(new AssociateSoftwareTokenCommand({ AccessToken: accessToken }))
+  return { secretCode: response.SecretCode }
+}
+
+// Finish enrollment by checking a code generated from the new secret
+async function verifySoftwareToken({ accessToken, code, friendlyName }) {
+  const response = await cognito.send(
+    new VerifySoftwareTokenCommand({
+      AccessToken: accessToken,
+      UserCode: code,
+      FriendlyDeviceName: friendlyName,
+    })
+  )
+  if (response.Status !== 'SUCCESS') {
+    const err = new Error('Code mismatch')
+    err.name = 'CodeMismatchException'
+    throw err
+  }
+}
+
+// Turn authenticator app MFA on or off for a user's logins
+async function setMfaEnabled({ username, enabled }) {
+  await cognito.send(
+    new AdminSetUserMFAPreferenceCommand({
+      UserPoolId: COGNITO_USER_POOL_ID,
+      Username: username,
+      SoftwareTokenMfaSettings: { Enabled: enabled, PreferredMfa: enabled },
+    })
+  )
+}
+
+/**
+ * Exchange a refresh token for new ID and access tokens
+ * Cognito does not rotate the refresh token, so the given one is handed back
+ */
+async function refreshTokens({ email, refreshToken }) {
+  const authParams = {
+    REFRESH_TOKEN: refreshToken,
+  }
+
+  // SECRET_HASH must be computed from the same username used at login
+  const clientSecret = await getCognitoClientSecret()
+  const secretHash = computeSecretHash(email, COGNITO_CLIENT_ID, clientSecret)
+  if (secretHash) {
+    authParams.SECRET_HASH = secretHash
+  }
+
+  const authResponse = await cognito.send(
+    new AdminInitiateAuthCommand({
+      UserPoolId: COGNITO_USER_POOL_ID,
+      ClientId: COGNITO_CLIENT_ID,
+      AuthFlow: 'REFRESH_TOKEN_AUTH',
+      AuthParameters: authParams,
+    })
+  )
+
+  const tokens = toTokens(authResponse.AuthenticationResult)
+  return { ...tokens, refreshToken: tokens.refreshToken || refreshToken }
+}
+
+// Sign out the session behind an access token (invalidates its refresh tokens)
+// GlobalSignOut is the only way to revoke Cognito refresh tokens, so the access token is required
+async function signOut({ accessToken }) {
+  if (!accessToken) {
+    const err = new Error('An access token is required to sign out')
+    err.name = 'InvalidParameterException'
+    throw err
+  }
+  await cognito.send(new GlobalSignOutCommand({ AccessToken: accessToken }))
+}
+
+// Sign out every session for a user
+async function signOutAll({ username }) {
+  await cognito.send(
+    new AdminUserGlobalSignOutCommand({
+      UserPoolId: COGNITO_USER_POOL_ID,
+      Username: username,
+    })
+  )
+}
+
+// Add a user to a Cognito group (e.g. "sellers")
+async function addUserToGroup({ username, group }) {
+  await cognito.send(
+    new AdminAddUserToGroupCommand({
+      UserPoolId: COGNITO_USER_POOL_ID,
+      Username: username,
+      GroupName: group,
+    })
+  )
+}
+
+// Remove a user from a Cognito group
+async function removeUserFromGroup({ username, group }) {
+  await cognito.send(
+    new AdminRemoveUserFromGroupCommand({
+      UserPoolId: COGNITO_USER_POOL_ID,
+      Username: username,
+      GroupName: group,
+    })
+  )
+}
+
+// Permanently delete a user from the pool
+async function deleteUser({ username }) {
+  await cognito.send(
+    new AdminDeleteUserCommand({
+      UserPoolId: COGNITO_USER_POOL_ID,
+      Username: username,
+    })
+  )
+}
+
+// Block a user from signing in or refreshing tokens (admin suspension)
+async function disableUser({ username }) {
+  await cognito.send(
+    new AdminDisableUserCommand({
+      UserPoolId: COGNITO_USER_POOL_ID,
+      Username: username,
+    })
+  )
+}
+
+async function enableUser({ username }) {
+  await cognito.send(
+    new AdminEnableUserCommand({
+      UserPoolId: COGNITO_USER_POOL_ID,
+      Username: username,
+    })
+  )
+}
+
+// Send a password reset code to the user's email
+async function forgotPassword({ email }) {
+  const clientSecret = await getCognitoClientSecret()
+  await cognito.send(
+    new ForgotPasswordCommand({
+      ClientId: COGNITO_CLIENT_ID,
+      Username: email,
+      SecretHash: computeSecretHash(email, COGNITO_CLIENT_ID, clientSecret),
+    })
+  )
+}
+
+// Set a new password using the emailed reset code
+async function confirmForgotPassword({ email, code, newPassword }) {
+  const clientSecret = await getCognitoClientSecret()
+  await cognito.send(
+    new ConfirmForgotPasswordCommand({
+      ClientId: COGNITO_CLIENT_ID,
+      Username: email,
+      ConfirmationCode: code,
+      Password: newPassword,
+      SecretHash: computeSecretHash(email, COGNITO_CLIENT_ID, clientSecret),
+    })
+  )
+}
+
+/**
+ * Set and clear user attributes (Cognito attribute names, e.g. "phone_number")
+ * Setting "email" marks it unverified and makes Cognito email a verification code
+ */
+async function updateUserAttributes({ username, attributes = [], clearedAttributes = [] }) {
+  if (attributes.length > 0) {
+    await cognito.send(
+      new AdminUpdateUserAttributesCommand({
+        UserPoolId: COGNITO_USER_POOL_ID,
+        Username: username,
+        UserAttributes: attributes,
+      })
+    )
+  }
+  if (clearedAttributes.length > 0) {
+    await cognito.send(
+      new AdminDeleteUserAttributesCommand({
+        UserPoolId: COGNITO_USER_POOL_ID,
+        Username: username,
+        UserAttributeNames: clearedAttributes,
+      })
+    )
+  }
+}
+
+// Confirm a pending email change; Cognito needs the caller's access token, not the ID token
+async function verifyEmailChange({ accessToken, code }) {
+  await cognito.send(
+    new VerifyUserAttributeCommand({
+      AccessToken: accessToken,
+      AttributeName: 'email',
+      Code: code,
+    })
+  )
+}
+
+if (!isConfigured()) {
+  console.warn('WARNING: COGNITO_USER_POOL_ID or COGNITO_CLIENT_ID not set in .env')
+}
+
+module.exports = {
+  name: 'cognito',
+  cognito,
+  isConfigured,
+  getPublicKeys,
+  createUser,
+  confirmSignUp,
+  resendConfirmationCode,
+  authenticate,
+  respondToMfaChallenge,
+  associateSoftwareToken,
+  verifySoftwareToken,
+  setMfaEnabled,
+  refreshTokens,
+  signOut,
+  signOutAll,
+  addUserToGroup,
+  removeUserFromGroup,
+  deleteUser,
+  disableUser,
+  enableUser,
+  forgotPassword,
+  confirmForgotPassword,
+  updateUserAttributes,
+  verifyEmailChange,
+}
@@ -0,0 +1,23 @@
+// Identity provider selection
+// IDENTITY_PROVIDER=cognito (default) uses the Cognito user pool;
+// IDENTITY_PROVIDER=local keeps bcrypt hashes in UsersTable and signs tokens with a local keypair
+const IDENTITY_PROVIDER = (process.env.IDENTITY_PROVIDER || 'cognito').toLowerCase()
+
+let provider = null
+
+const getIdentityProvider = () => {
+  if (provider) return provider
+
+  if (IDENTITY_PROVIDER === 'local') {
+    provider = require('./localProvider')
+  } else {
+    if (IDENTITY_PROVIDER !== 'cognito') {
+      console.warn(`Unknown IDENTITY_PROVIDER "${IDENTITY_PROVIDER}", falling back to cognito`)
+    }
+    provider = require('./cognitoProvider')
+  }
+
+  return provider
+}
+
+module.exports = { getIdentityProvider }
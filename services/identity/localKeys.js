@@ -0,0 +1,46 @@
+const crypto = require('crypto')
+
+let signingKey = null
+
+/**
+ * Load the RS256 keypair used to sign local tokens
+ * - LOCAL_JWT_PRIVATE_KEY may hold a PEM private key (literal "\n" sequences are allowed)
+ * - Otherwise an ephemeral keypair is generated, so tokens stop verifying after a restart
+ */
+const getSigningKey = () => {
+  if (signingKey) return signingKey
+
+  let privateKey
+  const pem = process.env.LOCAL_JWT_PRIVATE_KEY
+  if (pem) {
+    privateKey = crypto.createPrivateKey(pem.replace(/\\n/g, '\n'))
+  } else {
+    console.warn('LOCAL_JWT_PRIVATE_KEY not set; generating an ephemeral keypair for local tokens')
+    privateKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey
+  }
+
+  const publicKey = crypto.createPublicKey(privateKey)
+  const { kty, n, e } = publicKey.export({ format: 'jwk' })
+
+  // RFC 7638 thumbprint so the kid stays stable for a given key
+  const kid = crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ e, kty, n }))
+    .digest('base64url')
+
+  signingKey = {
+    kid,
+    privateKey,
+    publicKey,
+    jwk: { kty, n, e, kid, alg: 'RS256', use: 'sig' },
+  }
+  return signingKey
+}
+
+// Public keys keyed by kid, in the same shape as the Cognito JWKS cache
+const getPublicKeys = async () => {
+  const { kid, jwk } = getSigningKey()
+  return { [kid]: jwk }
+}
+
+module.exports = { getSigningKey, getPublicKeys }
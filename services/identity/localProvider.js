@@ -0,0 +1,431 @@
+const crypto = require('crypto')
+const bcrypt = require('bcryptjs')
+const jwt = require('jsonwebtoken')
+const { v4: uuidv4 } = require('uuid')
+const { docClient } = require('../../utils/dynamodb')
+const { GetCommand, QueryCommand, ScanCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb')
+const { revokeTokenId, isTokenRevoked } = require('../../utils/tokenRevocation')
+const { getSigningKey, getPublicKeys } = require('./localKeys')
+const { rolesToGroups } = require('../../utils/roles')
+const { generateSecret, verifyTotp } = require('../../utils/totp')
+
+const USERS_TABLE = process.env.USERS_TABLE || 'UsersTable'
+const LOCAL_ISSUER = process.env.LOCAL_AUTH_ISSUER || 'faasify-local'
+const LOCAL_CLIENT_ID = 'faasify-local-client'
+const TOKEN_TTL_SECONDS = parseInt(process.env.LOCAL_TOKEN_TTL_SECONDS || '3600', 10)
+// Keep refresh tokens no longer than USER_REVOCATION_TTL_SECONDS so /auth/logout-all still covers them
+const REFRESH_TOKEN_TTL_SECONDS = parseInt(process.env.LOCAL_REFRESH_TOKEN_TTL_SECONDS || '86400', 10)
+const CODE_TTL_MS = 15 * 60 * 1000
+// Cognito's MFA challenge sessions also last three minutes
+const MFA_SESSION_TTL_MS = 3 * 60 * 1000
+// Wrong codes before an MFA session is dropped and the user has to log in again
+const MFA_SESSION_MAX_FAILURES = 5
+const BCRYPT_ROUNDS = 10
+
+// Verification codes are printed to the console instead of emailed (single process only)
+const pendingCodes = new Map()
+// Login sessions waiting for an MFA code, keyed by the session string handed to the client
+const mfaSessions = new Map()
+
+// Errors use Cognito exception names so routes handle both providers the same way
+const createAuthError = (name, message) => {
+  const err = new Error(message)
+  err.name = name
+  return err
+}
+
+const issueCode = (purpose, id, email) => {
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0')
+  pendingCodes.set(`${purpose}:${id}`, { code, expiresAt: Date.now() + CODE_TTL_MS })
+  console.log(`[local auth] ${purpose} code for ${email}: ${code}`)
+}
+
+const consumeCode = (purpose, id, code) => {
+  const key = `${purpose}:${id}`
+  const entry = pendingCodes.get(key)
+  if (!entry) {
+    throw createAuthError('CodeMismatchException', 'Invalid verification code provided, please try again.')
+  }
+  if (entry.expiresAt <= Date.now()) {
+    pendingCodes.delete(key)
+    throw createAuthError('ExpiredCodeException', 'Invalid code provided, please request a code again.')
+  }
+  if (entry.code !== String(code)) {
+    throw createAuthError('CodeMismatchException', 'Invalid verification code provided, please try again.')
+  }
+  pendingCodes.delete(key)
+}
+
+// Find a UsersTable record by email, preferring the EmailIndex GSI
+const findUserByEmail = async (email) => {
+  try {
+    const result = await docClient.send(
+      new QueryCommand({
+        TableName: USERS_TABLE,
+        IndexName: 'EmailIndex',
+        KeyConditionExpression: 'email = :email',
+        ExpressionAttributeValues: {
+          ':email': email,
+        },
+      })
+    )
+    return result.Items?.[0] || null
+  } catch (gsiError) {
+    // If GSI doesn't exist, fall back to scanning and filtering
+    let lastEvaluatedKey
+    do {
+      const scanResult = await docClient.send(
+        new ScanCommand({
+          TableName: USERS_TABLE,
+          FilterExpression: 'email = :email',
+          ExpressionAttributeValues: {
+            ':email': email,
+          },
+          ExclusiveStartKey: lastEvaluatedKey,
+        })
+      )
+      if (scanResult.Items?.length) {
+        return scanResult.Items[0]
+      }
+      lastEvaluatedKey = scanResult.LastEvaluatedKey
+    } while (lastEvaluatedKey)
+    return null
+  }
+}
+
+const getUserById = async (userId) => {
+  const result = await docClient.send(
+    new GetCommand({
+      TableName: USERS_TABLE,
+      Key: { userId },
+    })
+  )
+  return result.Item || null
+}
+
+const verifyLocalToken = (token, tokenUse, expiredMessage, invalidMessage) => {
+  const { publicKey } = getSigningKey()
+  let claims
+  try {
+    claims = jwt.verify(token, publicKey, { algorithms: ['RS256'], issuer: LOCAL_ISSUER })
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw createAuthError('NotAuthorizedException', expiredMessage)
+    }
+    throw createAuthError('NotAuthorizedException', invalidMessage)
+  }
+  if (claims.token_use !== tokenUse) {
+    throw createAuthError('NotAuthorizedException', invalidMessage)
+  }
+  return claims
+}
+
+// Sign ID, access and refresh tokens shaped like Cognito's so verifyToken reads them the same way
+const issueTokens = (user, originJti = uuidv4()) => {
+  const { kid, privateKey } = getSigningKey()
+  const signOptions = { algorithm: 'RS256', keyid: kid, issuer: LOCAL_ISSUER }
+  const authTime = Math.floor(Date.now() / 1000)
+
+  const idToken = jwt.sign(
+    {
+      sub: user.userId,
+      aud: LOCAL_CLIENT_ID,
+      email: user.email,
+      email_verified: user.verified !== false,
+      name: user.name,
+      'custom:role': user.role,
+      'cognito:groups': rolesToGroups(user.roles || [user.role]),
+      'cognito:username': user.userId,
+      token_use: 'id',
+      auth_time: authTime,
+      origin_jti: originJti,
+      jti: uuidv4(),
+    },
+    privateKey,
+    { ...signOptions, expiresIn: TOKEN_TTL_SECONDS }
+  )
+
+  const accessToken = jwt.sign(
+    {
+      sub: user.userId,
+      client_id: LOCAL_CLIENT_ID,
+      username: user.userId,
+      scope: 'aws.cognito.signin.user.admin',
+      token_use: 'access',
+      auth_time: authTime,
+      origin_jti: originJti,
+      jti: uuidv4(),
+    },
+    privateKey,
+    { ...signOptions, expiresIn: TOKEN_TTL_SECONDS }
+  )
+
+  const refreshToken = jwt.sign(
+    {
+      sub: user.userId,
+      token_use: 'refresh',
+      origin_jti: originJti,
+      jti: uuidv4(),
+    },
+    privateKey,
+    { ...signOptions, expiresIn: REFRESH_TOKEN_TTL_SECONDS }
+  )
+
+  return { idToken, accessToken, refreshToken }
+}
+
+const isConfigured = () => true
+
+/**
+ * Hash the password for the UsersTable record; the route writes the record itself
+ * @returns {Promise<{ userId: string, recordFields: object }>}
+ */
+async function createUser({ email, password }) {
+  if (await findUserByEmail(email)) {
+    throw createAuthError('UsernameExistsException', 'An account with the given email already exists.')
+  }
+
+  const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS)
+  const userId = uuidv4()
+  issueCode('email-verification', userId, email)
+  // Local usernames are the user id, like Cognito pools that sign in with email
+  return { userId, recordFields: { passwordHash, identityUsername: userId } }
+}
+
+/**
+ * Check the sign-up verification code; the route marks the UsersTable record verified
+ * @returns {Promise<{ userId: string }>}
+ */
+async function confirmSignUp({ email, code }) {
+  const user = await findUserByEmail(email)
+  if (!user) {
+    throw createAuthError('UserNotFoundException', 'Username/client id combination not found.')
+  }
+  if (user.verified !== false) {
+    throw createAuthError('NotAuthorizedException', 'User cannot be confirmed. Current status is CONFIRMED')
+  }
+  consumeCode('email-verification', user.userId, code)
+  return { userId: user.userId }
+}
+
+async function resendConfirmationCode({ email }) {
+  const user = await findUserByEmail(email)
+  if (!user) {
+    throw createAuthError('UserNotFoundException', 'Username/client id combination not found.')
+  }
+  if (user.verified !== false) {
+    throw createAuthError('InvalidParameterException', 'User is already confirmed.')
+  }
+  issueCode('email-verification', user.userId, email)
+}
+
+async function authenticate({ email, password }) {
+  const user = await findUserByEmail(email)
+  if (!user || !user.passwordHash || !(await bcrypt.compare(password, user.passwordHash))) {
+    throw createAuthError('NotAuthorizedException', 'Incorrect username or password.')
+  }
+  if (user.suspended) {
+    throw createAuthError('NotAuthorizedException', 'User is disabled.')
+  }
+  // Records created before verification existed have no `verified` flag and count as verified
+  if (user.verified === false) {
+    throw createAuthError('UserNotConfirmedException', 'User is not confirmed.')
+  }
+  if (user.mfaEnabled && user.mfaSecret) {
+    const session = crypto.randomBytes(32).toString('base64url')
+    mfaSessions.set(session, { userId: user.userId, expiresAt: Date.now() + MFA_SESSION_TTL_MS })
+    return { challengeName: 'SOFTWARE_TOKEN_MFA', session }
+  }
+  return issueTokens(user)
+}
+
+async function respondToMfaChallenge({ email, session, code }) {
+  const entry = mfaSessions.get(session)
+  if (!entry || entry.expiresAt <= Date.now()) {
+    mfaSessions.delete(session)
+    throw createAuthError('NotAuthorizedException', 'Invalid session for the user, session is expired.')
+  }
+
+  const user = await getUserById(entry.userId)
+  if (!user || user.email !== email) {
+    throw createAuthError('NotAuthorizedException', 'Invalid session for the user.')
+  }
+  if (user.suspended) {
+    throw createAuthError('NotAuthorizedException', 'User is disabled.')
+  }
+  if (!verifyTotp(user.mfaSecret, code)) {
+    entry.failures = (entry.failures || 0) + 1
+    if (entry.failures >= MFA_SESSION_MAX_FAILURES) {
+      mfaSessions.delete(session)
+    }
+    throw createAuthError('CodeMismatchException', 'Invalid code received for user')
+  }
+
+  mfaSessions.delete(session)
+  return issueTokens(user)
+}
+
+// The secret waits on the UsersTable record as mfaPendingSecret until a code from it is verified
+async function associateSoftwareToken({ accessToken }) {
+  const claims = verifyLocalToken(accessToken, 'access', 'Access Token has expired', 'Invalid Access Token')
+  const secretCode = generateSecret()
+
+  await docClient.send(
+    new UpdateCommand({
+      TableName: USERS_TABLE,
+      Key: { userId: claims.sub },
+      UpdateExpression: 'SET mfaPendingSecret = :secret, updatedAt = :updatedAt',
+      ConditionExpression: 'attribute_exists(userId)',
+      ExpressionAttributeValues: {
+        ':secret': secretCode,
+        ':updatedAt': new Date().toISOString(),
+      },
+    })
+  )
+
+  return { secretCode }
+}
+
+async function verifySoftwareToken({ accessToken, code }) {
+  const claims = verifyLocalToken(accessToken, 'access', 'Access Token has expired', 'Invalid Access Token')
+  const user = await getUserById(claims.sub)
+  if (!user || !user.mfaPendingSecret) {
+    throw createAuthError('InvalidParameterException', 'No software token is waiting to be verified.')
+  }
+  if (!verifyTotp(user.mfaPendingSecret, code)) {
+    throw createAuthError('CodeMismatchException', 'Code mismatch')
+  }
+
+  await docClient.send(
+    new UpdateCommand({
+      TableName: USERS_TABLE,
+      Key: { userId: user.userId },
+      UpdateExpression: 'SET mfaSecret = :secret, updatedAt = :updatedAt REMOVE mfaPendingSecret',
+      ExpressionAttributeValues: {
+        ':secret': user.mfaPendingSecret,
+        ':updatedAt': new Date().toISOString(),
+      },
+    })
+  )
+}
+
+// Login reads the mfaEnabled flag the route keeps on the UsersTable record
+async function setMfaEnabled() {}
+
+async function refreshTokens({ refreshToken }) {
+  const claims = verifyLocalToken(refreshToken, 'refresh', 'Refresh Token has expired', 'Invalid Refresh Token')
+
+  if (await isTokenRevoked(claims)) {
+    throw createAuthError('NotAuthorizedException', 'Refresh Token has been revoked')
+  }
+
+  const user = await getUserById(claims.sub)
+  if (!user) {
+    throw createAuthError('UserNotFoundException', 'User does not exist.')
+  }
+  if (user.suspended) {
+    throw createAuthError('NotAuthorizedException', 'User is disabled.')
+  }
+
+  // Keep the session id so revoking it still covers the new ID/access tokens
+  const tokens = issueTokens(user, claims.origin_jti)
+  return { ...tokens, refreshToken }
+}
+
+// Revoke the session for as long as its refresh token could still be used
+async function signOut({ tokenId }) {
+  await revokeTokenId(tokenId, Math.floor(Date.now() / 1000) + REFRESH_TOKEN_TTL_SECONDS)
+}
+
+// Every local token is covered by the per-user revocation marker the route sets
+async function signOutAll() {}
+
+// Group membership is read from the UsersTable `roles` list when tokens are issued
+async function addUserToGroup() {}
+
+async function removeUserFromGroup() {}
+
+// Credentials live on the UsersTable row, which the caller deletes
+async function deleteUser() {}
+
+// Login and refresh read the suspended flag the admin routes keep on the UsersTable record
+async function disableUser() {}
+
+async function enableUser() {}
+
+async function forgotPassword({ email }) {
+  const user = await findUserByEmail(email)
+  if (!user) {
+    throw createAuthError('UserNotFoundException', 'Username/client id combination not found.')
+  }
+  issueCode('password-reset', user.userId, email)
+}
+
+async function confirmForgotPassword({ email, code, newPassword }) {
+  const user = await findUserByEmail(email)
+  if (!user) {
+    throw createAuthError('UserNotFoundException', 'Username/client id combination not found.')
+  }
+  consumeCode('password-reset', user.userId, code)
+
+  await docClient.send(
+    new UpdateCommand({
+      TableName: USERS_TABLE,
+      Key: { userId: user.userId },
+      UpdateExpression: 'SET passwordHash = :passwordHash, updatedAt = :updatedAt',
+      ExpressionAttributeValues: {
+        ':passwordHash': await bcrypt.hash(newPassword, BCRYPT_ROUNDS),
+        ':updatedAt': new Date().toISOString(),
+      },
+    })
+  )
+}
+
+// Profile attributes live on the UsersTable record already; only email changes need a code
+async function updateUserAttributes({ username, attributes = [] }) {
+  const emailAttribute = attributes.find((attr) => attr.Name === 'email')
+  if (!emailAttribute) return
+
+  if (await findUserByEmail(emailAttribute.Value)) {
+    throw createAuthError('AliasExistsException', 'An account with the given email already exists.')
+  }
+
+  // Records from before usernames were stored are found by email
+  const user = (await getUserById(username)) || (await findUserByEmail(username))
+  if (!user) {
+    throw createAuthError('UserNotFoundException', 'User does not exist.')
+  }
+  issueCode('email-change', user.userId, emailAttribute.Value)
+}
+
+async function verifyEmailChange({ accessToken, code }) {
+  const claims = verifyLocalToken(accessToken, 'access', 'Access Token has expired', 'Invalid Access Token')
+  consumeCode('email-change', claims.sub, code)
+}
+
+module.exports = {
+  name: 'local',
+  isConfigured,
+  getPublicKeys,
+  findUserByEmail,
+  createUser,
+  confirmSignUp,
+  resendConfirmationCode,
+  authenticate,
+  respondToMfaChallenge,
+  associateSoftwareToken,
+  verifySoftwareToken,
+  setMfaEnabled,
+  refreshTokens,
+  signOut,
+  signOutAll,
+  addUserToGroup,
+  removeUserFromGroup,
+  deleteUser,
+  disableUser,
+  enableUser,
+  forgotPassword,
+  confirmForgotPassword,
+  updateUserAttributes,
+  verifyEmailChange,
+}
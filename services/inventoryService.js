@@ -0,0 +1,413 @@
+const { docClient } = require('../utils/dynamodb')
+const { BatchGetCommand, TransactWriteCommand } = require('@aws-sdk/lib-dynamodb')
+const { scanAll } = require('../utils/dynamoPagination')
+const { hasVariants, findVariant, describeVariant } = require('../utils/variants')
+
+// Orders take stock from ItemsTable when they are placed, in the same transaction that writes
+// the order. order.reservation records what was taken:
+//   { status: 'held', lines, expiresAt }  waiting for payment; released if it doesn't come in time
+//   { status: 'committed', lines }        paid
+//   { status: 'released', lines }         given back (order cancelled or payment expired)
+// Listings without a quantity attribute don't track stock.
+// A paid order also claims its Stripe PaymentIntent in PaymentIntentsTable in the same
+// transaction, so one payment can't pay for two orders.
+const ITEMS_TABLE = process.env.ITEMS_TABLE || 'ItemsTable'
+const ORDERS_TABLE = process.env.ORDERS_TABLE || 'OrdersTable'
+const PAYMENT_INTENTS_TABLE = process.env.PAYMENT_INTENTS_TABLE || 'PaymentIntentsTable'
+const RESERVATION_TTL_MINUTES = parseInt(process.env.RESERVATION_TTL_MINUTES || '15', 10)
+// DynamoDB limits
+const MAX_TRANSACTION_ITEMS = 100
+const BATCH_GET_LIMIT = 100
+const RELEASE_ATTEMPTS = 3
+
+const createError = (statusCode, message) => {
+  const err = new Error(message)
+  err.statusCode = statusCode
+  return err
+}
+
+/**
+ * Public: the variant a cart or order line refers to, or null for listings without variants
+ * Throws 400 when a variant is required but missing (or given for a listing without any),
+ * and 404 when the listing has no such variant.
+ */
+const resolveVariant = (item, variantId) => {
+  if (!hasVariants(item)) {
+    if (variantId) {
+      throw createError(400, `${item.name || 'This item'} has no variants`)
+    }
+    return null
+  }
+  if (!variantId) {
+    throw createError(400, `variantId is required: choose one of the variants of ${item.name || 'this item'}`)
+  }
+  const variant = findVariant(item, variantId)
+  if (!variant) {
+    throw createError(404, 'Variant not found')
+  }
+  return variant
+}
+
+// A line's quantity: 1 if not given, otherwise a whole number of at least 1. A zero or negative
+// quantity would put stock back on the listing instead of taking it.
+const lineQuantity = (line) => {
+  if (line.quantity === undefined || line.quantity === null) return 1
+  if (!Number.isInteger(line.quantity) || line.quantity < 1) {
+    throw createError(400, 'Item quantities must be whole numbers of at least 1')
+  }
+  return line.quantity
+}
+
+// Total quantity wanted per listing, and per variant of it
+const groupLines = (lines) => {
+  const groups = new Map()
+  for (const line of lines) {
+    const group = groups.get(line.itemId) || { itemId: line.itemId, quantity: 0, variants: new Map() }
+    const quantity = lineQuantity(line)
+    group.quantity += quantity
+    if (line.variantId) {
+      group.variants.set(line.variantId, (group.variants.get(line.variantId) || 0) + quantity)
+    }
+    groups.set(line.itemId, group)
+  }
+  return Array.from(groups.values())
+}
+
+const insufficientStockError = (shortItems, message) => {
+  const err = createError(
+    409,
+    message ||
+      (shortItems.length === 1
+        ? `Only ${shortItems[0].available} of ${shortItems[0].name} left in stock`
+        : 'Some items do not have enough stock')
+  )
+  err.code = 'INSUFFICIENT_STOCK'
+  err.items = shortItems
+  return err
+}
+
+/**
+ * Public: throw 409 (code INSUFFICIENT_STOCK, with the short items) unless every line is in stock
+ * Stock is per variant for listings with variants. Lines for unknown listings are skipped.
+ * Throws 400 for a quantity that isn't a whole number of at least 1.
+ * @param {Array<{ itemId: string, variantId?: string, quantity: number }>} lines
+ * @param {Map<string, object>} products - listings by id
+ */
+const assertInStock = (lines, products) => {
+  for (const line of lines) {
+    lineQuantity(line)
+    const product = products.get(line.itemId)
+    if (product) resolveVariant(product, line.variantId)
+  }
+
+  const shortItems = []
+  for (const group of groupLines(lines)) {
+    const product = products.get(group.itemId)
+    if (!product) continue
+
+    if (hasVariants(product)) {
+      for (const [variantId, requested] of group.variants) {
+        const variant = findVariant(product, variantId)
+        if (requested > variant.quantity) {
+          shortItems.push({
+            itemId: group.itemId,
+            variantId,
+            name: `${product.name} (${describeVariant(variant)})`,
+            requested,
+            available: variant.quantity,
+          })
+        }
+      }
+    } else if (typeof product.quantity === 'number' && group.quantity > product.quantity) {
+      shortItems.push({ itemId: group.itemId, name: product.name, requested: group.quantity, available: product.quantity })
+    }
+  }
+
+  if (shortItems.length > 0) {
+    throw insufficientStockError(shortItems)
+  }
+}
+
+// Listings by id, read consistently so they reflect the transaction that just failed
+const getListings = async (itemIds) => {
+  const products = new Map()
+  for (let i = 0; i < itemIds.length; i += BATCH_GET_LIMIT) {
+    const response = await docClient.send(
+      new BatchGetCommand({
+        RequestItems: {
+          [ITEMS_TABLE]: {
+            Keys: itemIds.slice(i, i + BATCH_GET_LIMIT).map((id) => ({ id })),
+            ConsistentRead: true,
+          },
+        },
+      })
+    )
+    for (const item of response.Responses?.[ITEMS_TABLE] || []) products.set(item.id, item)
+  }
+  return products
+}
+
+/**
+ * The transaction step that takes (direction -1) or gives back (+1) a listing's stock, or null
+ * if there's nothing to change. Taking stock is conditional on there being enough; variants are
+ * addressed by position, so each step also checks the variant is still at that position.
+ */
+const stockUpdate = (product, group, direction) => {
+  const operator = direction < 0 ? '-' : '+'
+  const names = { '#id': 'id' }
+  const values = {}
+  const sets = []
+  const conditions = ['attribute_exists(#id)']
+  let total = 0
+
+  if (hasVariants(product)) {
+    names['#variants'] = 'variants'
+    let i = 0
+    for (const [variantId, quantity] of group.variants) {
+      const index = product.variants.findIndex((variant) => variant.id === variantId)
+      // Only when giving stock back: the seller has since removed the variant
+      if (index === -1) continue
+      const path = `#variants[${index}]`
+      sets.push(`${path}.quantity = ${path}.quantity ${operator} :q${i}`)
+      conditions.push(`${path}.#id = :v${i}`)
+      if (direction < 0) conditions.push(`${path}.quantity >= :q${i}`)
+      values[`:q${i}`] = quantity
+      values[`:v${i}`] = variantId
+      total += quantity
+      i++
+    }
+  } else if (typeof product.quantity === 'number') {
+    total = group.quantity
+    if (direction < 0) conditions.push('quantity >= :total')
+  }
+
+  if (total === 0) return null
+  sets.push(`quantity = quantity ${operator} :total`)
+  values[':total'] = total
+
+  return {
+    Update: {
+      TableName: ITEMS_TABLE,
+      Key: { id: product.id },
+      UpdateExpression: `SET ${sets.join(', ')}`,
+      ConditionExpression: conditions.join(' AND '),
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: values,
+    },
+  }
+}
+
+/**
+ * Public: the reservation to store on a new order
+ * @param {boolean} paid - whether the buyer has already paid (the stock is then kept for good)
+ */
+const buildReservation = (lines, paid) => ({
+  status: paid ? 'committed' : 'held',
+  lines: lines.map(({ itemId, variantId, quantity }) => ({
+    itemId,
+    ...(variantId && { variantId }),
+    quantity: lineQuantity({ quantity }),
+  })),
+  ...(!paid && { expiresAt: new Date(Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000).toISOString() }),
+})
+
+// Transaction item recording that a PaymentIntent paid for an order; fails if it already paid for one
+const paymentClaim = (order, paymentIntentId, now) => ({
+  Put: {
+    TableName: PAYMENT_INTENTS_TABLE,
+    Item: { paymentIntentId, orderId: order.id, userId: order.userId, claimedAt: now },
+    ConditionExpression: 'attribute_not_exists(paymentIntentId)',
+  },
+})
+
+const paymentUsedError = () => createError(409, 'This payment has already been used for another order')
+
+/**
+ * Public: write a new order and take its reserved stock, all or nothing
+ * Paid orders claim their stripePaymentIntentId in the same transaction.
+ * Throws 409 (code INSUFFICIENT_STOCK) if another order took the stock first, and 409 if the
+ * payment was already used for another order.
+ * @param {object} order - with a reservation from buildReservation
+ * @param {Map<string, object>} products - the order's listings, as checked with assertInStock
+ */
+const placeOrderWithReservation = async (order, products) => {
+  const groups = groupLines(order.reservation.lines).filter((group) => products.has(group.itemId))
+  const updates = groups.map((group) => stockUpdate(products.get(group.itemId), group, -1)).filter(Boolean)
+  const claim =
+    order.paymentStatus === 'paid' && order.stripePaymentIntentId
+      ? paymentClaim(order, order.stripePaymentIntentId, order.createdAt)
+      : null
+  const fixedItems = claim ? 2 : 1
+  if (updates.length + fixedItems > MAX_TRANSACTION_ITEMS) {
+    throw createError(400, `An order can contain at most ${MAX_TRANSACTION_ITEMS - fixedItems} different items`)
+  }
+
+  try {
+    await docClient.send(
+      new TransactWriteCommand({
+        TransactItems: [
+          ...updates,
+          { Put: { TableName: ORDERS_TABLE, Item: order, ConditionExpression: 'attribute_not_exists(id)' } },
+          ...(claim ? [claim] : []),
+        ],
+      })
+    )
+  } catch (error) {
+    if (error.name !== 'TransactionCanceledException') throw error
+
+    const reasons = error.CancellationReasons || []
+    if (claim && reasons[updates.length + 1]?.Code === 'ConditionalCheckFailed') {
+      throw paymentUsedError()
+    }
+
+    // Stock ran out (or a listing changed) since we checked: report what is short now
+    assertInStock(order.reservation.lines, await getListings(groups.map((group) => group.itemId)))
+    throw insufficientStockError([], 'The items changed while the order was being placed. Please try again')
+  }
+}
+
+/**
+ * Public: give an order's reserved stock back and update the order, in one transaction
+ * Does nothing to stock for orders without a reservation (or whose stock was already given back).
+ * Throws 409 if the order changed since it was read (e.g. it was cancelled at the same time).
+ * @param {object} order - as read from OrdersTable
+ * @param {object} fields - order attributes to set, e.g. { orderStatus: 'CANCELLED' }
+ * @returns {Promise<object>} the updated order
+ */
+const releaseReservation = async (order, fields) => {
+  const now = new Date().toISOString()
+  const reservation = order.reservation
+  const releasing = !!reservation && reservation.status !== 'released'
+
+  const names = { '#orderStatus': 'orderStatus' }
+  const values = { ':orderStatus': order.orderStatus }
+  const sets = Object.entries(fields).map(([name, value], i) => {
+    names[`#f${i}`] = name
+    values[`:f${i}`] = value
+    return `#f${i} = :f${i}`
+  })
+  let condition = '#orderStatus = :orderStatus'
+  if (releasing) {
+    names['#reservation'] = 'reservation'
+    names['#reservationStatus'] = 'status'
+    values[':released'] = 'released'
+    values[':releasedAt'] = now
+    values[':reservationStatus'] = reservation.status
+    sets.push('#reservation.#reservationStatus = :released', '#reservation.releasedAt = :releasedAt')
+    condition += ' AND #reservation.#reservationStatus = :reservationStatus'
+  }
+  const orderUpdate = {
+    Update: {
+      TableName: ORDERS_TABLE,
+      Key: { id: order.id },
+      UpdateExpression: `SET ${sets.join(', ')}`,
+      ConditionExpression: condition,
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: values,
+    },
+  }
+
+  // Listings can change between reading them and the transaction (variants moved or removed),
+  // so re-read them and try again a few times
+  for (let attempt = 1; ; attempt++) {
+    let updates = []
+    if (releasing) {
+      const groups = groupLines(reservation.lines)
+      const products = await getListings(groups.map((group) => group.itemId))
+      updates = groups
+        .filter((group) => products.has(group.itemId))
+        .map((group) => stockUpdate(products.get(group.itemId), group, 1))
+        .filter(Boolean)
+    }
+
+    try {
+      await docClient.send(new TransactWriteCommand({ TransactItems: [...updates, orderUpdate] }))
+      return {
+        ...order,
+        ...fields,
+        ...(releasing && { reservation: { ...reservation, status: 'released', releasedAt: now } }),
+      }
+    } catch (error) {
+      if (error.name !== 'TransactionCanceledException') throw error
+      const reasons = error.CancellationReasons || []
+      if (reasons[reasons.length - 1]?.Code === 'ConditionalCheckFailed') {
+        throw createError(409, 'The order changed while it was being updated. Reload it and try again')
+      }
+      if (attempt >= RELEASE_ATTEMPTS) throw error
+    }
+  }
+}
+
+/**
+ * Public: keep an order's held stock for good once it has been paid
+ * Claims the PaymentIntent in the same transaction.
+ * Throws 409 if the reservation expired (or was released) first, or the payment was already
+ * used for another order.
+ * @param {object} order - as read from OrdersTable
+ * @param {string} paymentIntentId
+ * @param {object} fields - order attributes to set, e.g. { paymentStatus: 'paid' }
+ * @returns {Promise<object>} the updated order
+ */
+const commitReservation = async (order, paymentIntentId, fields) => {
+  const now = new Date().toISOString()
+  const names = { '#reservation': 'reservation', '#reservationStatus': 'status' }
+  const values = { ':held': 'held', ':committed': 'committed', ':now': now }
+  const sets = Object.entries(fields).map(([name, value], i) => {
+    names[`#f${i}`] = name
+    values[`:f${i}`] = value
+    return `#f${i} = :f${i}`
+  })
+
+  try {
+    await docClient.send(
+      new TransactWriteCommand({
+        TransactItems: [
+          {
+            Update: {
+              TableName: ORDERS_TABLE,
+              Key: { id: order.id },
+              UpdateExpression: `SET ${[...sets, '#reservation.#reservationStatus = :committed', '#reservation.committedAt = :now'].join(', ')} REMOVE #reservation.expiresAt`,
+              ConditionExpression: '#reservation.#reservationStatus = :held AND #reservation.expiresAt > :now',
+              ExpressionAttributeNames: names,
+              ExpressionAttributeValues: values,
+            },
+          },
+          paymentClaim(order, paymentIntentId, now),
+        ],
+      })
+    )
+  } catch (error) {
+    if (error.name !== 'TransactionCanceledException') throw error
+    const [orderReason, claimReason] = error.CancellationReasons || []
+    if (orderReason?.Code === 'ConditionalCheckFailed') {
+      throw createError(409, 'This order is no longer waiting for payment: its stock reservation expired or was released')
+    }
+    if (claimReason?.Code === 'ConditionalCheckFailed') {
+      throw paymentUsedError()
+    }
+    throw error
+  }
+
+  const { expiresAt, ...reservation } = order.reservation
+  return { ...order, ...fields, reservation: { ...reservation, status: 'committed', committedAt: now } }
+}
+
+// Public: orders whose stock is still held although their payment window has passed
+const listExpiredReservations = (now = new Date()) =>
+  scanAll({
+    TableName: ORDERS_TABLE,
+    FilterExpression: '#reservation.#status = :held AND #reservation.expiresAt <= :now',
+    ExpressionAttributeNames: { '#reservation': 'reservation', '#status': 'status' },
+    ExpressionAttributeValues: { ':held': 'held', ':now': now.toISOString() },
+  })
+
+module.exports = {
+  RESERVATION_TTL_MINUTES,
+  resolveVariant,
+  assertInStock,
+  buildReservation,
+  placeOrderWithReservation,
+  releaseReservation,
+  commitReservation,
+  listExpiredReservations,
+}
@@ -0,0 +1,162 @@
+const { docClient } = require('../utils/dynamodb')
+const { BatchWriteCommand } = require('@aws-sdk/lib-dynamodb')
+const { parseCsv } = require('../utils/csv')
+const { buildListing, applyImportedListings } = require('./listingService')
+
+// Bulk listing import from a CSV file (POST /listings/import). Each row is checked with the same
+// rules as POST /listings; rows that pass are written, and the rest are reported by row number.
+const ITEMS_TABLE = process.env.ITEMS_TABLE || 'ItemsTable'
+const MAX_IMPORT_ROWS = 1000
+// DynamoDB's BatchWriteItem limit
+const BATCH_WRITE_LIMIT = 25
+const BATCH_WRITE_ATTEMPTS = 5
+
+// Listing fields a column can fill, with header names other platforms export them under.
+// Headers are compared in lowercase with anything but letters and digits ignored.
+const IMPORT_FIELDS = {
+  name: ['title', 'productname', 'itemname'],
+  description: ['body', 'bodyhtml', 'details'],
+  price: ['variantprice', 'unitprice'],
+  category: ['type', 'producttype', 'productcategory'],
+  image: ['imagesrc', 'imageurl', 'photo'],
+  quantity: ['stock', 'inventory', 'inventoryqty', 'variantinventoryqty', 'qty'],
+  weight: ['weightkg'],
+  status: [],
+  publishAt: [],
+}
+const REQUIRED_FIELDS = ['name', 'description', 'price', 'category']
+
+const createError = (statusCode, message) => {
+  const err = new Error(message)
+  err.statusCode = statusCode
+  return err
+}
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]+/g, '')
+
+/**
+ * Which column (index) fills each listing field
+ * @param {string[]} headers - the CSV's first row
+ * @param {object} mapping - field -> header name chosen by the seller; other fields are matched by name
+ */
+const resolveColumns = (headers, mapping) => {
+  const byHeader = new Map()
+  headers.forEach((header, index) => {
+    const key = normalizeHeader(header)
+    if (key && !byHeader.has(key)) byHeader.set(key, index)
+  })
+
+  const columns = {}
+  for (const [field, header] of Object.entries(mapping)) {
+    if (!Object.hasOwn(IMPORT_FIELDS, field)) {
+      throw createError(400, `mapping.${field} is not a listing field. Fields: ${Object.keys(IMPORT_FIELDS).join(', ')}`)
+    }
+    if (typeof header !== 'string' || !byHeader.has(normalizeHeader(header))) {
+      throw createError(400, `mapping.${field}: the file has no column named "${header}"`)
+    }
+    columns[field] = byHeader.get(normalizeHeader(header))
+  }
+
+  for (const [field, aliases] of Object.entries(IMPORT_FIELDS)) {
+    if (field in columns) continue
+    const match = [field, ...aliases].map(normalizeHeader).find((alias) => byHeader.has(alias))
+    if (match) columns[field] = byHeader.get(match)
+  }
+
+  const missing = REQUIRED_FIELDS.filter((field) => !(field in columns))
+  if (missing.length > 0) {
+    throw createError(400, `No column found for: ${missing.join(', ')}. Name the columns after these fields or send a mapping`)
+  }
+  return columns
+}
+
+// Write listings in batches, retrying throttled writes; returns the ids that could not be written
+const writeListings = async (items) => {
+  const failedIds = new Set()
+  for (let i = 0; i < items.length; i += BATCH_WRITE_LIMIT) {
+    let requests = items.slice(i, i + BATCH_WRITE_LIMIT).map((item) => ({ PutRequest: { Item: item } }))
+
+    for (let attempt = 1; requests.length > 0; attempt++) {
+      if (attempt > BATCH_WRITE_ATTEMPTS) {
+        for (const request of requests) failedIds.add(request.PutRequest.Item.id)
+        break
+      }
+      if (attempt > 1) {
+        await new Promise((resolve) => setTimeout(resolve, 100 * 2 ** attempt))
+      }
+      const result = await docClient.send(new BatchWriteCommand({ RequestItems: { [ITEMS_TABLE]: requests } }))
+      requests = result.UnprocessedItems?.[ITEMS_TABLE] || []
+    }
+  }
+  return failedIds
+}
+
+/**
+ * Public: check (and unless dryRun, create) a storefront's listings from a CSV file
+ * The first row holds the column names. Rows are numbered as in a spreadsheet, so the first
+ * listing is row 2. Cells left empty count as not given.
+ * @param {{ storeId: string, csv: Buffer|string, mapping?: object, dryRun?: boolean }} options
+ * @returns {Promise<{ dryRun: boolean, total: number, imported: number, failed: number,
+ *   errors: { row: number, error: string }[], items: object[] }>} items are the listings created
+ *   (or, for a dry run, that would be)
+ * @throws 400 if the file can't be read or lacks required columns
+ */
+const importListings = async ({ storeId, csv, mapping = {}, dryRun = false }) => {
+  let rows
+  try {
+    rows = parseCsv(Buffer.isBuffer(csv) ? csv.toString('utf8') : String(csv))
+  } catch (error) {
+    throw createError(400, `Could not read the CSV file: ${error.message}`)
+  }
+
+  const [headers = [], ...records] = rows
+  const listingRows = records
+    .map((cells, index) => ({ cells, row: index + 2 }))
+    .filter(({ cells }) => cells.some((cell) => cell.trim() !== ''))
+  if (listingRows.length === 0) {
+    throw createError(400, 'The CSV file has no listings')
+  }
+  if (listingRows.length > MAX_IMPORT_ROWS) {
+    throw createError(400, `A CSV file can have at most ${MAX_IMPORT_ROWS} listings`)
+  }
+
+  const columns = resolveColumns(headers, mapping)
+  const now = new Date().toISOString()
+  const errors = []
+  const items = []
+  const rowOf = new Map()
+  for (const { cells, row } of listingRows) {
+    const fields = { storeId }
+    for (const [field, index] of Object.entries(columns)) {
+      const value = (cells[index] ?? '').trim()
+      if (value !== '') fields[field] = value
+    }
+
+    try {
+      const item = buildListing(fields, now)
+      items.push(item)
+      rowOf.set(item.id, row)
+    } catch (error) {
+      if (!error.statusCode) throw error
+      errors.push({ row, error: error.message })
+    }
+  }
+
+  if (dryRun) {
+    return { dryRun: true, total: listingRows.length, imported: 0, failed: errors.length, errors, items }
+  }
+
+  const failedIds = await writeListings(items)
+  const written = items.filter((item) => !failedIds.has(item.id))
+  for (const id of failedIds) {
+    errors.push({ row: rowOf.get(id), error: 'Could not be saved. Import this row again' })
+  }
+  errors.sort((a, b) => a.row - b.row)
+
+  // Counts and indexes them, and sends subscribers one message about the published ones
+  await applyImportedListings(storeId, written)
+
+  return { dryRun: false, total: listingRows.length, imported: written.length, failed: errors.length, errors, items: written }
+}
+
+module.exports = { importListings }
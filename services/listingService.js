@@ -0,0 +1,275 @@
+const { docClient } = require('../utils/dynamodb')
+const { QueryCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb')
+const { v4: uuidv4 } = require('uuid')
+const { scanAll } = require('../utils/dynamoPagination')
+const { isListingVisible } = require('../utils/visibility')
+const { validateVariants, normalizeVariants } = require('../utils/variants')
+const { sendSms } = require('../utils/sns')
+const { adjustItemsCount } = require('./storefrontService')
+const { indexListing, removeListing } = require('./searchService')
+const { canEmailSubscriber } = require('./subscriptionService')
+
+const ITEMS_TABLE = process.env.ITEMS_TABLE || 'ItemsTable'
+const SUBSCRIPTIONS_TABLE = process.env.SUBSCRIPTIONS_TABLE || 'SubscriptionsTable'
+
+// Statuses sellers can give a listing. Only published listings are public; listings from before
+// statuses existed have none and count as published. Admins can also take a listing down.
+const LISTING_STATUSES = ['draft', 'scheduled', 'published', 'archived']
+const DEFAULT_LISTING_IMAGE = 'https://images.unsplash.com/photo-1441986300917-64674bd600d8?auto=format&fit=crop&w=800&q=80'
+
+const createError = (statusCode, message) => {
+  const err = new Error(message)
+  err.statusCode = statusCode
+  return err
+}
+
+// Public: null if a status (and publishAt, for scheduled listings) from a seller is acceptable,
+// otherwise the reason it isn't
+const validateListingStatus = (status, publishAt) => {
+  if (!LISTING_STATUSES.includes(status)) {
+    return `status must be one of: ${LISTING_STATUSES.join(', ')}`
+  }
+  if (status !== 'scheduled') {
+    return publishAt === undefined ? null : 'publishAt can only be set on scheduled listings'
+  }
+  if (!publishAt || isNaN(Date.parse(publishAt))) {
+    return 'Scheduled listings need a publishAt date (ISO 8601)'
+  }
+  if (Date.parse(publishAt) <= Date.now()) {
+    return 'publishAt must be in the future'
+  }
+  return null
+}
+
+/**
+ * Public: validate a new listing and build the record to store, with the rules of POST /listings
+ * (also used for each row of a CSV import). Permission to add to the storefront is checked by the caller.
+ * @param {object} fields - name, description, price, category, storeId and optionally image,
+ *   quantity, weight, options, variants, status (default "published") and publishAt
+ * @returns {object} the listing, with a new id
+ * @throws 400 with the first problem found
+ */
+const buildListing = (fields, now = new Date().toISOString()) => {
+  const { name, description, price, category, image, storeId, quantity, weight, options, variants } = fields
+  // Listings are published straight away unless saved as a draft or scheduled
+  const { status = 'published', publishAt } = fields
+
+  // Listings with variants take their price from them
+  const withVariants = Array.isArray(variants) && variants.length > 0
+
+  if (!name || !description || (price === undefined && !withVariants) || !category || !storeId) {
+    throw createError(400, 'Missing required fields: name, description, price, category, storeId')
+  }
+
+  const statusError = validateListingStatus(status, publishAt)
+  if (statusError) {
+    throw createError(400, statusError)
+  }
+
+  // Validate options and variants (see utils/variants.js) if provided
+  let variantFields = null
+  if (options !== undefined || variants !== undefined) {
+    const variantInput = { options: options ?? [], variants: variants ?? [] }
+    const variantError = validateVariants(variantInput)
+    if (variantError) {
+      throw createError(400, variantError)
+    }
+    variantFields = normalizeVariants(variantInput)
+  }
+
+  // Validate price is a number
+  const priceNum = variantFields ? variantFields.price : parseFloat(price)
+  if (isNaN(priceNum) || priceNum < 0) {
+    throw createError(400, 'Price must be a valid positive number')
+  }
+
+  // Validate quantity if provided (a listing with variants has the total of theirs)
+  const quantityNum = variantFields ? variantFields.quantity : quantity !== undefined ? parseInt(quantity, 10) : 0
+  if (!variantFields && quantity !== undefined && (isNaN(quantityNum) || quantityNum < 0)) {
+    throw createError(400, 'Quantity must be a valid non-negative integer')
+  }
+
+  // Validate weight (kg, used for weight-based shipping) if provided
+  const weightNum = weight !== undefined ? parseFloat(weight) : undefined
+  if (weight !== undefined && (isNaN(weightNum) || weightNum < 0)) {
+    throw createError(400, 'Weight must be a valid non-negative number (kg)')
+  }
+
+  return {
+    id: uuidv4(),
+    storeId,
+    name,
+    description,
+    price: priceNum,
+    category,
+    image: image && image.trim() !== '' ? image : DEFAULT_LISTING_IMAGE,
+    quantity: quantityNum,
+    ...(weightNum !== undefined && { weight: weightNum }),
+    ...(variantFields && { options: variantFields.options, variants: variantFields.variants }),
+    status,
+    ...(status === 'scheduled' && { publishAt: new Date(publishAt).toISOString() }),
+    ...(status === 'published' && { publishedAt: now }),
+    averageRating: 0,
+    reviews: [],
+    createdAt: now,
+    updatedAt: now,
+  }
+}
+
+/**
+ * Send a message to all of a storefront's subscribers
+ * - Respects notifyEmail / notifySms flags on the subscription, and skips unverified emails
+ * - Uses SNS to send SMS messages
+ */
+async function notifySubscribers(storeId, message) {
+  try {
+    console.log('Notifying subscribers for storeId:', storeId)
+
+    const result = await docClient.send(
+      new QueryCommand({
+        TableName: SUBSCRIPTIONS_TABLE,
+        KeyConditionExpression: 'storeId = :storeId',
+        ExpressionAttributeValues: {
+          ':storeId': storeId,
+        },
+      })
+    )
+
+    const subscriptions = result.Items || []
+    console.log('Found subscriptions:', subscriptions.length)
+
+    for (const sub of subscriptions) {
+      console.log(sub)
+      // On unless turned off, and only to a verified address
+      const notifyEmail = await canEmailSubscriber(sub)
+      const notifySms = !!sub.notifySms
+      const buyerEmail = sub.buyerEmail
+      const phoneNumber = sub.phoneNumber
+
+      // --- Email notifications (existing / future) ---
+      if (notifyEmail) {
+        // If you already have email notification logic somewhere else,
+        // call it here, for example:
+        //
+        // await sendEmailNotification(buyerEmail, message)
+        //
+        // For now, we just log:
+        console.log('Would send email notification to', buyerEmail)
+      }
+
+      // --- SMS notifications via SNS ---
+      if (notifySms && phoneNumber) {
+        try {
+          await sendSms(phoneNumber, message)
+        } catch (smsError) {
+          console.error('Failed to send SMS to', phoneNumber, smsError)
+        }
+      }
+    }
+  } catch (error) {
+    console.error('Error notifying subscribers:', error)
+  }
+}
+
+// Public: tell subscribers about a newly published item
+const notifySubscribersForNewItem = (storeId, item) =>
+  notifySubscribers(storeId, `New listing added in a store you follow: ${item.name} for $${item.price}`)
+
+/**
+ * Public: follow up a listing being created, changing status or being deleted
+ * Keeps the storefront's itemsCount (published listings) and the search index in step, and
+ * tells subscribers about a listing the first time it is published.
+ * @param {object|null} before - the listing before the write (null when created)
+ * @param {object|null} after - the listing after the write (null when deleted)
+ */
+const applyListingChange = async (before, after) => {
+  const wasPublic = !!before && isListingVisible(before)
+  const isPublic = !!after && isListingVisible(after)
+  const { storeId } = after || before
+
+  if (wasPublic !== isPublic) {
+    await adjustItemsCount(storeId, isPublic ? 1 : -1)
+  }
+  if (after) indexListing(after)
+  else removeListing(before.id)
+
+  // Listings only get a publishedAt once they have been public, so this is the first time.
+  // A listing an admin restores was public before it was taken down.
+  if (isPublic && !wasPublic && !before?.publishedAt && before?.status !== 'taken_down') {
+    await notifySubscribersForNewItem(storeId, after)
+  }
+}
+
+/**
+ * Public: publish a scheduled listing (used by the scheduler)
+ * Only the call that moves it out of "scheduled" follows up, so subscribers hear about it once.
+ * @returns {Promise<object|null>} the published listing, or null if it was no longer scheduled
+ */
+const publishScheduledListing = async (item) => {
+  const now = new Date().toISOString()
+  let published
+  try {
+    const result = await docClient.send(
+      new UpdateCommand({
+        TableName: ITEMS_TABLE,
+        Key: { id: item.id },
+        UpdateExpression:
+          'SET #status = :published, publishedAt = if_not_exists(publishedAt, :now), updatedAt = :now REMOVE publishAt',
+        ConditionExpression: '#status = :scheduled',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: { ':published': 'published', ':scheduled': 'scheduled', ':now': now },
+        ReturnValues: 'ALL_NEW',
+      })
+    )
+    published = result.Attributes
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') return null
+    throw error
+  }
+
+  await applyListingChange(item, published)
+  return published
+}
+
+/**
+ * Public: follow up a batch of listings created by an import, like applyListingChange does for one
+ * Subscribers get a single message about the published ones instead of one per listing.
+ * @param {string} storeId
+ * @param {object[]} items - the listings written
+ */
+const applyImportedListings = async (storeId, items) => {
+  const published = items.filter(isListingVisible)
+  if (published.length > 0) {
+    await adjustItemsCount(storeId, published.length)
+  }
+  for (const item of items) indexListing(item)
+
+  if (published.length === 1) {
+    await notifySubscribersForNewItem(storeId, published[0])
+  } else if (published.length > 1) {
+    await notifySubscribers(
+      storeId,
+      `${published.length} new listings added in a store you follow, including ${published[0].name}`
+    )
+  }
+}
+
+// Public: scheduled listings whose publishAt has passed
+const listDueScheduledListings = (now = new Date()) =>
+  scanAll({
+    TableName: ITEMS_TABLE,
+    FilterExpression: '#status = :scheduled AND publishAt <= :now',
+    ExpressionAttributeNames: { '#status': 'status' },
+    ExpressionAttributeValues: { ':scheduled': 'scheduled', ':now': now.toISOString() },
+  })
+
+module.exports = {
+  LISTING_STATUSES,
+  validateListingStatus,
+  buildListing,
+  notifySubscribersForNewItem,
+  applyListingChange,
+  applyImportedListings,
+  publishScheduledListing,
+  listDueScheduledListings,
+}
@@ -0,0 +1,184 @@
+const { v4: uuidv4 } = require('uuid')
+const { docClient } = require('../utils/dynamodb')
+const { PutCommand } = require('@aws-sdk/lib-dynamodb')
+const { getRedisClient } = require('../utils/redis')
+
+const redis = getRedisClient()
+
+const LOGIN_LOCKOUTS_TABLE = process.env.LOGIN_LOCKOUTS_TABLE || 'LoginLockoutsTable'
+// Failed logins are counted over this window (it restarts with the first failure after it ends)
+const FAILURE_WINDOW_SECONDS = parseInt(process.env.LOGIN_FAILURE_WINDOW_SECONDS || '900', 10)
+// Failures for one email before it is locked out
+const MAX_EMAIL_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES || '10', 10)
+// Failures from one IP (across any emails) before it is locked out; higher because of shared NATs
+const MAX_IP_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES || '50', 10)
+const LOCKOUT_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_SECONDS || '900', 10)
+// After this many failures for an email, each further attempt must wait 1s, 2s, 4s, ... (capped)
+const DELAY_AFTER_FAILURES = parseInt(process.env.LOGIN_DELAY_AFTER_FAILURES || '3', 10)
+const MAX_DELAY_SECONDS = parseInt(process.env.LOGIN_MAX_DELAY_SECONDS || '60', 10)
+
+// In-memory fallback when Redis is not configured (single process only)
+const memoryStore = new Map()
+
+const failuresKey = (type, subject) => `login:failures:${type}:${subject}`
+const lockKey = (type, subject) => `login:lock:${type}:${subject}`
+const delayKey = (type, subject) => `login:delay:${type}:${subject}`
+
+const memoryEntry = (key) => {
+  const entry = memoryStore.get(key)
+  if (!entry) return null
+  if (entry.expiresAt <= Date.now()) {
+    memoryStore.delete(key)
+    return null
+  }
+  return entry
+}
+
+// Increment a counter, starting its expiry on the first increment
+const incrementCounter = async (key, ttlSeconds) => {
+  if (redis) {
+    try {
+      const count = await redis.incr(key)
+      if (count === 1) {
+        await redis.expire(key, ttlSeconds)
+      }
+      return count
+    } catch (error) {
+      console.warn('Redis login counter failed, falling back to memory:', error.message)
+    }
+  }
+  const entry = memoryEntry(key)
+  if (!entry) {
+    memoryStore.set(key, { value: 1, expiresAt: Date.now() + ttlSeconds * 1000 })
+    return 1
+  }
+  entry.value += 1
+  return entry.value
+}
+
+const setMarker = async (key, ttlSeconds) => {
+  const ttl = Math.max(1, Math.ceil(ttlSeconds))
+  if (redis) {
+    try {
+      await redis.set(key, '1', 'EX', ttl)
+      return
+    } catch (error) {
+      console.warn('Redis login marker write failed, falling back to memory:', error.message)
+    }
+  }
+  memoryStore.set(key, { value: '1', expiresAt: Date.now() + ttl * 1000 })
+}
+
+// Seconds left before a marker expires, or 0 if it isn't set
+const markerSecondsLeft = async (key) => {
+  if (redis) {
+    try {
+      const ttl = await redis.ttl(key)
+      return ttl > 0 ? ttl : 0
+    } catch (error) {
+      console.warn('Redis login marker read failed, falling back to memory:', error.message)
+    }
+  }
+  const entry = memoryEntry(key)
+  return entry ? Math.max(1, Math.ceil((entry.expiresAt - Date.now()) / 1000)) : 0
+}
+
+const removeKeys = async (keys) => {
+  if (redis) {
+    try {
+      await redis.del(...keys)
+      return
+    } catch (error) {
+      console.warn('Redis login key delete failed, falling back to memory:', error.message)
+    }
+  }
+  keys.forEach((key) => memoryStore.delete(key))
+}
+
+// Keep a record of the lockout for admins (GET /admin/lockouts); never fails the login request
+const recordLockout = async ({ type, subject, email, ip, failures }) => {
+  const lockedAt = new Date()
+  const event = {
+    id: uuidv4(),
+    type,
+    subject,
+    email,
+    ip,
+    failures,
+    lockedAt: lockedAt.toISOString(),
+    lockedUntil: new Date(lockedAt.getTime() + LOCKOUT_SECONDS * 1000).toISOString(),
+  }
+  console.warn(`Login lockout (${type}) for ${subject} after ${failures} failed attempts`)
+  try {
+    await docClient.send(
+      new PutCommand({
+        TableName: LOGIN_LOCKOUTS_TABLE,
+        Item: event,
+      })
+    )
+  } catch (error) {
+    console.error('Failed to record login lockout:', error.message)
+  }
+}
+
+const subjectsFor = ({ email, ip }) => {
+  const subjects = [{ type: 'email', subject: email, maxFailures: MAX_EMAIL_FAILURES }]
+  if (ip) {
+    subjects.push({ type: 'ip', subject: ip, maxFailures: MAX_IP_FAILURES })
+  }
+  return subjects
+}
+
+/**
+ * Public: check whether a login attempt may go ahead
+ * @returns {Promise<{ allowed: boolean, reason?: 'locked'|'delayed', retryAfterSeconds?: number }>}
+ */
+const checkLoginAllowed = async ({ email, ip }) => {
+  for (const { type, subject } of subjectsFor({ email, ip })) {
+    const lockedFor = await markerSecondsLeft(lockKey(type, subject))
+    if (lockedFor > 0) {
+      return { allowed: false, reason: 'locked', retryAfterSeconds: lockedFor }
+    }
+  }
+
+  const delayedFor = await markerSecondsLeft(delayKey('email', email))
+  if (delayedFor > 0) {
+    return { allowed: false, reason: 'delayed', retryAfterSeconds: delayedFor }
+  }
+
+  return { allowed: true }
+}
+
+/**
+ * Public: count a failed password attempt against the email and IP
+ * Sets the progressive delay, or a lockout once a limit is reached.
+ * @returns {Promise<{ locked: boolean, retryAfterSeconds: number }>} retryAfterSeconds is 0 when the next attempt may go straight away
+ */
+const recordLoginFailure = async ({ email, ip }) => {
+  let locked = false
+  let retryAfterSeconds = 0
+
+  for (const { type, subject, maxFailures } of subjectsFor({ email, ip })) {
+    const failures = await incrementCounter(failuresKey(type, subject), FAILURE_WINDOW_SECONDS)
+    if (failures >= maxFailures) {
+      await setMarker(lockKey(type, subject), LOCKOUT_SECONDS)
+      await removeKeys([failuresKey(type, subject), delayKey(type, subject)])
+      await recordLockout({ type, subject, email, ip, failures })
+      locked = true
+      retryAfterSeconds = Math.max(retryAfterSeconds, LOCKOUT_SECONDS)
+    } else if (type === 'email' && failures >= DELAY_AFTER_FAILURES) {
+      const delaySeconds = Math.min(2 ** (failures - DELAY_AFTER_FAILURES), MAX_DELAY_SECONDS)
+      await setMarker(delayKey(type, subject), delaySeconds)
+      retryAfterSeconds = Math.max(retryAfterSeconds, delaySeconds)
+    }
+  }
+
+  return { locked, retryAfterSeconds }
+}
+
+// Public: a successful login clears the email's failure count (the IP's is left to expire)
+const recordLoginSuccess = async ({ email }) => {
+  await removeKeys([failuresKey('email', email), delayKey('email', email)])
+}
+
+module.exports = { checkLoginAllowed, recordLoginFailure, recordLoginSuccess }
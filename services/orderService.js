@@ -0,0 +1,111 @@
+const { isPaymentComplete, toMinorUnits } = require('../utils/stripe')
+const { findVariant, describeVariant } = require('../utils/variants')
+const { isListingVisible } = require('../utils/visibility')
+const { releaseReservation, commitReservation } = require('./inventoryService')
+const { recordOrderStatusChange, recordOrderCancelled, recordOrderPaid } = require('./analyticsService')
+
+// Orders can be cancelled (and their stock given back) until the seller ships them
+const CANCELLABLE_ORDER_STATUSES = ['PREPARE_ORDER']
+
+const createError = (statusCode, message) => {
+  const err = new Error(message)
+  err.statusCode = statusCode
+  return err
+}
+
+/**
+ * Public: price an order's lines from their listings, ignoring any price or store the client sent
+ * Lines for a listing with variants take the variant's price, SKU and options. Every line takes
+ * its listing's storeId, and all of them must come from one storefront (as carts do).
+ * @param {object[]} items - order lines from the request ({ itemId|id, variantId, quantity, ... })
+ * @param {Map<string, object>} products - the lines' listings by id (see loadProductDetails)
+ * @returns {{ items: object[], subtotal: number, storeId: string }}
+ * @throws 404 if a line's listing doesn't exist or isn't published (as for carts), 400 if a line
+ *   names another storefront than its listing's or the listings are from several storefronts
+ */
+const priceOrderItems = (items, products) => {
+  let subtotalCents = 0
+  const storeIds = new Set()
+  const priced = items.map((item) => {
+    const product = products.get(item.itemId || item.id)
+    if (!product || !isListingVisible(product)) {
+      throw createError(404, 'Item not found')
+    }
+    if (item.storeId !== undefined && item.storeId !== product.storeId) {
+      throw createError(400, `Item ${product.id} is not from storefront ${item.storeId}`)
+    }
+    storeIds.add(product.storeId)
+
+    const variant = item.variantId ? findVariant(product, item.variantId) : null
+    const line = variant
+      ? {
+          ...item,
+          storeId: product.storeId,
+          price: variant.price,
+          ...(variant.sku && { sku: variant.sku }),
+          variantOptions: variant.options,
+          variantName: describeVariant(variant),
+        }
+      : { ...item, storeId: product.storeId, price: product.price }
+    subtotalCents += toMinorUnits(line.price) * (Number(line.quantity) || 1)
+    return line
+  })
+  if (storeIds.size > 1) {
+    throw createError(400, 'An order can only contain items from one storefront')
+  }
+  return { items: priced, subtotal: subtotalCents / 100, storeId: [...storeIds][0] }
+}
+
+/**
+ * Public: cancel an order and give its reserved stock back
+ * @param {{ reason: string, cancelledBy?: string }} details
+ * @returns {Promise<object>} the cancelled order
+ */
+const cancelOrder = async (order, { reason, cancelledBy }) => {
+  if (!CANCELLABLE_ORDER_STATUSES.includes(order.orderStatus)) {
+    throw createError(409, order.orderStatus === 'CANCELLED' ? 'Order is already cancelled' : 'Orders can only be cancelled before they ship')
+  }
+
+  const cancelled = await releaseReservation(order, {
+    status: 'CANCELLED',
+    orderStatus: 'CANCELLED',
+    cancelledAt: new Date().toISOString(),
+    cancelReason: reason,
+    ...(cancelledBy && { cancelledBy }),
+  })
+  await recordOrderStatusChange(cancelled, order.orderStatus, 'CANCELLED')
+  await recordOrderCancelled(cancelled)
+  return cancelled
+}
+
+/**
+ * Public: mark an order waiting for payment as paid, keeping its reserved stock
+ * Orders whose payment window has passed are cancelled instead (409).
+ * @returns {Promise<object>} the paid order
+ */
+const confirmOrderPayment = async (order, paymentIntentId) => {
+  if (order.paymentStatus === 'paid') return order
+  if (order.reservation?.status !== 'held') {
+    throw createError(409, 'This order is not waiting for payment')
+  }
+
+  if (Date.parse(order.reservation.expiresAt) <= Date.now()) {
+    await cancelOrder(order, { reason: 'payment_expired' })
+    throw createError(409, 'The time to pay for this order has run out and it has been cancelled')
+  }
+
+  if (!(await isPaymentComplete(paymentIntentId, order))) {
+    throw createError(402, 'Payment has not been completed for this order')
+  }
+
+  const paid = await commitReservation(order, paymentIntentId, {
+    paymentStatus: 'paid',
+    stripePaymentIntentId: paymentIntentId,
+    paidAt: new Date().toISOString(),
+  })
+  // Only the confirmation that committed the reservation gets here, so sales are counted once
+  await recordOrderPaid(paid)
+  return paid
+}
+
+module.exports = { priceOrderItems, cancelOrder, confirmOrderPayment }
@@ -0,0 +1,271 @@
+const { docClient } = require('../utils/dynamodb')
+const { BatchGetCommand } = require('@aws-sdk/lib-dynamodb')
+const { scanAll, encodePageToken, decodePageToken } = require('../utils/dynamoPagination')
+const { isListingVisible, isStorefrontVisible } = require('../utils/visibility')
+const { tokenize, editDistance } = require('../utils/textSearch')
+
+// Listing search runs on an in-process inverted index, so it needs no outside service.
+// The index is built from ItemsTable on the first search and kept current by the listings and
+// admin routes. It is also rebuilt every SEARCH_INDEX_REFRESH_SECONDS, which picks up changes
+// made by other server instances.
+const ITEMS_TABLE = process.env.ITEMS_TABLE || 'ItemsTable'
+const STOREFRONTS_TABLE = process.env.STOREFRONTS_TABLE || 'StorefrontsTable'
+const SEARCH_INDEX_REFRESH_SECONDS = parseInt(process.env.SEARCH_INDEX_REFRESH_SECONDS || '300', 10)
+const DEFAULT_SEARCH_PAGE_SIZE = 20
+const MAX_SEARCH_PAGE_SIZE = 50
+const MAX_QUERY_LENGTH = 200
+const MAX_QUERY_TERMS = 10
+
+// Matches in a listing's name count more than matches in its category or description
+const FIELD_WEIGHTS = { name: 3, category: 2, description: 1 }
+// BM25 parameters: term-frequency saturation and document-length normalization
+const BM25_K1 = 1.2
+const BM25_B = 0.75
+// How much an inexact match is worth compared to an exact one
+const PREFIX_MATCH_WEIGHT = 0.7
+const TYPO_MATCH_WEIGHTS = [1, 0.6, 0.4]
+const MIN_PREFIX_LENGTH = 3
+// DynamoDB's BatchGetItem key limit
+const BATCH_GET_LIMIT = 100
+
+const createError = (statusCode, message) => {
+  const err = new Error(message)
+  err.statusCode = statusCode
+  return err
+}
+
+// Typos allowed in a query term: none for short words, one from 5 letters, two from 9
+const maxTyposFor = (term) => (term.length >= 9 ? 2 : term.length >= 5 ? 1 : 0)
+
+const createIndex = () => ({
+  // itemId -> { item, lengths: { name, category, description }, terms: Set }
+  docs: new Map(),
+  // term -> Map(itemId -> { name, category, description } term counts)
+  postings: new Map(),
+  // Sum of each field's length across docs, for BM25's average length
+  totalLengths: { name: 0, category: 0, description: 0 },
+})
+
+const removeFromIndex = (index, itemId) => {
+  const doc = index.docs.get(itemId)
+  if (!doc) return
+  for (const term of doc.terms) {
+    const postings = index.postings.get(term)
+    postings.delete(itemId)
+    if (postings.size === 0) index.postings.delete(term)
+  }
+  for (const field of Object.keys(FIELD_WEIGHTS)) {
+    index.totalLengths[field] -= doc.lengths[field]
+  }
+  index.docs.delete(itemId)
+}
+
+// Add or replace a listing; listings buyers can't see are only removed
+const addToIndex = (index, item) => {
+  removeFromIndex(index, item.id)
+  if (!isListingVisible(item)) return
+
+  const lengths = {}
+  const terms = new Set()
+  for (const field of Object.keys(FIELD_WEIGHTS)) {
+    const fieldTerms = tokenize(item[field])
+    lengths[field] = fieldTerms.length
+    index.totalLengths[field] += fieldTerms.length
+    for (const term of fieldTerms) {
+      if (!index.postings.has(term)) index.postings.set(term, new Map())
+      const postings = index.postings.get(term)
+      const counts = postings.get(item.id) || { name: 0, category: 0, description: 0 }
+      counts[field] += 1
+      postings.set(item.id, counts)
+      terms.add(term)
+    }
+  }
+  index.docs.set(item.id, { item, lengths, terms })
+}
+
+let activeIndex = null
+let builtAt = 0
+let buildPromise = null
+// Changes made while a rebuild is scanning ItemsTable, replayed onto the new index (itemId -> item or null)
+let pendingChanges = null
+
+const buildIndex = async () => {
+  pendingChanges = new Map()
+  try {
+    const items = await scanAll({ TableName: ITEMS_TABLE })
+    const index = createIndex()
+    for (const item of items) addToIndex(index, item)
+    for (const [itemId, item] of pendingChanges) {
+      if (item) addToIndex(index, item)
+      else removeFromIndex(index, itemId)
+    }
+    activeIndex = index
+    builtAt = Date.now()
+    console.log(`Search index built with ${index.docs.size} listings`)
+  } finally {
+    pendingChanges = null
+    buildPromise = null
+  }
+}
+
+// The current index, building it on first use and refreshing it in the background when stale
+const getIndex = async () => {
+  const stale = Date.now() - builtAt > SEARCH_INDEX_REFRESH_SECONDS * 1000
+  if (stale && !buildPromise) {
+    buildPromise = buildIndex()
+  }
+  if (!activeIndex) {
+    await buildPromise
+  } else if (buildPromise) {
+    buildPromise.catch((error) => console.error('Failed to refresh search index:', error))
+  }
+  return activeIndex
+}
+
+// Public: add or update a listing in the search index (hidden listings are dropped from it)
+const indexListing = (item) => {
+  if (!item || !item.id) return
+  if (pendingChanges) pendingChanges.set(item.id, item)
+  if (activeIndex) addToIndex(activeIndex, item)
+}
+
+// Public: drop a deleted listing from the search index
+const removeListing = (itemId) => {
+  if (pendingChanges) pendingChanges.set(itemId, null)
+  if (activeIndex) removeFromIndex(activeIndex, itemId)
+}
+
+// Index terms a query term matches, each with how much the match is worth
+const expandTerm = (index, term) => {
+  const maxTypos = maxTyposFor(term)
+  const matches = []
+  for (const candidate of index.postings.keys()) {
+    if (candidate === term) {
+      matches.push({ term: candidate, weight: 1 })
+      continue
+    }
+    const distance = maxTypos ? editDistance(term, candidate, maxTypos) : null
+    const typoWeight = distance !== null ? TYPO_MATCH_WEIGHTS[distance] : 0
+    const prefixWeight = term.length >= MIN_PREFIX_LENGTH && candidate.startsWith(term) ? PREFIX_MATCH_WEIGHT : 0
+    const weight = Math.max(typoWeight, prefixWeight)
+    if (weight > 0) matches.push({ term: candidate, weight })
+  }
+  return matches
+}
+
+// BM25F score of one index term for one listing
+const scoreTerm = (index, term, itemId) => {
+  const postings = index.postings.get(term)
+  const counts = postings.get(itemId)
+  if (!counts) return 0
+
+  const docCount = index.docs.size
+  const doc = index.docs.get(itemId)
+  let weightedFrequency = 0
+  for (const [field, fieldWeight] of Object.entries(FIELD_WEIGHTS)) {
+    if (!counts[field]) continue
+    const averageLength = index.totalLengths[field] / docCount || 1
+    weightedFrequency += (fieldWeight * counts[field]) / (1 - BM25_B + (BM25_B * doc.lengths[field]) / averageLength)
+  }
+  const idf = Math.log(1 + (docCount - postings.size + 0.5) / (postings.size + 0.5))
+  return (idf * weightedFrequency * (BM25_K1 + 1)) / (weightedFrequency + BM25_K1)
+}
+
+// Ranked { itemId, score } for listings that match every query term
+const rankListings = (index, queryTerms) => {
+  let scores = null
+  for (const queryTerm of queryTerms) {
+    const termScores = new Map()
+    for (const { term, weight } of expandTerm(index, queryTerm)) {
+      for (const itemId of index.postings.get(term).keys()) {
+        if (scores && !scores.has(itemId)) continue
+        const score = weight * scoreTerm(index, term, itemId)
+        // Each query term counts once, through its best match in the listing
+        termScores.set(itemId, Math.max(termScores.get(itemId) || 0, score))
+      }
+    }
+    scores = new Map(
+      Array.from(termScores, ([itemId, score]) => [itemId, score + (scores ? scores.get(itemId) : 0)])
+    )
+    if (scores.size === 0) break
+  }
+
+  return Array.from(scores || [], ([itemId, score]) => ({ itemId, score })).sort(
+    (a, b) =>
+      b.score - a.score ||
+      String(index.docs.get(b.itemId).item.createdAt || '').localeCompare(String(index.docs.get(a.itemId).item.createdAt || '')) ||
+      a.itemId.localeCompare(b.itemId)
+  )
+}
+
+// The storeIds among these that belong to archived or suspended storefronts
+const findHiddenStorefronts = async (storeIds) => {
+  const hidden = new Set()
+  for (let i = 0; i < storeIds.length; i += BATCH_GET_LIMIT) {
+    const response = await docClient.send(
+      new BatchGetCommand({
+        RequestItems: {
+          [STOREFRONTS_TABLE]: {
+            Keys: storeIds.slice(i, i + BATCH_GET_LIMIT).map((storeId) => ({ storeId })),
+            ProjectionExpression: 'storeId, #status',
+            ExpressionAttributeNames: { '#status': 'status' },
+          },
+        },
+      })
+    )
+    for (const storefront of response.Responses?.[STOREFRONTS_TABLE] || []) {
+      if (!isStorefrontVisible(storefront)) hidden.add(storefront.storeId)
+    }
+  }
+  return hidden
+}
+
+/**
+ * Public: search visible listings across all storefronts by name, description and category
+ * Words are stemmed ("candles" finds "candle") and allow small typos ("cermic" finds "ceramic").
+ * Every query word has to match; results are ranked by relevance.
+ * @param {string} query
+ * @param {{ limit?: number, nextToken?: string }} options
+ * @returns {Promise<{ items: object[], total: number, nextToken: string|null }>}
+ */
+const searchListings = async (query, { limit, nextToken } = {}) => {
+  const text = typeof query === 'string' ? query.trim() : ''
+  if (!text) {
+    throw createError(400, 'Missing required query parameter: q')
+  }
+  if (text.length > MAX_QUERY_LENGTH) {
+    throw createError(400, `q can be at most ${MAX_QUERY_LENGTH} characters`)
+  }
+
+  const pageSize = limit === undefined ? DEFAULT_SEARCH_PAGE_SIZE : parseInt(limit, 10)
+  if (isNaN(pageSize) || pageSize < 1 || pageSize > MAX_SEARCH_PAGE_SIZE) {
+    throw createError(400, `limit must be between 1 and ${MAX_SEARCH_PAGE_SIZE}`)
+  }
+  const cursor = decodePageToken(nextToken)
+  const offset = cursor === undefined ? 0 : cursor.offset
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw createError(400, 'Invalid nextToken')
+  }
+
+  const queryTerms = Array.from(new Set(tokenize(text))).slice(0, MAX_QUERY_TERMS)
+  if (queryTerms.length === 0) {
+    return { items: [], total: 0, nextToken: null }
+  }
+
+  const index = await getIndex()
+  const ranked = rankListings(index, queryTerms)
+
+  // Listings in archived or suspended storefronts are left out
+  const storeIds = new Set(ranked.map(({ itemId }) => index.docs.get(itemId).item.storeId).filter(Boolean))
+  const hiddenStoreIds = await findHiddenStorefronts(Array.from(storeIds))
+  const visible = ranked.filter(({ itemId }) => !hiddenStoreIds.has(index.docs.get(itemId).item.storeId))
+
+  const page = visible.slice(offset, offset + pageSize)
+  return {
+    items: page.map(({ itemId }) => index.docs.get(itemId).item),
+    total: visible.length,
+    nextToken: offset + pageSize < visible.length ? encodePageToken({ offset: offset + pageSize }) : null,
+  }
+}
+
+module.exports = { indexListing, removeListing, searchListings }
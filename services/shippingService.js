@@ -0,0 +1,121 @@
+const { docClient } = require('../utils/dynamodb')
+const { UpdateCommand } = require('@aws-sdk/lib-dynamodb')
+const { v4: uuidv4 } = require('uuid')
+const { validateShippingProfiles, rateForProfile } = require('../utils/shippingRates')
+const { getStorefront } = require('./storefrontService')
+const { loadProductDetails } = require('./cartService')
+const { findVariant } = require('../utils/variants')
+
+const STOREFRONTS_TABLE = process.env.STOREFRONTS_TABLE || 'StorefrontsTable'
+
+const createError = (statusCode, message) => {
+  const err = new Error(message)
+  err.statusCode = statusCode
+  return err
+}
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100
+
+// Validate and normalize { country, region } from a request body
+const parseDestination = (destination) => {
+  const country = typeof destination?.country === 'string' ? destination.country.trim().toUpperCase() : ''
+  if (!/^[A-Z]{2}$/.test(country)) {
+    throw createError(400, 'A destination country is required as a two-letter code such as "US"')
+  }
+  const region = typeof destination.region === 'string' ? destination.region.trim().toUpperCase() : ''
+  // No undefined region: the document client doesn't strip undefined values
+  return region ? { country, region } : { country }
+}
+
+/**
+ * Public: replace a storefront's shipping profiles (see utils/shippingRates.js)
+ * Profiles without an id get one, so existing ids stay stable across edits.
+ * @returns {Promise<object>} the updated storefront
+ */
+const setShippingProfiles = async (storefront, profiles) => {
+  const validationError = validateShippingProfiles(profiles)
+  if (validationError) {
+    throw createError(400, validationError)
+  }
+
+  const normalized = profiles.map((profile) => ({ ...profile, id: profile.id || uuidv4(), name: profile.name.trim() }))
+
+  const result = await docClient.send(
+    new UpdateCommand({
+      TableName: STOREFRONTS_TABLE,
+      Key: { storeId: storefront.storeId },
+      UpdateExpression: 'SET shippingProfiles = :profiles, updatedAt = :now',
+      ConditionExpression: 'attribute_exists(storeId)',
+      ExpressionAttributeValues: { ':profiles': normalized, ':now': new Date().toISOString() },
+      ReturnValues: 'ALL_NEW',
+    })
+  )
+  return result.Attributes
+}
+
+/**
+ * Public: the shipping options a storefront offers for some items and a destination
+ * Prices and weights are read from the listings, not taken from the caller.
+ * @param {{ storeId: string, items: Array<{ itemId: string, variantId?: string, quantity: number }>, destination: { country: string, region?: string } }} input
+ * @returns {Promise<{ storefront: object, destination: object, subtotal: number, weight: number, options: object[] }>}
+ */
+const getShippingQuote = async ({ storeId, items, destination }) => {
+  const parsedDestination = parseDestination(destination)
+
+  const storefront = await getStorefront(storeId)
+  if (!storefront) {
+    throw createError(404, 'Storefront not found')
+  }
+
+  const products = await loadProductDetails(items.map((item) => item.itemId))
+  const cart = items.reduce(
+    (totals, item) => {
+      const product = products.get(item.itemId) || {}
+      const variant = item.variantId ? findVariant(product, item.variantId) : null
+      const quantity = Number(item.quantity) || 1
+      return {
+        subtotal: totals.subtotal + (Number(variant ? variant.price : product.price) || 0) * quantity,
+        weight: totals.weight + (Number(product.weight) || 0) * quantity,
+      }
+    },
+    { subtotal: 0, weight: 0 }
+  )
+
+  const options = (storefront.shippingProfiles || [])
+    .map((profile) => ({ profile, amount: rateForProfile(profile, cart, parsedDestination) }))
+    .filter(({ amount }) => amount !== null)
+    .map(({ profile, amount }) => ({ profileId: profile.id, name: profile.name, type: profile.type, amount: roundMoney(amount) }))
+    .sort((a, b) => a.amount - b.amount)
+
+  return {
+    storefront,
+    destination: parsedDestination,
+    subtotal: roundMoney(cart.subtotal),
+    weight: Math.round(cart.weight * 1000) / 1000,
+    options,
+  }
+}
+
+/**
+ * Public: the shipping record to store on a new order
+ * Storefronts without shipping profiles don't charge shipping (null). Otherwise the buyer must
+ * pick one of the options a fresh quote offers for the order's items and destination.
+ */
+const resolveOrderShipping = async ({ storeId, items, destination, profileId }) => {
+  const storefront = storeId ? await getStorefront(storeId) : null
+  if (!storefront || !(storefront.shippingProfiles || []).length) return null
+
+  if (!profileId) {
+    throw createError(400, 'shippingProfileId is required; get the options from POST /cart/shipping-quote')
+  }
+
+  const quote = await getShippingQuote({ storeId, items, destination })
+  const option = quote.options.find((o) => o.profileId === profileId)
+  if (!option) {
+    throw createError(400, 'That shipping option is not available for these items and destination')
+  }
+
+  return { ...option, ...quote.destination, quotedAt: new Date().toISOString() }
+}
+
+module.exports = { setShippingProfiles, getShippingQuote, resolveOrderShipping }
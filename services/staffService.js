@@ -0,0 +1,197 @@
+const { docClient } = require('../utils/dynamodb')
+const { GetCommand, PutCommand, UpdateCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb')
+const { queryAll, queryIndexOrScan } = require('../utils/dynamoPagination')
+const { getStorefront } = require('./storefrontService')
+
+const USERS_TABLE = process.env.USERS_TABLE || 'UsersTable'
+const STOREFRONT_STAFF_TABLE = process.env.STOREFRONT_STAFF_TABLE || 'StorefrontStaffTable'
+
+// What each permission lets someone do, for 403 messages
+const PERMISSIONS = {
+  'storefront:manage': 'manage this storefront',
+  'staff:manage': "manage this storefront's staff",
+  'listings:manage': "manage this storefront's listings",
+  'orders:view': "view this storefront's orders",
+  'orders:fulfil': "update this storefront's orders",
+  'chats:respond': "read and reply to this storefront's chats",
+  'analytics:view': "view this storefront's analytics",
+}
+
+// Staff roles a storefront owner can hand out; the owner has every permission.
+// Only the owner can add or remove managers.
+const STAFF_ROLES = {
+  manager: ['staff:manage', 'listings:manage', 'orders:view', 'orders:fulfil', 'chats:respond', 'analytics:view'],
+  inventory: ['listings:manage', 'orders:view'],
+  support: ['orders:view', 'orders:fulfil', 'chats:respond'],
+}
+
+const createError = (statusCode, message) => {
+  const err = new Error(message)
+  err.statusCode = statusCode
+  return err
+}
+
+// Public: a user's staff record for a storefront (invited or active), or null
+const getMembership = async (storeId, userId) => {
+  const result = await docClient.send(
+    new GetCommand({
+      TableName: STOREFRONT_STAFF_TABLE,
+      Key: { storeId, userId },
+    })
+  )
+  return result.Item || null
+}
+
+// 'owner', an active staff role, or null
+const getStorefrontRole = async (storefront, userId) => {
+  if (storefront.owner === userId) return 'owner'
+  const membership = await getMembership(storefront.storeId, userId)
+  return membership && membership.status === 'active' ? membership.role : null
+}
+
+const roleHasPermission = (role, permission) =>
+  role === 'owner' || (!!STAFF_ROLES[role] && STAFF_ROLES[role].includes(permission))
+
+/**
+ * Public: whether a user may do something on a storefront, as its owner or through a staff role
+ * Archived storefronts still count, so their owner and staff can reach old orders and chats.
+ * @param {string} permission - a key of PERMISSIONS
+ */
+const hasStorefrontPermission = async (storeId, userId, permission) => {
+  if (!storeId || !userId) return false
+  const storefront = await getStorefront(storeId)
+  if (!storefront) return false
+  return roleHasPermission(await getStorefrontRole(storefront, userId), permission)
+}
+
+/**
+ * Public: throw 404 (missing or archived storefront) or 403 unless the user has the permission
+ * @returns {Promise<{ storefront: object, role: string }>}
+ */
+const assertStorefrontPermission = async (storeId, userId, permission) => {
+  const storefront = storeId ? await getStorefront(storeId) : null
+  if (!storefront || storefront.status === 'archived') {
+    throw createError(404, 'Storefront not found')
+  }
+  const role = await getStorefrontRole(storefront, userId)
+  if (!roleHasPermission(role, permission)) {
+    throw createError(403, `Forbidden: You do not have permission to ${PERMISSIONS[permission] || permission}`)
+  }
+  return { storefront, role }
+}
+
+// Public: everyone invited to or working at a storefront (not including the owner)
+const listStaff = (storeId) =>
+  queryAll({
+    TableName: STOREFRONT_STAFF_TABLE,
+    KeyConditionExpression: 'storeId = :storeId',
+    ExpressionAttributeValues: { ':storeId': storeId },
+  })
+
+// Public: a user's staff records across storefronts, including pending invitations
+const listMemberships = (userId) =>
+  queryIndexOrScan({
+    TableName: STOREFRONT_STAFF_TABLE,
+    IndexName: 'UserIdIndex',
+    attribute: 'userId',
+    value: userId,
+  })
+
+/**
+ * Public: invite a registered user to a storefront's staff
+ * Re-inviting someone with a pending invitation replaces it (e.g. to change the role).
+ * @returns {Promise<object>} the staff record
+ */
+const inviteStaff = async ({ storefront, email, role, invitedBy }) => {
+  if (!STAFF_ROLES[role]) {
+    throw createError(400, `role must be one of: ${Object.keys(STAFF_ROLES).join(', ')}`)
+  }
+
+  const users = await queryIndexOrScan({
+    TableName: USERS_TABLE,
+    IndexName: 'EmailIndex',
+    attribute: 'email',
+    value: String(email).trim().toLowerCase(),
+  })
+  const invitee = users[0]
+  if (!invitee) {
+    throw createError(404, 'No account uses that email. Ask them to register first')
+  }
+  if (invitee.userId === storefront.owner) {
+    throw createError(400, 'The storefront owner cannot be invited as staff')
+  }
+
+  const existing = await getMembership(storefront.storeId, invitee.userId)
+  if (existing && existing.status === 'active') {
+    throw createError(409, 'This user is already on the storefront staff')
+  }
+
+  const membership = {
+    storeId: storefront.storeId,
+    userId: invitee.userId,
+    email: invitee.email,
+    name: invitee.name,
+    role,
+    status: 'invited',
+    invitedBy,
+    invitedAt: new Date().toISOString(),
+  }
+  await docClient.send(
+    new PutCommand({
+      TableName: STOREFRONT_STAFF_TABLE,
+      Item: membership,
+    })
+  )
+
+  // For now, we just log (like the subscriber notifications)
+  console.log('Would send staff invitation email to', invitee.email, 'for storefront', storefront.storeId)
+
+  return membership
+}
+
+// Public: accept a pending invitation; throws 404 if there isn't one
+const acceptInvitation = async (storeId, userId) => {
+  try {
+    const result = await docClient.send(
+      new UpdateCommand({
+        TableName: STOREFRONT_STAFF_TABLE,
+        Key: { storeId, userId },
+        UpdateExpression: 'SET #status = :active, acceptedAt = :now',
+        ConditionExpression: '#status = :invited',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: { ':active': 'active', ':invited': 'invited', ':now': new Date().toISOString() },
+        ReturnValues: 'ALL_NEW',
+      })
+    )
+    return result.Attributes
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      throw createError(404, 'No pending invitation for this storefront')
+    }
+    throw error
+  }
+}
+
+// Public: remove a staff member or cancel an invitation; returns the removed record or null
+const removeStaff = async (storeId, userId) => {
+  const result = await docClient.send(
+    new DeleteCommand({
+      TableName: STOREFRONT_STAFF_TABLE,
+      Key: { storeId, userId },
+      ReturnValues: 'ALL_OLD',
+    })
+  )
+  return result.Attributes || null
+}
+
+module.exports = {
+  STAFF_ROLES,
+  getMembership,
+  hasStorefrontPermission,
+  assertStorefrontPermission,
+  listStaff,
+  listMemberships,
+  inviteStaff,
+  acceptInvitation,
+  removeStaff,
+}
@@ -0,0 +1,629 @@
+const crypto = require('crypto')
+const { docClient } = require('../utils/dynamodb')
+const { GetCommand, PutCommand, QueryCommand, ScanCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb')
+const { v4: uuidv4 } = require('uuid')
+const { queryIndexOrScan, encodePageToken, decodePageToken } = require('../utils/dynamoPagination')
+const { isStorefrontVisible, isListingVisible } = require('../utils/visibility')
+const { validateAvailability, getAvailabilityStatus } = require('../utils/availability')
+const { sendSms } = require('../utils/sns')
+const { canEmailSubscriber } = require('./subscriptionService')
+
+const USERS_TABLE = process.env.USERS_TABLE || 'UsersTable'
+const STOREFRONTS_TABLE = process.env.STOREFRONTS_TABLE || 'StorefrontsTable'
+const ITEMS_TABLE = process.env.ITEMS_TABLE || 'ItemsTable'
+const STOREFRONT_SLUGS_TABLE = process.env.STOREFRONT_SLUGS_TABLE || 'StorefrontSlugsTable'
+const SUBSCRIPTIONS_TABLE = process.env.SUBSCRIPTIONS_TABLE || 'SubscriptionsTable'
+const DEFAULT_DIRECTORY_PAGE_SIZE = 20
+const MAX_DIRECTORY_PAGE_SIZE = 100
+const MAX_SLUG_LENGTH = 60
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/
+// Numbered suffixes tried for a taken name-based slug before falling back to a random one
+const NUMBERED_SLUG_ATTEMPTS = 5
+
+const createError = (statusCode, message) => {
+  const err = new Error(message)
+  err.statusCode = statusCode
+  return err
+}
+
+// Mark a storefront as archived so it stops showing up publicly
+const archiveRecord = (TableName, Key, now) =>
+  docClient.send(
+    new UpdateCommand({
+      TableName,
+      Key,
+      UpdateExpression: 'SET #status = :archived, archivedAt = :now, updatedAt = :now',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: { ':archived': 'archived', ':now': now },
+    })
+  )
+
+// Public: load a storefront record, or null if it doesn't exist
+const getStorefront = async (storeId) => {
+  const result = await docClient.send(
+    new GetCommand({
+      TableName: STOREFRONTS_TABLE,
+      Key: { storeId },
+    })
+  )
+  return result.Item || null
+}
+
+// Archive one of a storefront's listings, following up like any other status change (itemsCount,
+// search index). Listings an admin has taken down keep that status. Returns whether it was archived.
+const archiveListing = async (item, now) => {
+  let before
+  try {
+    const result = await docClient.send(
+      new UpdateCommand({
+        TableName: ITEMS_TABLE,
+        Key: { id: item.id },
+        UpdateExpression: 'SET #status = :archived, archivedAt = :now, updatedAt = :now',
+        ConditionExpression: 'attribute_exists(id) AND (attribute_not_exists(#status) OR #status <> :takenDown)',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: { ':archived': 'archived', ':takenDown': 'taken_down', ':now': now },
+        ReturnValues: 'ALL_OLD',
+      })
+    )
+    before = result.Attributes
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') return false
+    throw error
+  }
+
+  // Required here rather than at the top: listingService requires this module
+  const { applyListingChange } = require('./listingService')
+  await applyListingChange(before, { ...before, status: 'archived', archivedAt: now, updatedAt: now })
+  return true
+}
+
+/**
+ * Public: archive a storefront and every listing in it
+ * Safe to re-run; listings are archived first so a partial failure never leaves
+ * an archived store with live listings. Taken-down listings stay taken down.
+ * @returns {Promise<{ archivedListings: number }>}
+ */
+const archiveStorefront = async (storeId) => {
+  const now = new Date().toISOString()
+  const items = await queryIndexOrScan({
+    TableName: ITEMS_TABLE,
+    IndexName: 'StoreIdIndex',
+    attribute: 'storeId',
+    value: storeId,
+  })
+  let archivedListings = 0
+  for (const item of items) {
+    if (await archiveListing(item, now)) archivedListings += 1
+  }
+  await archiveRecord(STOREFRONTS_TABLE, { storeId }, now)
+  return { archivedListings }
+}
+
+// Public: set hasStorefront on the owner's user record from the storefronts they still have open
+const refreshHasStorefront = async (userId) => {
+  const storefronts = await queryIndexOrScan({
+    TableName: STOREFRONTS_TABLE,
+    IndexName: 'OwnerIndex',
+    attribute: 'owner',
+    value: userId,
+  })
+  const hasStorefront = storefronts.some((storefront) => storefront.status !== 'archived')
+
+  await docClient.send(
+    new UpdateCommand({
+      TableName: USERS_TABLE,
+      Key: { userId },
+      UpdateExpression: 'SET hasStorefront = :hasStorefront',
+      ConditionExpression: 'attribute_exists(userId)',
+      ExpressionAttributeValues: { ':hasStorefront': hasStorefront },
+    })
+  )
+  return hasStorefront
+}
+
+// 409 for a storefront that is on vacation or outside its opening hours
+const unavailableError = (storefront, availability) => {
+  const name = storefront.name || 'This storefront'
+  let message
+  if (availability.status === 'vacation') {
+    message = availability.returnDate
+      ? `${name} is on vacation until ${availability.returnDate} and is not accepting orders`
+      : `${name} is on vacation and is not accepting orders`
+  } else {
+    message = availability.nextOpen
+      ? `${name} is closed right now and opens ${availability.nextOpen.day} at ${availability.nextOpen.time} (${availability.timezone})`
+      : `${name} is closed right now`
+  }
+  const err = createError(409, message)
+  err.code = 'STOREFRONT_UNAVAILABLE'
+  err.availability = availability
+  return err
+}
+
+/**
+ * Public: throw unless the storefront is taking new cart items and orders
+ * 404 for a missing (or unknown) storefront, 409 for a closed or unavailable one.
+ */
+const assertStorefrontOpen = async (storeId) => {
+  const storefront = storeId ? await getStorefront(storeId) : null
+  if (!storefront) {
+    throw createError(404, 'Storefront not found')
+  }
+  if (!isStorefrontVisible(storefront)) {
+    throw createError(409, 'This storefront is closed and is not accepting orders')
+  }
+  const availability = getAvailabilityStatus(storefront)
+  if (availability.status !== 'open') {
+    throw unavailableError(storefront, availability)
+  }
+}
+
+// Tell a storefront's subscribers it is back from vacation (same channels as new-listing alerts)
+const notifySubscribersOfReopen = async (storefront) => {
+  try {
+    const result = await docClient.send(
+      new QueryCommand({
+        TableName: SUBSCRIPTIONS_TABLE,
+        KeyConditionExpression: 'storeId = :storeId',
+        ExpressionAttributeValues: { ':storeId': storefront.storeId },
+      })
+    )
+
+    const message = `${storefront.name} is back from vacation and taking orders again`
+    for (const sub of result.Items || []) {
+      if (await canEmailSubscriber(sub)) {
+        console.log('Would send email notification to', sub.buyerEmail)
+      }
+      if (sub.notifySms && sub.phoneNumber) {
+        try {
+          await sendSms(sub.phoneNumber, message)
+        } catch (smsError) {
+          console.error('Failed to send SMS to', sub.phoneNumber, smsError)
+        }
+      }
+    }
+  } catch (error) {
+    console.error('Error notifying subscribers of reopen:', error)
+  }
+}
+
+/**
+ * Public: replace a storefront's availability setting (see utils/availability.js)
+ * Going on vacation keeps any weekly hours for afterwards; ending a vacation restores them and,
+ * if the seller asked for it, notifies subscribers that the store has reopened.
+ * @returns {Promise<object>} the updated storefront
+ */
+const setStorefrontAvailability = async (storefront, input) => {
+  const validationError = validateAvailability(input)
+  if (validationError) {
+    throw createError(400, validationError)
+  }
+
+  const current = storefront.availability || { mode: 'open' }
+  let availability
+  if (input.mode === 'vacation') {
+    const resumeHours = current.mode === 'hours' ? current : current.resumeHours
+    availability = {
+      mode: 'vacation',
+      returnDate: input.returnDate,
+      message: input.message,
+      notifyOnReopen: input.notifyOnReopen || false,
+      resumeHours: resumeHours && { timezone: resumeHours.timezone, weeklyHours: resumeHours.weeklyHours },
+    }
+  } else if (input.mode === 'hours') {
+    availability = { mode: 'hours', timezone: input.timezone, weeklyHours: input.weeklyHours }
+  } else {
+    availability = { mode: 'open' }
+  }
+  // DynamoDB rejects undefined attribute values
+  Object.keys(availability).forEach((key) => availability[key] === undefined && delete availability[key])
+
+  const result = await docClient.send(
+    new UpdateCommand({
+      TableName: STOREFRONTS_TABLE,
+      Key: { storeId: storefront.storeId },
+      UpdateExpression: 'SET availability = :availability, updatedAt = :now',
+      ConditionExpression: 'attribute_exists(storeId)',
+      ExpressionAttributeValues: { ':availability': availability, ':now': new Date().toISOString() },
+      ReturnValues: 'ALL_NEW',
+    })
+  )
+
+  if (current.mode === 'vacation' && input.mode !== 'vacation' && current.notifyOnReopen) {
+    await notifySubscribersOfReopen(result.Attributes)
+  }
+
+  return result.Attributes
+}
+
+/**
+ * Public: end a vacation whose return date has passed (run by scripts/end-storefront-vacations.js)
+ * Restores the storefront's weekly hours if it had them, otherwise opens it.
+ */
+const endStorefrontVacation = (storefront) => {
+  const { resumeHours } = storefront.availability || {}
+  return setStorefrontAvailability(storefront, resumeHours ? { mode: 'hours', ...resumeHours } : { mode: 'open' })
+}
+
+/**
+ * Public: add delta to the storefront's stored itemsCount
+ * Counting failures are logged rather than thrown, so they never fail the listing write;
+ * the backfill script (npm run backfill:storefront-counts) repairs any drift.
+ */
+const adjustItemsCount = async (storeId, delta) => {
+  if (!storeId) return
+  try {
+    await docClient.send(
+      new UpdateCommand({
+        TableName: STOREFRONTS_TABLE,
+        Key: { storeId },
+        UpdateExpression: 'SET itemsCount = if_not_exists(itemsCount, :zero) + :delta',
+        ConditionExpression: 'attribute_exists(storeId)',
+        ExpressionAttributeValues: { ':zero': 0, ':delta': delta },
+      })
+    )
+  } catch (error) {
+    console.warn(`Failed to update itemsCount for storefront ${storeId}:`, error.message)
+  }
+}
+
+const averageOf = (sum, count) => (count ? Math.round((sum / count) * 100) / 100 : 0)
+
+/**
+ * Public: store a storefront's rating totals (used by the ratings backfill script)
+ * @param {{ sum: number, count: number }} totals
+ */
+const setStorefrontRating = (storeId, { sum, count }) =>
+  docClient.send(
+    new UpdateCommand({
+      TableName: STOREFRONTS_TABLE,
+      Key: { storeId },
+      UpdateExpression: 'SET ratingSum = :sum, ratingCount = :count, averageRating = :average',
+      ConditionExpression: 'attribute_exists(storeId)',
+      ExpressionAttributeValues: { ':sum': sum, ':count': count, ':average': averageOf(sum, count) },
+    })
+  )
+
+/**
+ * Public: add a new review's rating to the storefront's running totals
+ * The sum and count are added atomically; averageRating is then set from the returned totals,
+ * skipped if another review has landed in between (that review's update sets it instead).
+ * Failures are logged rather than thrown; npm run backfill:storefront-ratings repairs drift.
+ */
+const recordStorefrontRating = async (storeId, rating) => {
+  if (!storeId || storeId === 'default-store') return
+  try {
+    const result = await docClient.send(
+      new UpdateCommand({
+        TableName: STOREFRONTS_TABLE,
+        Key: { storeId },
+        UpdateExpression: 'ADD ratingSum :rating, ratingCount :one',
+        ConditionExpression: 'attribute_exists(storeId)',
+        ExpressionAttributeValues: { ':rating': rating, ':one': 1 },
+        ReturnValues: 'UPDATED_NEW',
+      })
+    )
+    const { ratingSum, ratingCount } = result.Attributes
+    await docClient.send(
+      new UpdateCommand({
+        TableName: STOREFRONTS_TABLE,
+        Key: { storeId },
+        UpdateExpression: 'SET averageRating = :average',
+        ConditionExpression: 'ratingCount = :count',
+        ExpressionAttributeValues: { ':average': averageOf(ratingSum, ratingCount), ':count': ratingCount },
+      })
+    )
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') return
+    console.warn(`Failed to update rating for storefront ${storeId}:`, error.message)
+  }
+}
+
+// Public: count a storefront's published listings directly (used by the backfill script)
+const countStorefrontItems = async (storeId) => {
+  const items = await queryIndexOrScan({
+    TableName: ITEMS_TABLE,
+    IndexName: 'StoreIdIndex',
+    attribute: 'storeId',
+    value: storeId,
+  })
+  return items.filter(isListingVisible).length
+}
+
+// The directory is read from one GSI per sort order. Their partition key `directory` is one of
+// DIRECTORY_SHARDS values (`all#0` ...), picked from the storeId, so directory reads and writes
+// are spread over several partitions instead of one hot one. A page merges ordered Queries of
+// every shard, each picking up from where the last page left it.
+// Changing DIRECTORY_SHARDS moves storefronts between shards: re-run the directory backfill.
+const DIRECTORY_SHARDS = 8
+const DIRECTORY_INDEXES = {
+  newest: { IndexName: 'DirectoryNewestIndex', sortKey: 'createdAt' },
+  items: { IndexName: 'DirectoryItemsIndex', sortKey: 'itemsCount' },
+  rating: { IndexName: 'DirectoryRatingIndex', sortKey: 'averageRating' },
+}
+
+const directoryShard = (storeId) =>
+  `all#${crypto.createHash('md5').update(String(storeId)).digest().readUInt32BE(0) % DIRECTORY_SHARDS}`
+
+/**
+ * Public: the attributes that place a storefront in the directory indexes and name search
+ * Set on create and whenever the name changes.
+ */
+const directoryFields = (storeId, name) => ({
+  directory: directoryShard(storeId),
+  nameLower: String(name || '').toLowerCase(),
+})
+
+/**
+ * Read the directory in the sort's order from every shard of its GSI, until there is one
+ * storefront past the page (so we know there is a next one)
+ * positions holds, per shard, the key to carry on from (undefined to start, null once read to
+ * the end); the returned positions are those just after the page's last storefront.
+ */
+const readDirectoryShards = async (index, filter, positions, pageSize) => {
+  const shards = Array.from({ length: DIRECTORY_SHARDS }, (_, i) => {
+    const shard = `all#${i}`
+    return { shard, position: positions[shard], buffer: [], lastKey: positions[shard] }
+  })
+  const keyOf = (item) => ({ storeId: item.storeId, directory: item.directory, [index.sortKey]: item[index.sortKey] })
+
+  // Make sure a shard has a storefront buffered, unless it has been read to the end
+  const fill = async (shard) => {
+    while (shard.buffer.length === 0 && shard.lastKey !== null) {
+      const result = await docClient.send(
+        new QueryCommand({
+          TableName: STOREFRONTS_TABLE,
+          IndexName: index.IndexName,
+          KeyConditionExpression: '#directory = :directory',
+          ScanIndexForward: false,
+          ExclusiveStartKey: shard.lastKey,
+          Limit: pageSize + 1,
+          ...filter,
+          ExpressionAttributeNames: { ...filter.ExpressionAttributeNames, '#directory': 'directory' },
+          ExpressionAttributeValues: { ...filter.ExpressionAttributeValues, ':directory': shard.shard },
+        })
+      )
+      shard.buffer = result.Items || []
+      shard.lastKey = result.LastEvaluatedKey || null
+      // Storefronts the filter dropped are behind us too
+      if (shard.buffer.length === 0) shard.position = shard.lastKey
+    }
+  }
+
+  const storefronts = []
+  let pagePositions = null
+  while (storefronts.length <= pageSize) {
+    for (const shard of shards) await fill(shard)
+    // The next storefront overall is the first of whichever shard's comes first in the sort
+    let next = null
+    for (const shard of shards) {
+      if (shard.buffer.length > 0 && (!next || shard.buffer[0][index.sortKey] > next.buffer[0][index.sortKey])) {
+        next = shard
+      }
+    }
+    if (!next) break
+
+    const storefront = next.buffer.shift()
+    next.position = next.buffer.length > 0 ? keyOf(storefront) : next.lastKey
+    if (!isStorefrontVisible(storefront)) continue
+    storefronts.push(storefront)
+    if (storefronts.length === pageSize) {
+      pagePositions = Object.fromEntries(shards.map((shard) => [shard.shard, shard.position]))
+    }
+  }
+
+  return {
+    storefronts,
+    nextToken: storefronts.length > pageSize ? encodePageToken({ shards: pagePositions }) : null,
+  }
+}
+
+// Without the sort's GSI: page through a table scan (unordered), one storefront past the page
+const scanDirectory = async (filter, startKey, pageSize) => {
+  const storefronts = []
+  do {
+    const result = await docClient.send(
+      new ScanCommand({ TableName: STOREFRONTS_TABLE, ExclusiveStartKey: startKey, ...filter })
+    )
+    for (const storefront of result.Items || []) {
+      if (isStorefrontVisible(storefront)) storefronts.push(storefront)
+    }
+    startKey = result.LastEvaluatedKey
+  } while (startKey && storefronts.length <= pageSize)
+
+  return {
+    storefronts,
+    nextToken:
+      storefronts.length > pageSize ? encodePageToken({ storeId: storefronts[pageSize - 1].storeId }) : null,
+  }
+}
+
+/**
+ * Public: one page of the public storefront directory
+ * Merges the sort's GSI shards from the previous page's positions until the page is full,
+ * filtering out hidden storefronts, other categories and names without the prefix as it goes.
+ * nextToken wraps each shard's position after the last storefront returned.
+ * @param {{ category?: string, namePrefix?: string, sort?: 'newest'|'items'|'rating', limit?: number, nextToken?: string }} options
+ * @returns {Promise<{ storefronts: object[], nextToken: string|null }>}
+ */
+const listStorefrontDirectory = async ({ category, namePrefix, sort = 'newest', limit, nextToken } = {}) => {
+  const index = DIRECTORY_INDEXES[sort]
+  if (!index) {
+    throw createError(400, `sort must be one of: ${Object.keys(DIRECTORY_INDEXES).join(', ')}`)
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_DIRECTORY_PAGE_SIZE, 1), MAX_DIRECTORY_PAGE_SIZE)
+
+  const conditions = []
+  const filter = { ExpressionAttributeNames: {}, ExpressionAttributeValues: {} }
+  if (category) {
+    conditions.push('#category = :category')
+    filter.ExpressionAttributeNames['#category'] = 'category'
+    filter.ExpressionAttributeValues[':category'] = category
+  }
+  const prefix = namePrefix ? namePrefix.trim().toLowerCase() : ''
+  if (prefix) {
+    conditions.push('begins_with(#nameLower, :prefix)')
+    filter.ExpressionAttributeNames['#nameLower'] = 'nameLower'
+    filter.ExpressionAttributeValues[':prefix'] = prefix
+  }
+  if (conditions.length > 0) {
+    filter.FilterExpression = conditions.join(' AND ')
+  } else {
+    delete filter.ExpressionAttributeNames
+    delete filter.ExpressionAttributeValues
+  }
+
+  const token = decodePageToken(nextToken)
+  let result
+  try {
+    result = await readDirectoryShards(index, filter, token?.shards || {}, pageSize)
+  } catch (gsiError) {
+    console.warn(`${index.IndexName} GSI not found on ${STOREFRONTS_TABLE}, falling back to scan:`, gsiError.message)
+    result = await scanDirectory(filter, token?.shards ? undefined : token, pageSize)
+  }
+
+  const page = result.storefronts.slice(0, pageSize).map((storefront) => ({
+    ...storefront,
+    itemsCount: storefront.itemsCount || 0,
+    averageRating: storefront.averageRating || 0,
+    ratingCount: storefront.ratingCount || 0,
+  }))
+  return { storefronts: page, nextToken: result.nextToken }
+}
+
+// Turn a storefront name into a URL-safe slug ("Café Olé!" -> "cafe-ole")
+const slugify = (name) =>
+  String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/^-+|-+$/g, '') || 'store'
+
+// Public: null if a seller-chosen slug is acceptable, otherwise the reason it isn't
+const validateSlug = (slug) => {
+  if (typeof slug !== 'string' || slug.length < 3 || slug.length > MAX_SLUG_LENGTH) {
+    return `slug must be 3-${MAX_SLUG_LENGTH} characters`
+  }
+  if (!SLUG_PATTERN.test(slug)) {
+    return 'slug may only contain lowercase letters, numbers and single hyphens between them'
+  }
+  return null
+}
+
+/**
+ * Reserve a slug for a storefront in the slugs table
+ * The conditional write is what makes slugs unique: it fails if another storefront holds
+ * the slug. A storefront can always re-claim one of its own previous slugs.
+ * @returns {Promise<boolean>} false if the slug belongs to another storefront
+ */
+const claimSlug = async (slug, storeId) => {
+  try {
+    await docClient.send(
+      new PutCommand({
+        TableName: STOREFRONT_SLUGS_TABLE,
+        Item: { slug, storeId, claimedAt: new Date().toISOString() },
+        ConditionExpression: 'attribute_not_exists(slug) OR storeId = :storeId',
+        ExpressionAttributeValues: { ':storeId': storeId },
+      })
+    )
+    return true
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') return false
+    throw error
+  }
+}
+
+/**
+ * Public: claim a unique slug generated from the storefront name
+ * Tries "name", then "name-2" ... "name-6", then "name-<random>" until one is free.
+ * @returns {Promise<string>}
+ */
+const claimSlugFromName = async (name, storeId) => {
+  const base = slugify(name)
+  for (let attempt = 1; attempt <= NUMBERED_SLUG_ATTEMPTS + 1; attempt++) {
+    const suffix = attempt === 1 ? '' : `-${attempt}`
+    const slug = `${base.slice(0, MAX_SLUG_LENGTH - suffix.length)}${suffix}`
+    if (await claimSlug(slug, storeId)) return slug
+  }
+
+  for (;;) {
+    const suffix = `-${uuidv4().slice(0, 8)}`
+    const slug = `${base.slice(0, MAX_SLUG_LENGTH - suffix.length)}${suffix}`
+    if (await claimSlug(slug, storeId)) return slug
+  }
+}
+
+/**
+ * Public: move a storefront to a seller-chosen slug
+ * The old slug's record is kept pointing at the storefront, so links using it can be
+ * redirected (see resolveSlug) and nobody else can take it over.
+ * @returns {Promise<object>} the updated storefront
+ */
+const changeSlug = async (storefront, slug) => {
+  const validationError = validateSlug(slug)
+  if (validationError) {
+    throw createError(400, validationError)
+  }
+  if (storefront.slug === slug) return storefront
+
+  if (!(await claimSlug(slug, storefront.storeId))) {
+    throw createError(409, 'That slug is already taken')
+  }
+
+  const result = await docClient.send(
+    new UpdateCommand({
+      TableName: STOREFRONTS_TABLE,
+      Key: { storeId: storefront.storeId },
+      UpdateExpression: 'SET slug = :slug, updatedAt = :now',
+      ConditionExpression: 'attribute_exists(storeId)',
+      ExpressionAttributeValues: { ':slug': slug, ':now': new Date().toISOString() },
+      ReturnValues: 'ALL_NEW',
+    })
+  )
+  return result.Attributes
+}
+
+/**
+ * Public: look up a storefront by any slug it has used
+ * @returns {Promise<{ storefront: object, redirectTo: string|null }|null>} redirectTo is the
+ *   storefront's current slug when the requested one is an old slug; null if not found
+ */
+const resolveSlug = async (slug) => {
+  const result = await docClient.send(
+    new GetCommand({
+      TableName: STOREFRONT_SLUGS_TABLE,
+      Key: { slug },
+    })
+  )
+  if (!result.Item) return null
+
+  const storefront = await getStorefront(result.Item.storeId)
+  if (!storefront) return null
+
+  return {
+    storefront,
+    redirectTo: storefront.slug && storefront.slug !== slug ? storefront.slug : null,
+  }
+}
+
+module.exports = {
+  getStorefront,
+  archiveStorefront,
+  refreshHasStorefront,
+  assertStorefrontOpen,
+  setStorefrontAvailability,
+  endStorefrontVacation,
+  adjustItemsCount,
+  countStorefrontItems,
+  setStorefrontRating,
+  recordStorefrontRating,
+  listStorefrontDirectory,
+  directoryFields,
+  validateSlug,
+  claimSlugFromName,
+  changeSlug,
+  resolveSlug,
+}
@@ -0,0 +1,48 @@
+const { docClient } = require('../utils/dynamodb')
+const { GetCommand } = require('@aws-sdk/lib-dynamodb')
+const { queryIndexOrScan } = require('../utils/dynamoPagination')
+
+// Email notifications only go to addresses buyers have verified. The UsersTable record is the
+// source of truth: ID tokens carry email_verified but access tokens don't.
+const USERS_TABLE = process.env.USERS_TABLE || 'UsersTable'
+
+// Records from before verification existed have no `verified` flag and count as verified
+const isVerifiedAddress = (record, email) => !!record && record.email === email && record.verified !== false
+
+// Public: whether the user's current, verified email address is this one
+const hasVerifiedEmail = async (userId, email) => {
+  const result = await docClient.send(
+    new GetCommand({
+      TableName: USERS_TABLE,
+      Key: { userId },
+      ProjectionExpression: 'email, verified',
+    })
+  )
+  return isVerifiedAddress(result.Item, email)
+}
+
+/**
+ * Public: whether a subscription's email notifications can be sent
+ * False when the subscriber turned them off, hasn't verified the address, or no longer uses it.
+ * Subscriptions from before userId was stored on them are matched by email.
+ */
+const canEmailSubscriber = async (subscription) => {
+  if (subscription.notifyEmail === false || !subscription.buyerEmail) return false
+  try {
+    if (subscription.userId) {
+      return await hasVerifiedEmail(subscription.userId, subscription.buyerEmail)
+    }
+    const [record] = await queryIndexOrScan({
+      TableName: USERS_TABLE,
+      IndexName: 'EmailIndex',
+      attribute: 'email',
+      value: subscription.buyerEmail,
+    })
+    return isVerifiedAddress(record, subscription.buyerEmail)
+  } catch (error) {
+    console.warn('Could not check subscriber email', subscription.buyerEmail, error.message)
+    return false
+  }
+}
+
+module.exports = { hasVerifiedEmail, canEmailSubscriber }
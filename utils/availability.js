@@ -0,0 +1,134 @@
+// Storefront availability settings (storefront.availability); storefronts without one are open
+//   { mode: 'open' }
+//   { mode: 'vacation', returnDate?, message?, notifyOnReopen?, resumeHours? }
+//   { mode: 'hours', timezone: 'Europe/London', weeklyHours: { mon: [{ open: '09:00', close: '17:00' }], ... } }
+// resumeHours keeps a seller's weekly hours while they're on vacation so they come back afterwards.
+const AVAILABILITY_MODES = ['open', 'vacation', 'hours']
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']
+const TIME_PATTERN = /^(?:[01]\d|2[0-3]):[0-5]\d$|^24:00$/
+const MAX_VACATION_MESSAGE_LENGTH = 500
+
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || !timezone) return false
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone })
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+// Weekday ('mon') and 24h time ('09:30') of an instant in a timezone
+const localDayAndTime = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date)
+  const part = (type) => parts.find((p) => p.type === type).value
+  return { day: part('weekday').slice(0, 3).toLowerCase(), time: `${part('hour')}:${part('minute')}` }
+}
+
+const validateWeeklyHours = (weeklyHours) => {
+  if (!weeklyHours || typeof weeklyHours !== 'object' || Array.isArray(weeklyHours)) {
+    return `weeklyHours must be an object keyed by day (${DAYS.join(', ')})`
+  }
+  let periods = 0
+  for (const [day, ranges] of Object.entries(weeklyHours)) {
+    if (!DAYS.includes(day)) {
+      return `Unknown day "${day}" in weeklyHours; use ${DAYS.join(', ')}`
+    }
+    if (!Array.isArray(ranges)) {
+      return `weeklyHours.${day} must be a list of { open, close } times`
+    }
+    for (const range of ranges) {
+      if (!range || !TIME_PATTERN.test(range.open) || !TIME_PATTERN.test(range.close) || range.open >= range.close) {
+        return `weeklyHours.${day} times must be "HH:MM" (24h) with open before close`
+      }
+      periods += 1
+    }
+  }
+  if (periods === 0) {
+    return 'weeklyHours must include at least one opening period'
+  }
+  return null
+}
+
+// Public: null if an availability setting from a seller is acceptable, otherwise the reason it isn't
+const validateAvailability = (availability, now = new Date()) => {
+  if (!availability || !AVAILABILITY_MODES.includes(availability.mode)) {
+    return `mode must be one of: ${AVAILABILITY_MODES.join(', ')}`
+  }
+
+  if (availability.mode === 'vacation') {
+    const { returnDate, message, notifyOnReopen } = availability
+    if (returnDate !== undefined && (isNaN(Date.parse(returnDate)) || Date.parse(returnDate) <= now.getTime())) {
+      return 'returnDate must be a future date (ISO 8601)'
+    }
+    if (message !== undefined && (typeof message !== 'string' || message.length > MAX_VACATION_MESSAGE_LENGTH)) {
+      return `message must be a string of at most ${MAX_VACATION_MESSAGE_LENGTH} characters`
+    }
+    if (notifyOnReopen !== undefined && typeof notifyOnReopen !== 'boolean') {
+      return 'notifyOnReopen must be a boolean'
+    }
+  }
+
+  if (availability.mode === 'hours') {
+    if (!isValidTimezone(availability.timezone)) {
+      return 'timezone must be an IANA time zone such as "America/Vancouver"'
+    }
+    return validateWeeklyHours(availability.weeklyHours)
+  }
+
+  return null
+}
+
+// First opening time after the given local day/time, within the next week
+const nextOpening = (weeklyHours, { day, time }) => {
+  const today = DAYS.indexOf(day)
+  for (let offset = 0; offset <= 7; offset++) {
+    const nextDay = DAYS[(today + offset) % 7]
+    const opens = (weeklyHours[nextDay] || [])
+      .map((range) => range.open)
+      .sort()
+      .find((open) => offset > 0 || open > time)
+    if (opens) return { day: nextDay, time: opens }
+  }
+  return null
+}
+
+const hoursStatus = ({ timezone, weeklyHours }, now) => {
+  const local = localDayAndTime(now, timezone)
+  const isOpen = (weeklyHours[local.day] || []).some((range) => range.open <= local.time && local.time < range.close)
+  if (isOpen) {
+    return { status: 'open', timezone }
+  }
+  return { status: 'closed', timezone, nextOpen: nextOpening(weeklyHours, local) }
+}
+
+/**
+ * Public: whether a storefront is taking orders right now
+ * A vacation whose returnDate has passed counts as over even before the seller (or the
+ * end-storefront-vacations script) switches it off.
+ * @returns {{ status: 'open'|'vacation'|'closed', returnDate?: string, message?: string, timezone?: string, nextOpen?: { day: string, time: string } }}
+ */
+const getAvailabilityStatus = (storefront, now = new Date()) => {
+  const availability = storefront.availability
+  if (!availability || availability.mode === 'open') {
+    return { status: 'open' }
+  }
+
+  if (availability.mode === 'vacation') {
+    const returned = availability.returnDate && Date.parse(availability.returnDate) <= now.getTime()
+    if (!returned) {
+      return { status: 'vacation', returnDate: availability.returnDate, message: availability.message }
+    }
+    return availability.resumeHours ? hoursStatus(availability.resumeHours, now) : { status: 'open' }
+  }
+
+  return hoursStatus(availability, now)
+}
+
+module.exports = { validateAvailability, getAvailabilityStatus }
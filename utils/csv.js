@@ -0,0 +1,59 @@
+// A small CSV reader (RFC 4180): comma-separated, fields optionally in double quotes, "" for a
+// quote inside a quoted field, quoted fields may span lines, CRLF or LF line endings. Spreadsheet
+// exports (Excel, Google Sheets, Shopify, Etsy) all write this.
+
+/**
+ * Public: the rows of a CSV document, each a list of field strings
+ * A leading byte-order mark and a trailing newline are ignored.
+ * @throws if a quoted field is never closed
+ */
+const parseCsv = (text) => {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+  let i = 0
+
+  while (i < input.length) {
+    const char = input[i]
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"'
+        i += 2
+        continue
+      }
+      if (char === '"') quoted = false
+      else field += char
+      i++
+      continue
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+      if (char === '\r' && input[i + 1] === '\n') i++
+    } else {
+      field += char
+    }
+    i++
+  }
+
+  if (quoted) {
+    throw new Error('A quoted field is never closed')
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+  return rows
+}
+
+module.exports = { parseCsv }
@@ -0,0 +1,67 @@
+const { docClient } = require('./dynamodb')
+const { QueryCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb')
+
+// Run a Query to completion, following LastEvaluatedKey
+const queryAll = async (params) => {
+  const items = []
+  let lastEvaluatedKey
+  do {
+    const result = await docClient.send(new QueryCommand({ ...params, ExclusiveStartKey: lastEvaluatedKey }))
+    items.push(...(result.Items || []))
+    lastEvaluatedKey = result.LastEvaluatedKey
+  } while (lastEvaluatedKey)
+  return items
+}
+
+// Run a Scan to completion, following LastEvaluatedKey
+const scanAll = async (params) => {
+  const items = []
+  let lastEvaluatedKey
+  do {
+    const result = await docClient.send(new ScanCommand({ ...params, ExclusiveStartKey: lastEvaluatedKey }))
+    items.push(...(result.Items || []))
+    lastEvaluatedKey = result.LastEvaluatedKey
+  } while (lastEvaluatedKey)
+  return items
+}
+
+// Query a GSI to completion, falling back to a filtered scan if the index doesn't exist
+const queryIndexOrScan = async ({ TableName, IndexName, attribute, value }) => {
+  const ExpressionAttributeNames = { '#attr': attribute }
+  const ExpressionAttributeValues = { ':value': value }
+  try {
+    return await queryAll({
+      TableName,
+      IndexName,
+      KeyConditionExpression: '#attr = :value',
+      ExpressionAttributeNames,
+      ExpressionAttributeValues,
+    })
+  } catch (gsiError) {
+    console.warn(`${IndexName} GSI not found on ${TableName}, falling back to scan:`, gsiError.message)
+    return scanAll({
+      TableName,
+      FilterExpression: '#attr = :value',
+      ExpressionAttributeNames,
+      ExpressionAttributeValues,
+    })
+  }
+}
+
+// Opaque page tokens for API clients, wrapping DynamoDB's LastEvaluatedKey
+const encodePageToken = (lastEvaluatedKey) =>
+  lastEvaluatedKey ? Buffer.from(JSON.stringify(lastEvaluatedKey)).toString('base64url') : null
+
+// Returns undefined for a missing token and throws a 400-style error for a malformed one
+const decodePageToken = (token) => {
+  if (!token) return undefined
+  try {
+    return JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'))
+  } catch (error) {
+    const err = new Error('Invalid nextToken')
+    err.statusCode = 400
+    throw err
+  }
+}
+
+module.exports = { queryAll, scanAll, queryIndexOrScan, encodePageToken, decodePageToken }
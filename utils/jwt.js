@@ -1,54 +1,27 @@
 const jwt = require('jsonwebtoken')
-const https = require('https')
-
-// Cache for Cognito public keys
-let cognitoPublicKeys = {}
-let keysExpiry = 0
-
-/**
- * Fetch Cognito public keys for token verification
- */
-async function getCognitoPublicKeys() {
-  const now = Date.now()
-  if (cognitoPublicKeys && keysExpiry > now) {
-    return cognitoPublicKeys // Return cached keys
-  }
-
-  return new Promise((resolve, reject) => {
-    const region = process.env.AWS_REGION || 'us-west-2'
-    const userPoolId = process.env.COGNITO_USER_POOL_ID
-
-    if (!userPoolId) {
-      reject(new Error('COGNITO_USER_POOL_ID not set'))
-      return
-    }
-
-    const url = `https://cognito-idp.${region}.amazonaws.com/${userPoolId}/.well-known/jwks.json`
-
-    https.get(url, (res) => {
-      let data = ''
-      res.on('data', (chunk) => {
-        data += chunk
-      })
-      res.on('end', () => {
-        try {
-          const keys = JSON.parse(data).keys
-          cognitoPublicKeys = {}
-          keys.forEach((key) => {
-            cognitoPublicKeys[key.kid] = key
-          })
-          keysExpiry = now + 3600000 // Cache for 1 hour
-          resolve(cognitoPublicKeys)
-        } catch (err) {
-          reject(err)
-        }
-      })
-    }).on('error', reject)
-  })
+const { GetCommand } = require('@aws-sdk/lib-dynamodb')
+const { docClient } = require('./dynamodb')
+const { isTokenRevoked } = require('./tokenRevocation')
+const { getIdentityProvider } = require('../services/identity')
+const { groupsToRoles } = require('./roles')
+
+const USERS_TABLE = process.env.USERS_TABLE || 'UsersTable'
+
+// Whether an admin has suspended the user. Read from UsersTable on every request: revocation
+// markers expire and may only live in one process, but the flag holds until reinstatement.
+const isUserSuspended = async (userId) => {
+  const result = await docClient.send(
+    new GetCommand({
+      TableName: USERS_TABLE,
+      Key: { userId },
+      ProjectionExpression: 'suspended',
+    })
+  )
+  return !!result.Item?.suspended
 }
 
 /**
- * Verify Cognito JWT token and extract user info
+ * Verify a Cognito (or local identity provider) JWT token and extract user info
  * Token should be in Authorization header as "Bearer <token>"
  */
 const verifyToken = async (req) => {
@@ -67,7 +40,7 @@ const verifyToken = async (req) => {
     }
 
     const kid = decoded.header.kid
-    const publicKeys = await getCognitoPublicKeys()
+    const publicKeys = await getIdentityProvider().getPublicKeys()
     const publicKey = publicKeys[kid]
 
     if (!publicKey) {
@@ -86,16 +59,42 @@ const verifyToken = async (req) => {
       return null
     }
 
+    // Local refresh tokens are signed with the same key but are not bearer tokens
+    if (verified.token_use === 'refresh') {
+      return null
+    }
+
+    // Reject tokens that were signed out server-side (see utils/tokenRevocation.js)
+    if (await isTokenRevoked(verified)) {
+      return null
+    }
+
+    const userId = verified.sub || verified['cognito:username'] // Should be the same value
+    if (await isUserSuspended(userId)) {
+      return null
+    }
+
     // Extract user info from token
     // Custom attributes are prefixed with 'custom:' in Cognito tokens
     // If not available, role will be fetched from DynamoDB when needed
     const role = verified['custom:role'] || undefined
-    
+
+    // Roles come from Cognito group membership; accounts created before groups were used
+    // only have the custom:role attribute
+    const groupRoles = groupsToRoles(verified['cognito:groups'])
+    const roles = groupRoles.length > 0 ? groupRoles : (role ? [role] : [])
+
     return {
-      userId: verified.sub || verified['cognito:username'], // Should be the same value
+      userId,
+      username: verified['cognito:username'] || verified.username, // The identity provider's username
       email: verified.email,
+      emailVerified: verified.email_verified, // only present on ID tokens
       name: verified.name,
-      role, 
+      role,
+      roles,
+      tokenUse: verified.token_use,
+      tokenId: verified.origin_jti || verified.jti,
+      tokenExpiresAt: verified.exp,
     }
   } catch (error) {
     console.error('Token verification error:', error.message)
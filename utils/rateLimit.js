@@ -0,0 +1,59 @@
+const { getRedisClient } = require('./redis')
+
+const redis = getRedisClient()
+
+// In-memory fallback when Redis is not configured (single process only)
+const memoryCounters = new Map()
+
+const rateLimitKey = (bucket, id) => `ratelimit:${bucket}:${id}`
+
+// Count a hit in memory, resetting the window once it has elapsed
+const hitMemoryCounter = (key, windowSeconds) => {
+  const now = Date.now()
+  const entry = memoryCounters.get(key)
+
+  if (!entry || entry.resetAt <= now) {
+    const fresh = { count: 1, resetAt: now + windowSeconds * 1000 }
+    memoryCounters.set(key, fresh)
+    return fresh
+  }
+
+  entry.count += 1
+  return entry
+}
+
+/**
+ * Record one hit against a fixed-window rate limit
+ * @param {string} bucket - Name of the limit, e.g. "forgot-password"
+ * @param {string} id - What the limit applies to, e.g. a lowercased email
+ * @param {number} limit - Max hits allowed per window
+ * @param {number} windowSeconds - Window length
+ * @returns {Promise<{ allowed: boolean, retryAfterSeconds: number }>}
+ */
+async function hitRateLimit(bucket, id, limit, windowSeconds) {
+  const key = rateLimitKey(bucket, id)
+
+  if (redis) {
+    try {
+      const count = await redis.incr(key)
+      if (count === 1) {
+        await redis.expire(key, windowSeconds)
+      }
+      const ttl = await redis.ttl(key)
+      return {
+        allowed: count <= limit,
+        retryAfterSeconds: ttl > 0 ? ttl : windowSeconds,
+      }
+    } catch (error) {
+      console.warn('Redis rate limit failed, falling back to memory:', error.message)
+    }
+  }
+
+  const entry = hitMemoryCounter(key, windowSeconds)
+  return {
+    allowed: entry.count <= limit,
+    retryAfterSeconds: Math.max(1, Math.ceil((entry.resetAt - Date.now()) / 1000)),
+  }
+}
+
+module.exports = { hitRateLimit }
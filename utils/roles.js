@@ -0,0 +1,33 @@
+// Roles map 1:1 onto Cognito user groups (see README: "Create Cognito User Groups")
+const ROLE_GROUPS = {
+  buyer: 'buyers',
+  seller: 'sellers',
+  admin: 'admins',
+}
+
+// Roles users can give themselves at registration or through POST /auth/roles
+// (admins are only added to the group by hand)
+const ROLES = ['buyer', 'seller']
+
+// Convert a `cognito:groups` claim into role names, ignoring groups that aren't roles
+const groupsToRoles = (groups) => {
+  if (!Array.isArray(groups)) return []
+  return Object.keys(ROLE_GROUPS).filter((role) => groups.includes(ROLE_GROUPS[role]))
+}
+
+// Convert role names into Cognito group names
+const rolesToGroups = (roles) => (roles || []).filter((role) => ROLE_GROUPS[role]).map((role) => ROLE_GROUPS[role])
+
+/**
+ * Check whether a user returned by verifyToken has a role
+ * Falls back to the legacy single `role` field for tokens without groups
+ */
+const hasRole = (user, role) => {
+  if (!user) return false
+  if (Array.isArray(user.roles) && user.roles.length > 0) {
+    return user.roles.includes(role)
+  }
+  return user.role === role
+}
+
+module.exports = { ROLE_GROUPS, ROLES, groupsToRoles, rolesToGroups, hasRole }
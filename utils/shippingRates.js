@@ -0,0 +1,101 @@
+// Storefront shipping profiles (storefront.shippingProfiles), each one a shipping option buyers can pick:
+//   { id, name, type: 'flat', rate }
+//   { id, name, type: 'free_over', rate, freeOver }                 free once the subtotal reaches freeOver
+//   { id, name, type: 'weight', tiers: [{ maxWeight, rate }, ...] } first tier the cart's weight (kg) fits
+//   { id, name, type: 'region', rates: { 'US-CA': 8, US: 10, '*': 25 } }  most specific match wins
+// Any profile can also list `countries` (ISO 3166-1 alpha-2) it is limited to.
+const SHIPPING_TYPES = ['flat', 'free_over', 'weight', 'region']
+const MAX_SHIPPING_PROFILES = 20
+const COUNTRY_PATTERN = /^[A-Z]{2}$/
+const REGION_KEY_PATTERN = /^(?:[A-Z]{2}(?:-[A-Z0-9]{1,3})?|\*)$/
+
+const isAmount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0
+
+const validateProfile = (profile, index) => {
+  const label = `shippingProfiles[${index}]`
+  if (!profile || typeof profile !== 'object') {
+    return `${label} must be an object`
+  }
+  if (typeof profile.name !== 'string' || profile.name.trim() === '') {
+    return `${label}.name is required`
+  }
+  if (!SHIPPING_TYPES.includes(profile.type)) {
+    return `${label}.type must be one of: ${SHIPPING_TYPES.join(', ')}`
+  }
+  if (
+    profile.countries !== undefined &&
+    (!Array.isArray(profile.countries) || !profile.countries.every((country) => COUNTRY_PATTERN.test(country)))
+  ) {
+    return `${label}.countries must be a list of two-letter country codes such as "US"`
+  }
+
+  switch (profile.type) {
+    case 'flat':
+      return isAmount(profile.rate) ? null : `${label}.rate must be a non-negative number`
+    case 'free_over':
+      if (!isAmount(profile.rate)) return `${label}.rate must be a non-negative number`
+      return isAmount(profile.freeOver) && profile.freeOver > 0 ? null : `${label}.freeOver must be a positive number`
+    case 'weight':
+      if (
+        !Array.isArray(profile.tiers) ||
+        profile.tiers.length === 0 ||
+        !profile.tiers.every((tier) => tier && isAmount(tier.maxWeight) && tier.maxWeight > 0 && isAmount(tier.rate))
+      ) {
+        return `${label}.tiers must be a non-empty list of { maxWeight, rate } with positive maxWeight (kg)`
+      }
+      return null
+    case 'region': {
+      const entries = profile.rates && typeof profile.rates === 'object' ? Object.entries(profile.rates) : []
+      if (entries.length === 0 || !entries.every(([key, rate]) => REGION_KEY_PATTERN.test(key) && isAmount(rate))) {
+        return `${label}.rates must map country codes ("US"), country-region codes ("US-CA") or "*" to non-negative rates`
+      }
+      return null
+    }
+    default:
+      return null
+  }
+}
+
+// Public: null if a list of shipping profiles from a seller is acceptable, otherwise the reason it isn't
+const validateShippingProfiles = (profiles) => {
+  if (!Array.isArray(profiles)) {
+    return 'shippingProfiles must be a list'
+  }
+  if (profiles.length > MAX_SHIPPING_PROFILES) {
+    return `A storefront can have at most ${MAX_SHIPPING_PROFILES} shipping profiles`
+  }
+  for (let i = 0; i < profiles.length; i++) {
+    const error = validateProfile(profiles[i], i)
+    if (error) return error
+  }
+  return null
+}
+
+/**
+ * Public: what one profile charges for a cart, or null if it can't ship it to the destination
+ * @param {{ subtotal: number, weight: number }} cart - subtotal in listing currency, weight in kg
+ * @param {{ country: string, region?: string }} destination - uppercase codes
+ */
+const rateForProfile = (profile, { subtotal, weight }, { country, region }) => {
+  if (profile.countries && !profile.countries.includes(country)) return null
+
+  switch (profile.type) {
+    case 'flat':
+      return profile.rate
+    case 'free_over':
+      return subtotal >= profile.freeOver ? 0 : profile.rate
+    case 'weight': {
+      const tier = [...profile.tiers].sort((a, b) => a.maxWeight - b.maxWeight).find((t) => weight <= t.maxWeight)
+      return tier ? tier.rate : null
+    }
+    case 'region': {
+      const keys = [region && `${country}-${region}`, country, '*'].filter(Boolean)
+      const key = keys.find((k) => profile.rates[k] !== undefined)
+      return key ? profile.rates[key] : null
+    }
+    default:
+      return null
+  }
+}
+
+module.exports = { validateShippingProfiles, rateForProfile }
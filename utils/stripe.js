@@ -0,0 +1,66 @@
+const Stripe = require('stripe')
+const { getSecret } = require('./secrets')
+
+// Currency listings are priced in and orders are charged in
+const ORDER_CURRENCY = (process.env.ORDER_CURRENCY || 'usd').toLowerCase()
+
+let stripeClient = null
+async function getStripeClient() {
+  if (!stripeClient) {
+    let key
+    try {
+      // Try to get from Secrets Manager
+      key = await getSecret('faasify-secrets', 'STRIPE_SECRET_KEY')
+    } catch (secretsError) {
+      // Fallback to environment variable
+      console.warn('Failed to get Stripe key from Secrets Manager, trying environment variable:', secretsError.message)
+      key = process.env.STRIPE_SECRET_KEY
+      if (!key) {
+        throw new Error('STRIPE_SECRET_KEY not found in secrets or environment variables')
+      }
+    }
+
+    if (!key) {
+      throw new Error('STRIPE_SECRET_KEY is required')
+    }
+
+    stripeClient = new Stripe(key, {
+      apiVersion: '2024-06-20',
+    })
+  }
+  return stripeClient
+}
+
+// Public: an amount in listing prices (e.g. dollars) as Stripe's minor unit (cents)
+const toMinorUnits = (amount) => Math.round(Number(amount) * 100)
+
+/**
+ * Whether a Stripe PaymentIntent has paid for an order: it succeeded, was created by the order's
+ * buyer for the order's total and currency, and names this order (or no order yet, when paying
+ * before the order is placed). That the intent hasn't paid for another order is checked when the
+ * payment is recorded (see inventoryService).
+ * Returns false (rather than throwing) if Stripe isn't configured or the intent can't be read,
+ * so the order just waits for payment.
+ * @param {string} paymentIntentId
+ * @param {{ id: string, userId: string, total: number, currency: string }} order
+ */
+async function isPaymentComplete(paymentIntentId, order) {
+  if (!paymentIntentId) return false
+  try {
+    const stripe = await getStripeClient()
+    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId)
+    const metadata = paymentIntent.metadata || {}
+    return (
+      paymentIntent.status === 'succeeded' &&
+      metadata.userId === order.userId &&
+      (!metadata.orderId || metadata.orderId === order.id) &&
+      paymentIntent.amount === toMinorUnits(order.total) &&
+      paymentIntent.currency === order.currency
+    )
+  } catch (error) {
+    console.warn('Could not check Stripe payment', paymentIntentId, error.message)
+    return false
+  }
+}
+
+module.exports = { getStripeClient, isPaymentComplete, toMinorUnits, ORDER_CURRENCY }
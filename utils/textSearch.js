@@ -0,0 +1,82 @@
+// Text helpers for listing search: tokenizing, a light English stemmer and bounded edit distance.
+// The same tokenize() runs on listings and on queries, so stems only need to agree with each other
+// ("candles", "candle" and "candled" all become "candl"), not be real words.
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'into', 'is', 'it',
+  'its', 'of', 'on', 'or', 'the', 'this', 'that', 'to', 'with',
+])
+const MIN_STEM_LENGTH = 3
+const VOWEL = /[aeiouy]/
+// Doubled final consonants left after removing -ing/-ed ("running" -> "runn" -> "run")
+const UNDOUBLE = /([bcdfgkmnprt])\1$/
+
+// Strip one suffix if what's left is a plausible stem
+const stripSuffix = (word, suffix, replacement = '') => {
+  if (!word.endsWith(suffix)) return null
+  const stem = word.slice(0, -suffix.length) + replacement
+  return stem.length >= MIN_STEM_LENGTH && VOWEL.test(stem) ? stem : null
+}
+
+// Public: reduce a lowercase word to its stem
+const stem = (word) => {
+  if (word.length <= MIN_STEM_LENGTH || /\d/.test(word)) return word
+
+  // Plurals
+  let result = word
+  if (word.endsWith('ies')) result = stripSuffix(word, 'ies', 'y') || word
+  else if (word.endsWith('sses')) result = word.slice(0, -2)
+  else if (!/(?:ss|us|is)$/.test(word) && word.endsWith('s')) result = stripSuffix(word, 's') || word
+
+  // Verb and adverb endings
+  for (const suffix of ['ing', 'ed', 'ly']) {
+    const stripped = stripSuffix(result, suffix)
+    if (stripped) {
+      result = suffix === 'ly' ? stripped : stripped.replace(UNDOUBLE, '$1')
+      break
+    }
+  }
+
+  // A final silent e ("handle" and "handled" both become "handl")
+  if (result.length > MIN_STEM_LENGTH && result.endsWith('e')) result = result.slice(0, -1)
+  return result
+}
+
+// Public: the stemmed search terms in some text, in order (stop words dropped, duplicates kept)
+const tokenize = (text) =>
+  String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word && !STOP_WORDS.has(word))
+    .map(stem)
+
+/**
+ * Public: Damerau-Levenshtein distance (with adjacent swaps), or null if it is more than maxDistance
+ * Stops early once every path is over the limit, so it is cheap to run across a whole vocabulary.
+ */
+const editDistance = (a, b, maxDistance) => {
+  if (Math.abs(a.length - b.length) > maxDistance) return null
+
+  let previousRow = null
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i]
+    let rowMin = i
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost)
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1)
+      }
+      nextRow.push(value)
+      rowMin = Math.min(rowMin, value)
+    }
+    if (rowMin > maxDistance) return null
+    previousRow = row
+    row = nextRow
+  }
+  return row[b.length] <= maxDistance ? row[b.length] : null
+}
+
+module.exports = { stem, tokenize, editDistance }
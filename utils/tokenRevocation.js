@@ -0,0 +1,100 @@
+const { getRedisClient } = require('./redis')
+
+const redis = getRedisClient()
+
+// How long a "sign out everywhere" marker is kept; must outlive the longest ID/access token
+const USER_REVOCATION_TTL_SECONDS = parseInt(process.env.USER_REVOCATION_TTL_SECONDS || '86400', 10)
+
+// In-memory fallback when Redis is not configured (single process only)
+const memoryRevocations = new Map()
+
+const tokenKey = (tokenId) => `revoked:token:${tokenId}`
+const userKey = (userId) => `revoked:user:${userId}`
+
+const memorySet = (key, value, ttlSeconds, keepLonger) => {
+  const expiresAt = Date.now() + ttlSeconds * 1000
+  if (keepLonger && memoryRevocations.get(key)?.expiresAt >= expiresAt) return
+  memoryRevocations.set(key, { value, expiresAt })
+}
+
+const memoryGet = (key) => {
+  const entry = memoryRevocations.get(key)
+  if (!entry) return null
+  if (entry.expiresAt <= Date.now()) {
+    memoryRevocations.delete(key)
+    return null
+  }
+  return entry.value
+}
+
+// keepLonger: leave an entry that already outlives ttlSeconds as it is, so a revocation is
+// never shortened (e.g. a refresh token's by the access token's shorter lifetime)
+const setRevocation = async (key, value, ttlSeconds, keepLonger = false) => {
+  const ttl = Math.max(1, Math.ceil(ttlSeconds))
+  if (redis) {
+    try {
+      if (keepLonger && (await redis.ttl(key)) >= ttl) return
+      await redis.set(key, String(value), 'EX', ttl)
+      return
+    } catch (error) {
+      console.warn('Redis revocation write failed, falling back to memory:', error.message)
+    }
+  }
+  memorySet(key, String(value), ttl, keepLonger)
+}
+
+const getRevocation = async (key) => {
+  if (redis) {
+    try {
+      return await redis.get(key)
+    } catch (error) {
+      console.warn('Redis revocation read failed, falling back to memory:', error.message)
+    }
+  }
+  return memoryGet(key)
+}
+
+/**
+ * Revoke a single token session until the token would have expired anyway
+ * A longer revocation already recorded for the same tokenId is kept.
+ * @param {string} tokenId - The token's origin_jti (shared by ID + access tokens) or jti
+ * @param {number} expiresAt - Token `exp` claim in seconds since epoch
+ */
+async function revokeTokenId(tokenId, expiresAt) {
+  if (!tokenId) return
+  const ttlSeconds = expiresAt ? expiresAt - Math.floor(Date.now() / 1000) : USER_REVOCATION_TTL_SECONDS
+  if (ttlSeconds <= 0) return
+  await setRevocation(tokenKey(tokenId), '1', ttlSeconds, true)
+}
+
+/**
+ * Revoke every token issued to a user up to now
+ * @param {string} userId - Cognito sub
+ */
+async function revokeAllForUser(userId) {
+  if (!userId) return
+  await setRevocation(userKey(userId), Math.floor(Date.now() / 1000), USER_REVOCATION_TTL_SECONDS)
+}
+
+/**
+ * Check verified token claims against the revocation list
+ * @param {object} claims - Verified JWT payload
+ * @returns {Promise<boolean>}
+ */
+async function isTokenRevoked(claims) {
+  const tokenIds = [claims.origin_jti, claims.jti].filter(Boolean)
+  for (const tokenId of tokenIds) {
+    if (await getRevocation(tokenKey(tokenId))) {
+      return true
+    }
+  }
+
+  const revokedBefore = await getRevocation(userKey(claims.sub))
+  if (revokedBefore && claims.iat && claims.iat <= Number(revokedBefore)) {
+    return true
+  }
+
+  return false
+}
+
+module.exports = { revokeTokenId, revokeAllForUser, isTokenRevoked }
@@ -0,0 +1,15 @@
+// Credentials and internal bookkeeping on UsersTable records that never leave the server
+const PRIVATE_USER_FIELDS = ['passwordHash', 'mfaSecret', 'mfaPendingSecret']
+
+// Copy of a UsersTable record that is safe to return from the API
+const stripPrivateFields = (record) => {
+  const user = { ...record }
+  PRIVATE_USER_FIELDS.forEach((field) => delete user[field])
+  return user
+}
+
+// The username the identity provider knows a user by, for its admin calls. It never changes,
+// unlike email; records from before it was stored fall back to the sign-up email.
+const identityUsernameOf = (record) => record.identityUsername || record.email
+
+module.exports = { PRIVATE_USER_FIELDS, stripPrivateFields, identityUsernameOf }
@@ -0,0 +1,173 @@
+const { v4: uuidv4 } = require('uuid')
+
+// Listing variants. A listing with variants has option axes and one SKU per combination:
+//   options:  [{ name: 'Size', values: ['S', 'M'] }, { name: 'Colour', values: ['Red', 'Blue'] }]
+//   variants: [{ id, sku, options: { Size: 'S', Colour: 'Red' }, price, quantity, image }, ...]
+// Its top-level price is the cheapest variant's and its quantity the sum of theirs, so listing
+// pages, search and the directory keep working without knowing about variants.
+const MAX_OPTIONS = 3
+const MAX_OPTION_VALUES = 50
+const MAX_VARIANTS = 100
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== ''
+
+// Numbers may arrive as strings (form posts); empty strings are not zero
+const toNumber = (value) => (typeof value === 'number' || isNonEmptyString(value) ? Number(value) : NaN)
+
+const validateOptions = (options) => {
+  if (!Array.isArray(options)) {
+    return 'options must be a list of { name, values }'
+  }
+  if (options.length > MAX_OPTIONS) {
+    return `A listing can have at most ${MAX_OPTIONS} options`
+  }
+  const names = new Set()
+  for (let i = 0; i < options.length; i++) {
+    const option = options[i]
+    if (!option || !isNonEmptyString(option.name)) {
+      return `options[${i}].name is required`
+    }
+    const name = option.name.trim().toLowerCase()
+    if (names.has(name)) {
+      return `options[${i}].name "${option.name}" is used twice`
+    }
+    names.add(name)
+    if (
+      !Array.isArray(option.values) ||
+      option.values.length === 0 ||
+      option.values.length > MAX_OPTION_VALUES ||
+      !option.values.every(isNonEmptyString) ||
+      new Set(option.values.map((value) => value.trim())).size !== option.values.length
+    ) {
+      return `options[${i}].values must be a list of 1 to ${MAX_OPTION_VALUES} different values`
+    }
+  }
+  return null
+}
+
+const validateVariant = (variant, index, options) => {
+  const label = `variants[${index}]`
+  if (!variant || typeof variant !== 'object') {
+    return `${label} must be an object`
+  }
+  if (variant.id !== undefined && !isNonEmptyString(variant.id)) {
+    return `${label}.id must be a string`
+  }
+  if (variant.sku !== undefined && !isNonEmptyString(variant.sku)) {
+    return `${label}.sku must be a non-empty string`
+  }
+  if (variant.image !== undefined && typeof variant.image !== 'string') {
+    return `${label}.image must be a URL`
+  }
+  const price = toNumber(variant.price)
+  if (isNaN(price) || price < 0) {
+    return `${label}.price must be a valid positive number`
+  }
+  const quantity = toNumber(variant.quantity)
+  if (!Number.isInteger(quantity) || quantity < 0) {
+    return `${label}.quantity must be a valid non-negative integer`
+  }
+
+  const chosen = variant.options && typeof variant.options === 'object' ? variant.options : {}
+  if (Object.keys(chosen).length !== options.length) {
+    return `${label}.options must pick one value for each of: ${options.map((o) => o.name.trim()).join(', ')}`
+  }
+  for (const option of options) {
+    const value = chosen[option.name.trim()]
+    if (typeof value !== 'string' || !option.values.map((v) => v.trim()).includes(value.trim())) {
+      return `${label}.options.${option.name.trim()} must be one of: ${option.values.map((v) => v.trim()).join(', ')}`
+    }
+  }
+  return null
+}
+
+// Identifies a variant's option combination, whatever order its keys are in
+const combinationKey = (variant, options) =>
+  JSON.stringify(options.map((option) => variant.options[option.name.trim()].trim()))
+
+/**
+ * Public: null if a listing's options and variants are acceptable, otherwise the reason they aren't
+ * Listings without options have no variants; with options, every variant picks one value per option.
+ */
+const validateVariants = ({ options, variants }) => {
+  const optionsError = validateOptions(options)
+  if (optionsError) return optionsError
+
+  if (!Array.isArray(variants)) {
+    return 'variants must be a list'
+  }
+  if (options.length === 0) {
+    return variants.length === 0 ? null : 'variants need options to choose between (e.g. Size)'
+  }
+  if (variants.length === 0) {
+    return 'A listing with options needs at least one variant'
+  }
+  if (variants.length > MAX_VARIANTS) {
+    return `A listing can have at most ${MAX_VARIANTS} variants`
+  }
+
+  const ids = new Set()
+  const skus = new Set()
+  const combinations = new Set()
+  for (let i = 0; i < variants.length; i++) {
+    const error = validateVariant(variants[i], i, options)
+    if (error) return error
+
+    const { id, sku } = variants[i]
+    if (id !== undefined) {
+      if (ids.has(id)) return `variants[${i}].id "${id}" is used twice`
+      ids.add(id)
+    }
+    if (sku !== undefined) {
+      if (skus.has(sku.trim())) return `variants[${i}].sku "${sku.trim()}" is used twice`
+      skus.add(sku.trim())
+    }
+    const combination = combinationKey(variants[i], options)
+    if (combinations.has(combination)) {
+      return `variants[${i}] repeats the options of an earlier variant`
+    }
+    combinations.add(combination)
+  }
+  return null
+}
+
+/**
+ * Public: validated options and variants in the shape stored on the listing, plus the
+ * listing-level price and quantity they imply
+ * Variants without an id get one, so ids stay stable across edits and in carts.
+ * @returns {{ options: object[], variants: object[], price: number, quantity: number }|null} null without variants
+ */
+const normalizeVariants = ({ options, variants }) => {
+  if (options.length === 0) return null
+
+  const normalizedOptions = options.map((option) => ({
+    name: option.name.trim(),
+    values: option.values.map((value) => value.trim()),
+  }))
+  const normalizedVariants = variants.map((variant) => ({
+    id: variant.id || uuidv4(),
+    ...(variant.sku !== undefined && { sku: variant.sku.trim() }),
+    options: Object.fromEntries(normalizedOptions.map(({ name }) => [name, variant.options[name].trim()])),
+    price: toNumber(variant.price),
+    quantity: toNumber(variant.quantity),
+    ...(isNonEmptyString(variant.image) && { image: variant.image }),
+  }))
+
+  return {
+    options: normalizedOptions,
+    variants: normalizedVariants,
+    price: Math.min(...normalizedVariants.map((variant) => variant.price)),
+    quantity: normalizedVariants.reduce((sum, variant) => sum + variant.quantity, 0),
+  }
+}
+
+// Public: whether buyers must pick a variant of this listing
+const hasVariants = (item) => Array.isArray(item.variants) && item.variants.length > 0
+
+// Public: one of a listing's variants, or null
+const findVariant = (item, variantId) => (hasVariants(item) && item.variants.find((v) => v.id === variantId)) || null
+
+// Public: "S / Red" for showing a variant to buyers and sellers
+const describeVariant = (variant) => Object.values(variant.options || {}).join(' / ')
+
+module.exports = { validateVariants, normalizeVariants, hasVariants, findVariant, describeVariant }
@@ -0,0 +1,11 @@
+// Statuses that hide a storefront from the public directory
+// (archived: owner account deleted; suspended: taken down by an admin)
+const HIDDEN_STOREFRONT_STATUSES = ['archived', 'suspended']
+
+const isStorefrontVisible = (storefront) => !HIDDEN_STOREFRONT_STATUSES.includes(storefront.status)
+
+// Only published listings are shown to buyers and can be added to carts (drafts, scheduled,
+// archived and taken-down ones can't). Listings from before statuses existed have none.
+const isListingVisible = (item) => !item.status || item.status === 'published'
+
+module.exports = { isStorefrontVisible, isListingVisible }
@@ -0,0 +1,90 @@
+const zlib = require('zlib')
+
+// CRC-32 lookup table (IEEE polynomial), as required by the ZIP format
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    }
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+// MS-DOS date/time fields used in ZIP headers
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+})
+
+/**
+ * Build an in-memory ZIP archive (deflate, no ZIP64 - fine for exports well under 4 GB)
+ * @param {Array<{ name: string, content: string|Buffer }>} files
+ * @returns {Buffer}
+ */
+function createZip(files) {
+  const { time, date } = toDosDateTime(new Date())
+  const localParts = []
+  const centralParts = []
+  let offset = 0
+
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf8')
+    const data = Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content, 'utf8')
+    const compressed = zlib.deflateRawSync(data)
+    const crc = crc32(data)
+
+    const localHeader = Buffer.alloc(30)
+    localHeader.writeUInt32LE(0x04034b50, 0) // local file header signature
+    localHeader.writeUInt16LE(20, 4) // version needed to extract
+    localHeader.writeUInt16LE(0x0800, 6) // flags: UTF-8 names
+    localHeader.writeUInt16LE(8, 8) // compression: deflate
+    localHeader.writeUInt16LE(time, 10)
+    localHeader.writeUInt16LE(date, 12)
+    localHeader.writeUInt32LE(crc, 14)
+    localHeader.writeUInt32LE(compressed.length, 18)
+    localHeader.writeUInt32LE(data.length, 22)
+    localHeader.writeUInt16LE(name.length, 26)
+    localHeader.writeUInt16LE(0, 28) // extra field length
+
+    const centralHeader = Buffer.alloc(46)
+    centralHeader.writeUInt32LE(0x02014b50, 0) // central directory signature
+    centralHeader.writeUInt16LE(20, 4) // version made by
+    centralHeader.writeUInt16LE(20, 6) // version needed to extract
+    centralHeader.writeUInt16LE(0x0800, 8)
+    centralHeader.writeUInt16LE(8, 10)
+    centralHeader.writeUInt16LE(time, 12)
+    centralHeader.writeUInt16LE(date, 14)
+    centralHeader.writeUInt32LE(crc, 16)
+    centralHeader.writeUInt32LE(compressed.length, 20)
+    centralHeader.writeUInt32LE(data.length, 24)
+    centralHeader.writeUInt16LE(name.length, 28)
+    centralHeader.writeUInt32LE(offset, 42) // offset of local header
+
+    localParts.push(localHeader, name, compressed)
+    centralParts.push(centralHeader, name)
+    offset += localHeader.length + name.length + compressed.length
+  }
+
+  const centralDirectory = Buffer.concat(centralParts)
+  const end = Buffer.alloc(22)
+  end.writeUInt32LE(0x06054b50, 0) // end of central directory signature
+  end.writeUInt16LE(files.length, 8)
+  end.writeUInt16LE(files.length, 10)
+  end.writeUInt32LE(centralDirectory.length, 12)
+  end.writeUInt32LE(offset, 16)
+
+  return Buffer.concat([...localParts, centralDirectory, end])
+}
+
+module.exports = { createZip }